@@ -112,6 +112,7 @@ if (cluster.isMaster) {
   const cookieParser = require('cookie-parser');
   const { createServer } = require('http');
   const { Server } = require('socket.io');
+  const { assertTransactionSupport } = require('./services/transactions');
   require('dotenv').config();
 
   const app = express();
@@ -256,6 +257,7 @@ if (cluster.isMaster) {
   // Start server
   async function startServer() {
     await connectDB();
+    await assertTransactionSupport();
     
     const PORT = process.env.PORT || 5000;
     server.listen(PORT, () => {
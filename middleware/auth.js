@@ -1,18 +1,88 @@
 const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../services/authSessions');
+const { isAccountActive } = require('../services/accounts');
 
-const authMiddleware = (req, res, next) => {
+// Scope of the token issued to accounts that must replace an imported password
+const PASSWORD_CHANGE_SCOPE = 'password-change';
+
+// Decode the session cookie; tokens issued for other purposes (e.g. offline sync) are rejected
+function readSessionToken(req) {
+  const token = req.cookies.token;
+  if (!token) return { status: 401, message: 'No token provided' };
+
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+  if (decoded.purpose) return { status: 401, message: 'Invalid token' };
+  return { decoded };
+}
+
+// Revoked sessions and deactivated accounts stop working before their access tokens expire.
+// Restricted password-change tokens have no session, so only the account is checked for them.
+async function tokenRevocation(decoded) {
+  const restricted = decoded.scope === PASSWORD_CHANGE_SCOPE;
+  const [accountActive, sessionActive] = await Promise.all([
+    isAccountActive(decoded.role, decoded.userId),
+    restricted || isSessionActive(decoded)
+  ]);
+  if (!accountActive) return { status: 403, message: 'Account is deactivated', deactivated: true };
+  if (!sessionActive) return { status: 401, message: 'Session has been revoked' };
+  return null;
+}
+
+// Expired access tokens get their own message so clients know to call /api/auth/refresh
+function tokenError(res, error) {
+  if (error.name === 'TokenExpiredError') {
+    return res.status(401).json({ message: 'Token expired' });
+  }
+  if (error.name === 'JsonWebTokenError') {
+    return res.status(401).json({ message: 'Invalid token' });
+  }
+  console.error('Auth middleware error:', error);
+  return res.status(500).json({ message: 'Server error' });
+}
+
+const authMiddleware = async (req, res, next) => {
   try {
-    const token = req.cookies.token;
+    const { decoded, status, message } = readSessionToken(req);
+    if (!decoded) {
+      return res.status(status).json({ message });
+    }
+
+    const revoked = await tokenRevocation(decoded);
+    if (revoked) {
+      const { status: revokedStatus, ...body } = revoked;
+      return res.status(revokedStatus).json(body);
+    }
+
+    // A restricted token can only reach the change-password endpoint
+    if (decoded.scope === PASSWORD_CHANGE_SCOPE) {
+      return res.status(403).json({ message: 'Password change required', mustChangePassword: true });
+    }
+
+    req.user = decoded;
+    next();
+  } catch (error) {
+    tokenError(res, error);
+  }
+};
+
+// Like authMiddleware, but also accepts the restricted password-change token
+const passwordChangeAuth = async (req, res, next) => {
+  try {
+    const { decoded, status, message } = readSessionToken(req);
+    if (!decoded) {
+      return res.status(status).json({ message });
+    }
 
-    if (!token) {
-      return res.status(401).json({ message: 'No token provided' });
+    const revoked = await tokenRevocation(decoded);
+    if (revoked) {
+      const { status: revokedStatus, ...body } = revoked;
+      return res.status(revokedStatus).json(body);
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
     req.user = decoded;
     next();
   } catch (error) {
-    res.status(401).json({ message: 'Invalid token' });
+    tokenError(res, error);
   }
 };
 
@@ -30,4 +100,4 @@ const requireRole = (roles) => {
   };
 };
 
-module.exports = { authMiddleware, requireRole };
\ No newline at end of file
+module.exports = { PASSWORD_CHANGE_SCOPE, tokenRevocation, authMiddleware, passwordChangeAuth, requireRole };
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const IDEMPOTENCY_TTL_HOURS = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+const MAX_KEY_LENGTH = 255;
+
+// Claim the key for this user, replacing a claim that expired but was not removed yet
+async function claimKey(userId, key, method, path, requestHash) {
+  const expiresAt = new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000);
+  try {
+    return { claimed: await IdempotencyKey.create({ key, userId, method, path, requestHash, expiresAt }) };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne({ userId, key });
+  if (existing && existing.expiresAt <= new Date()) {
+    await IdempotencyKey.deleteOne({ _id: existing._id });
+    return claimKey(userId, key, method, path, requestHash);
+  }
+  return { existing };
+}
+
+function uploadedFiles(req) {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  return req.files ? Object.values(req.files).flat() : [];
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+// JSON with sorted object keys, so the same fields in another order hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+// Fingerprint of what the request asks for: params, query, body and uploaded file contents
+async function hashRequest(req) {
+  const files = await Promise.all(uploadedFiles(req).map(async file => ({
+    field: file.fieldname,
+    name: file.originalname,
+    sha256: file.path ? await hashFile(file.path) : crypto.createHash('sha256').update(file.buffer || '').digest('hex')
+  })));
+  const payload = stableStringify({ params: req.params, query: req.query, body: req.body || {}, files });
+  return crypto.createHash('sha256').update(payload).digest('hex');
+}
+
+// Uploads of a request answered here never reach the route, which would otherwise clean them up
+function discardUploads(req) {
+  for (const file of uploadedFiles(req)) {
+    if (file.path) fs.unlink(file.path, () => {});
+  }
+}
+
+// Honour an Idempotency-Key header on a write endpoint (use after authMiddleware and any upload
+// parser, so the body and files are part of the request hash).
+// The first request runs and its response is stored; a repeat with the same key and request gets the
+// stored response back, while the same key with a different request is rejected. Server errors
+// release the key so the client can retry.
+const idempotencyMiddleware = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  try {
+    if (key.length > MAX_KEY_LENGTH) {
+      discardUploads(req);
+      return res.status(400).json({ message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const path = req.baseUrl + req.path;
+    const requestHash = await hashRequest(req);
+    const { claimed, existing } = await claimKey(req.user.userId, key, req.method, path, requestHash);
+
+    if (existing) {
+      discardUploads(req);
+      if (existing.method !== req.method || existing.path !== path || existing.requestHash !== requestHash) {
+        return res.status(422).json({ message: 'Idempotency-Key was already used for a different request' });
+      }
+      if (existing.status !== 'completed') {
+        return res.status(409).json({ message: 'A request with this Idempotency-Key is still being processed' });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    let stored = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      stored = true;
+      const save = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: claimed._id })
+        : IdempotencyKey.updateOne(
+          { _id: claimed._id },
+          // Store the body as the client received it (documents serialised)
+          { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body)) }
+        );
+      save.catch(error => console.error('Idempotency key update error:', error));
+      return json(body);
+    };
+
+    // A request that ends without a JSON response must not leave the key pending
+    res.on('close', () => {
+      if (stored) return;
+      IdempotencyKey.deleteOne({ _id: claimed._id, status: 'pending' })
+        .catch(error => console.error('Idempotency key release error:', error));
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency key error:', error);
+    discardUploads(req);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = { idempotencyMiddleware, IDEMPOTENCY_TTL_HOURS };
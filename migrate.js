@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+// Runs every numbered script in migrations/ (001-*.js, 002-*.js, ...) in order. Each migration is idempotent,
+// so the whole list can be run again after every deploy.
+async function runMigrations() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/attendance-system');
+    console.log('Connected to MongoDB');
+
+    const dir = path.join(__dirname, 'migrations');
+    const files = fs.readdirSync(dir).filter(file => /^\d+-.*\.js$/.test(file)).sort();
+
+    for (const file of files) {
+      const migration = require(path.join(dir, file));
+      console.log(`▶️  ${file}: ${migration.description}`);
+      const result = await migration.up();
+      console.log(`✅ ${file}`, result || '');
+    }
+
+    console.log('All migrations applied');
+  } catch (error) {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+runMigrations();
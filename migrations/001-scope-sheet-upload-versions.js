@@ -0,0 +1,14 @@
+const SheetUpload = require('../models/SheetUpload');
+const { dropIndexIfExists } = require('./indexes');
+
+module.exports = {
+  description: 'Number sheet upload versions per semester/department instead of per division letter',
+
+  async up() {
+    // Older uploads keep a null scope and stay numbered in their own sequence
+    const droppedIndex = await dropIndexIfExists(SheetUpload, 'division_1_version_1');
+    await SheetUpload.createIndexes();
+
+    return { droppedIndex };
+  }
+};
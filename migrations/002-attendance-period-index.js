@@ -0,0 +1,37 @@
+const Attendance = require('../models/Attendance');
+const Period = require('../models/Period');
+const Student = require('../models/Student');
+const { dropIndexIfExists } = require('./indexes');
+
+module.exports = {
+  description: 'Bind legacy sheet records to their Period and key attendance uniqueness on periodId',
+
+  async up() {
+    // Legacy sheet records carry only the period label; resolve it within the student's semester
+    const legacy = await Attendance.find({ periodId: null, period: { $ne: null }, source: 'upload' })
+      .select('studentId period')
+      .lean();
+    const students = await Student.find({ _id: { $in: [...new Set(legacy.map(r => r.studentId.toString()))] } })
+      .select('semesterId')
+      .lean();
+    const semesterByStudent = new Map(students.map(s => [s._id.toString(), s.semesterId]));
+    const periods = await Period.find({ label: { $in: [...new Set(legacy.map(r => r.period))] } })
+      .select('label semesterId')
+      .lean();
+    const periodByLabel = new Map(periods.map(p => [`${p.semesterId}_${p.label}`, p._id]));
+
+    let backfilled = 0;
+    for (const record of legacy) {
+      const semesterId = semesterByStudent.get(record.studentId.toString());
+      const periodId = semesterId && periodByLabel.get(`${semesterId}_${record.period}`);
+      if (!periodId) continue;
+      const result = await Attendance.updateOne({ _id: record._id, periodId: null }, { $set: { periodId } });
+      backfilled += result.modifiedCount;
+    }
+
+    const droppedIndex = await dropIndexIfExists(Attendance, 'studentId_1_subjectId_1_type_1_period_1');
+    await Attendance.createIndexes();
+
+    return { legacyRecords: legacy.length, backfilled, droppedIndex };
+  }
+};
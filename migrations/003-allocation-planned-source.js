@@ -0,0 +1,16 @@
+const Allocation = require('../models/Allocation');
+const TimetableSlot = require('../models/TimetableSlot');
+
+module.exports = {
+  description: 'Mark allocations whose planned lecture count comes from the timetable',
+
+  async up() {
+    // Sheet uploads never overwrite the planned count of an allocation with slots
+    const allocationIds = await TimetableSlot.distinct('allocationId');
+    const result = await Allocation.updateMany(
+      { _id: { $in: allocationIds }, plannedSource: null },
+      { $set: { plannedSource: 'timetable' } }
+    );
+    return { marked: result.modifiedCount };
+  }
+};
@@ -0,0 +1,13 @@
+/**
+ * Drop a collection index if it exists
+ * @returns {Promise<boolean>} whether an index was dropped
+ */
+async function dropIndexIfExists(model, name) {
+  // indexes() fails when the collection does not exist yet
+  const indexes = await model.collection.indexes().catch(() => []);
+  if (!indexes.some(index => index.name === name)) return false;
+  await model.collection.dropIndex(name);
+  return true;
+}
+
+module.exports = { dropIndexIfExists };
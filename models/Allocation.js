@@ -19,6 +19,9 @@ const allocationSchema = new mongoose.Schema({
   division: { type: String },
   batch: { type: String },
   totalPlanned: { type: Number, default: 0 },
+  // Where totalPlanned came from; only a timetable count tells how many lectures are still to come
+  // (sheet uploads copy the conducted total into it)
+  plannedSource: { type: String, enum: ["manual", "sheet", "timetable"], default: null },
   totalConducted: { type: Number, default: 0 },
   createdAt: {
     type: String,
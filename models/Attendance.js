@@ -32,11 +32,23 @@ const attendanceSchema = new mongoose.Schema({
     required: true,
     default: 0,
   },
-  // Period information (e.g., "Aug-25 to Oct-25")
+  // Period information (e.g., "Aug-25 to Oct-25"); the label of periodId for uploads
   period: {
     type: String,
     default: null,
   },
+  // Period the record's totals belong to (null for session summaries, marks and older records)
+  periodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Period",
+    default: null,
+  },
+  // Dated lectures behind a session summary, so totals can leave out the ones a sheet already covers
+  lectures: [{
+    _id: false,
+    date: Date,
+    attended: Boolean,
+  }],
   // Division and batch for practical subjects
   division: {
     type: String,
@@ -52,6 +64,31 @@ const attendanceSchema = new mongoose.Schema({
     ref: "Teacher",
     required: true,
   },
+  // "upload" for sheet uploads, "session" when derived from LectureSession,
+  // "mark" for lectures marked directly (/mark, offline sync)
+  source: {
+    type: String,
+    enum: ["upload", "session", "mark"],
+    default: "upload",
+  },
+  // Changes made by approved attendance-correction grievances
+  corrections: [{
+    _id: false,
+    grievanceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Grievance",
+    },
+    before: {
+      totalAttended: Number,
+      percentage: Number,
+    },
+    after: {
+      totalAttended: Number,
+      percentage: Number,
+    },
+    appliedBy: mongoose.Schema.Types.ObjectId,
+    appliedAt: Date,
+  }],
   // Keep date fields for tracking when attendance was recorded
   createdAtDate: {
     type: String,
@@ -83,13 +120,13 @@ const attendanceSchema = new mongoose.Schema({
   // If same period is uploaded again, it will update the existing record
 });
 
-// Compound index to ensure uniqueness per student-subject-type-period
-// Note: MongoDB treats null as distinct, so we use sparse index to allow multiple null periods
-// But we'll handle uniqueness in application logic for better control
-attendanceSchema.index({ studentId: 1, subjectId: 1, type: 1, period: 1 }, { 
+// One record per student, subject, type and Period. Records without a Period (session
+// summaries, marks) are left out of the constraint.
+attendanceSchema.index({ studentId: 1, subjectId: 1, type: 1, periodId: 1 }, {
   unique: true,
-  sparse: true,
-  partialFilterExpression: { period: { $ne: null } }
+  partialFilterExpression: { periodId: { $type: 'objectId' } }
 });
 
+attendanceSchema.index({ studentId: 1, periodId: 1 });
+
 module.exports = mongoose.model('Attendance', attendanceSchema);
\ No newline at end of file
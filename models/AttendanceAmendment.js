@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// A change to locked attendance, applied only once an admin approves it.
+// "attendance" amends the totals of a summary record; "session" amends one mark of a lecture session.
+const attendanceAmendmentSchema = new mongoose.Schema({
+  target: {
+    type: String,
+    enum: ["attendance", "session"],
+    required: true,
+  },
+  attendanceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Attendance",
+  },
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "LectureSession",
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Student",
+    required: true,
+  },
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subject",
+    required: true,
+  },
+  lockId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "AttendanceLock",
+  },
+  // Requested values: totalConducted/totalAttended, or status for a session mark
+  proposed: {
+    totalConducted: Number,
+    totalAttended: Number,
+    status: {
+      type: String,
+      enum: ["Present", "Absent", "Late"],
+    },
+  },
+  reason: {
+    type: String,
+    required: true,
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  requesterRole: String,
+  status: {
+    type: String,
+    enum: ["Pending", "Approved", "Rejected"],
+    default: "Pending",
+  },
+  // Values when requested and when applied
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  response: String,
+  reviewedBy: mongoose.Schema.Types.ObjectId,
+  reviewedAt: Date,
+  createdAt: {
+    type: String,
+    default: () => {
+      const currentDate = new Date();
+      const day = currentDate.getDate().toString().padStart(2, "0");
+      const month = (currentDate.getMonth() + 1).toString().padStart(2, "0");
+      const year = currentDate.getFullYear();
+      return `${day}/${month}/${year}`;
+    },
+  },
+});
+
+attendanceAmendmentSchema.index({ status: 1, requestedBy: 1 });
+
+module.exports = mongoose.model('AttendanceAmendment', attendanceAmendmentSchema);
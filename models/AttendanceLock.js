@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Freezes attendance of a semester (or one period of it) from lockedFrom until released.
+// While active, attendance writes are refused and changes go through AttendanceAmendment.
+const attendanceLockSchema = new mongoose.Schema({
+  semesterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Semester",
+    required: true,
+  },
+  // Whole semester when empty
+  periodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Period",
+    default: null,
+  },
+  lockedFrom: {
+    type: Date,
+    default: Date.now,
+  },
+  reason: String,
+  createdBy: mongoose.Schema.Types.ObjectId,
+  releasedAt: {
+    type: Date,
+    default: null,
+  },
+  releasedBy: mongoose.Schema.Types.ObjectId,
+  createdAt: {
+    type: String,
+    default: () => {
+      const currentDate = new Date();
+      const day = currentDate.getDate().toString().padStart(2, "0");
+      const month = (currentDate.getMonth() + 1).toString().padStart(2, "0");
+      const year = currentDate.getFullYear();
+      return `${day}/${month}/${year}`;
+    },
+  },
+});
+
+attendanceLockSchema.index({ semesterId: 1, releasedAt: 1 });
+
+module.exports = mongoose.model('AttendanceLock', attendanceLockSchema);
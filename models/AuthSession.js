@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. Access tokens carry the session id (sid) and stop working when the
+// session is revoked; the refresh token is rotated on every use and only its hash is stored.
+const authSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ["admin", "teacher", "student"],
+    required: true,
+  },
+  email: String,
+  refreshTokenHash: {
+    type: String,
+    required: true,
+  },
+  // Hash of the refresh token this one replaced; presenting it again means it was stolen
+  previousTokenHash: {
+    type: String,
+    default: null,
+  },
+  userAgent: {
+    type: String,
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  // e.g. "logout", "user", "admin", "password-change", "refresh-token-reuse"
+  revokedReason: {
+    type: String,
+    default: null,
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+authSessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// MongoDB removes sessions once their refresh token has expired
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthSession', authSessionSchema);
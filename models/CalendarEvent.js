@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Academic calendar entry of a semester. Holidays and exam blocks suspend all lectures;
+// cancellations and reschedules apply to one allocation.
+const calendarEventSchema = new mongoose.Schema({
+  semesterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Semester",
+    required: true,
+  },
+  kind: {
+    type: String,
+    enum: ["holiday", "exam", "event", "cancellation", "reschedule"],
+    required: true,
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  // Inclusive range, stored as UTC midnight
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+    required: true,
+  },
+  // Whether lectures are off; always true for holidays, exams, cancellations and reschedules
+  suspendsLectures: {
+    type: Boolean,
+    default: true,
+  },
+  // Cancellations and reschedules only
+  allocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Allocation",
+  },
+  // Only the lecture starting at this time ("HH:MM"); all of the allocation's lectures that day when empty
+  startTime: String,
+  rescheduledTo: {
+    date: Date,
+    startTime: String,
+    endTime: String,
+    room: String,
+  },
+  createdBy: mongoose.Schema.Types.ObjectId,
+  createdAt: {
+    type: String,
+    default: () => {
+      const currentDate = new Date();
+      const day = currentDate.getDate().toString().padStart(2, "0");
+      const month = (currentDate.getMonth() + 1).toString().padStart(2, "0");
+      const year = currentDate.getFullYear();
+      return `${day}/${month}/${year}`;
+    },
+  },
+});
+
+calendarEventSchema.index({ semesterId: 1, startDate: 1 });
+calendarEventSchema.index({ allocationId: 1, startDate: 1 });
+
+module.exports = mongoose.model('CalendarEvent', calendarEventSchema);
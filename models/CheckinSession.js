@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// A short-lived self check-in window a teacher opens for an allocation.
+// Students submit the rotating code; closing the window records a LectureSession.
+const checkinSessionSchema = new mongoose.Schema({
+  allocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Allocation",
+    required: true,
+  },
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subject",
+    required: true,
+  },
+  teacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Teacher",
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ["Theory", "Practical"],
+    required: true,
+  },
+  // Lecture the check-in records, stored as UTC midnight and "HH:MM"
+  date: {
+    type: Date,
+    required: true,
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/,
+  },
+  // HMAC key the rotating codes are derived from; never sent to students
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  stepSeconds: {
+    type: Number,
+    default: 20,
+  },
+  status: {
+    type: String,
+    enum: ["open", "closed", "cancelled"],
+    default: "open",
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // No check-ins are accepted after this
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  closedAt: Date,
+  lectureSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "LectureSession",
+  },
+  checkins: [{
+    _id: false,
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    step: Number,
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  }],
+  createdAt: {
+    type: String,
+    default: () => {
+      const currentDate = new Date();
+      const day = currentDate.getDate().toString().padStart(2, "0");
+      const month = (currentDate.getMonth() + 1).toString().padStart(2, "0");
+      const year = currentDate.getFullYear();
+      return `${day}/${month}/${year}`;
+    },
+  },
+});
+
+checkinSessionSchema.index({ allocationId: 1, status: 1 });
+
+module.exports = mongoose.model('CheckinSession', checkinSessionSchema);
@@ -20,6 +20,55 @@ const grievanceSchema = new mongoose.Schema({
     required: true,
   },
   attachments: [String],
+  // "attendance-correction" grievances carry a structured claim that is applied on approval
+  category: {
+    type: String,
+    enum: ["general", "attendance-correction"],
+    default: "general",
+  },
+  correction: {
+    type: {
+      type: String,
+      enum: ["Theory", "Practical"],
+    },
+    periodId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Period",
+    },
+    // Either the attended count the student claims...
+    claimedAttended: Number,
+    // ...or the lecture session days they were wrongly marked absent on (UTC midnight)
+    sessionDates: [Date],
+  },
+  // What approval changed, for audit
+  resolution: {
+    attendanceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Attendance",
+    },
+    before: {
+      totalConducted: Number,
+      totalAttended: Number,
+      percentage: Number,
+    },
+    after: {
+      totalConducted: Number,
+      totalAttended: Number,
+      percentage: Number,
+    },
+    sessions: [{
+      _id: false,
+      sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "LectureSession",
+      },
+      date: Date,
+      from: String,
+      to: String,
+    }],
+    appliedBy: mongoose.Schema.Types.ObjectId,
+    appliedAt: Date,
+  },
   status: {
     type: String,
     enum: ["Pending", "Under Review", "Resolved", "Rejected"],
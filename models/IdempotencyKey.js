@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Response stored for an Idempotency-Key so a retried write returns it instead of running again
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  // Request the key was first used for; reusing it elsewhere is rejected
+  method: {
+    type: String,
+    required: true,
+  },
+  path: {
+    type: String,
+    required: true,
+  },
+  // sha256 of the params, query, body and uploaded files the key was first used with
+  requestHash: {
+    type: String,
+    required: true,
+  },
+  // "pending" while the first request runs, "completed" once its response is stored
+  status: {
+    type: String,
+    enum: ["pending", "completed"],
+    default: "pending",
+  },
+  responseStatus: {
+    type: Number,
+    default: null,
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+// MongoDB removes expired keys automatically
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Background job (large uploads) processed by workers/jobWorker.js
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ["upload-students", "upload-teachers", "division-sheet"],
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["queued", "running", "completed", "failed"],
+    default: "queued",
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  createdByRole: String,
+  // Everything the handler needs; uploaded files are parsed into rows before queueing
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  file: {
+    originalName: String,
+    size: Number,
+    mimeType: String,
+  },
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    succeeded: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+  },
+  // Row-level error report (row is the 1-based sheet row)
+  rowErrors: [{
+    _id: false,
+    sheet: String,
+    row: Number,
+    identifier: String,
+    message: String,
+  }],
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  // Worker holding the job; lockedAt doubles as a heartbeat
+  lockedBy: String,
+  lockedAt: Date,
+  startedAt: Date,
+  finishedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+jobSchema.index({ status: 1, createdAt: 1 });
+jobSchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Medical leave or on-duty (OD) request covering a date range.
+// Once approved, the missed lectures are excluded (Medical) from or credited (OD) to attendance.
+const leaveRequestSchema = new mongoose.Schema({
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Student",
+    required: true,
+  },
+  kind: {
+    type: String,
+    enum: ["Medical", "OD"],
+    required: true,
+  },
+  reason: {
+    type: String,
+    required: true,
+  },
+  // Inclusive range, stored as UTC midnight
+  fromDate: {
+    type: Date,
+    required: true,
+  },
+  toDate: {
+    type: Date,
+    required: true,
+  },
+  attachments: [String],
+  status: {
+    type: String,
+    enum: ["Pending", "Approved", "Rejected"],
+    default: "Pending",
+  },
+  response: String,
+  reviewedBy: mongoose.Schema.Types.ObjectId,
+  reviewerRole: String,
+  reviewedAt: Date,
+  // Lectures covered by the approval, per subject and type
+  lectures: [{
+    _id: false,
+    subjectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subject",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["Theory", "Practical"],
+      required: true,
+    },
+    count: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // "sessions" when counted from lecture sessions, "manual" when entered by the reviewer
+    source: {
+      type: String,
+      enum: ["sessions", "manual"],
+      default: "manual",
+    },
+  }],
+  createdAt: {
+    type: String,
+    default: () => {
+      const currentDate = new Date();
+      const day = currentDate.getDate().toString().padStart(2, "0");
+      const month = (currentDate.getMonth() + 1).toString().padStart(2, "0");
+      const year = currentDate.getFullYear();
+      return `${day}/${month}/${year}`;
+    },
+  },
+});
+
+leaveRequestSchema.index({ studentId: 1, status: 1 });
+
+module.exports = mongoose.model('LeaveRequest', leaveRequestSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// One conducted lecture (or lab slot) for an allocation on a given day.
+// The summary Attendance records are derived from these documents.
+const lectureSessionSchema = new mongoose.Schema({
+  allocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Allocation",
+    required: true,
+  },
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subject",
+    required: true,
+  },
+  teacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Teacher",
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ["Theory", "Practical"],
+    required: true,
+  },
+  division: {
+    type: String,
+    default: null,
+  },
+  batch: {
+    type: String,
+    default: null,
+  },
+  // Lecture day, stored as UTC midnight
+  date: {
+    type: Date,
+    required: true,
+  },
+  // "HH:MM" (24h)
+  startTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/,
+  },
+  endTime: {
+    type: String,
+    default: null,
+  },
+  records: [{
+    _id: false,
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["Present", "Absent", "Late"],
+      required: true,
+    },
+  }],
+  // Status changes made by approved attendance-correction grievances
+  corrections: [{
+    _id: false,
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+    },
+    from: String,
+    to: String,
+    grievanceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Grievance",
+    },
+    appliedBy: mongoose.Schema.Types.ObjectId,
+    appliedAt: Date,
+  }],
+  createdAt: {
+    type: String,
+    default: () => {
+      const currentDate = new Date();
+      const day = currentDate.getDate().toString().padStart(2, "0");
+      const month = (currentDate.getMonth() + 1).toString().padStart(2, "0");
+      const year = currentDate.getFullYear();
+      return `${day}/${month}/${year}`;
+    },
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// A lecture slot can only be recorded once per allocation
+lectureSessionSchema.index({ allocationId: 1, date: 1, startTime: 1 }, { unique: true });
+lectureSessionSchema.index({ 'records.studentId': 1, date: 1 });
+
+module.exports = mongoose.model('LectureSession', lectureSessionSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Admin-maintained wording of the defaulter notice letters.
+// Text fields may use {{studentName}}, {{uid}}, {{division}}, {{batch}}, {{department}},
+// {{semester}}, {{month}}, {{threshold}}, {{overallPercentage}} and {{date}}.
+const letterTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+  },
+  departmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Department",
+    default: null,
+  },
+  // Used when a notice request names no template
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+  // Institute name and address lines printed at the top
+  letterhead: [String],
+  title: {
+    type: String,
+    required: true,
+  },
+  salutation: {
+    type: String,
+    default: "Dear {{studentName}} and Parent/Guardian,",
+  },
+  // Paragraphs before the subject-wise table
+  body: {
+    type: [String],
+    required: true,
+  },
+  // Paragraphs after the table
+  closing: [String],
+  signatories: [{
+    _id: false,
+    name: { type: String, required: true },
+    designation: String,
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+  createdAt: {
+    type: String,
+    default: () => {
+      const currentDate = new Date();
+      const day = currentDate.getDate().toString().padStart(2, "0");
+      const month = (currentDate.getMonth() + 1).toString().padStart(2, "0");
+      const year = currentDate.getFullYear();
+      return `${day}/${month}/${year}`;
+    },
+  },
+});
+
+module.exports = mongoose.model('LetterTemplate', letterTemplateSchema);
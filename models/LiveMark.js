@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Latest live mark of a student in one lecture, as marked over the attendance socket room.
+// Concurrent marks are resolved by (lamportTime, nodeId): the higher pair wins.
+const liveMarkSchema = new mongoose.Schema({
+  allocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Allocation",
+    required: true,
+  },
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subject",
+    required: true,
+  },
+  // Lecture day, stored as UTC midnight
+  date: {
+    type: Date,
+    required: true,
+  },
+  // "HH:MM" when the client names the lecture slot
+  startTime: {
+    type: String,
+    default: null,
+  },
+  studentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Student",
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["Present", "Absent", "Late"],
+    required: true,
+  },
+  lamportTime: {
+    type: Number,
+    required: true,
+  },
+  nodeId: {
+    type: String,
+    required: true,
+  },
+  markedBy: mongoose.Schema.Types.ObjectId,
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+liveMarkSchema.index({ allocationId: 1, date: 1, startTime: 1, studentId: 1 }, { unique: true });
+
+module.exports = mongoose.model('LiveMark', liveMarkSchema);
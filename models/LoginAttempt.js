@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Failed login counter for one account (role + login) or one client IP.
+// Kept in MongoDB so every cluster worker sees the same counts and lockouts.
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  scope: {
+    type: String,
+    enum: ["account", "ip"],
+    required: true,
+  },
+  role: {
+    type: String,
+    default: null,
+  },
+  login: {
+    type: String,
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  // Failures since the last success, lockout or quiet window
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null,
+  },
+  // Progressive delay: attempts before this time are turned away without checking the password
+  nextAttemptAt: {
+    type: Date,
+    default: null,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  lockCount: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+loginAttemptSchema.index({ lockedUntil: 1 });
+
+// MongoDB removes counters once they are no longer relevant
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
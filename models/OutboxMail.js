@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Mail kept by the "db" mail transport instead of being delivered (development and tests)
+const outboxMailSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true,
+  },
+  subject: {
+    type: String,
+    required: true,
+  },
+  text: String,
+  html: String,
+  // What the mail was about, e.g. "password-reset"
+  category: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+outboxMailSchema.index({ to: 1, createdAt: -1 });
+
+module.exports = mongoose.model('OutboxMail', outboxMailSchema);
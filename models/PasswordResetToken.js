@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Single-use password reset link. Only the SHA-256 of the token is stored;
+// the token itself exists in the mail that was sent.
+const passwordResetTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ["admin", "teacher", "student"],
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  // Set when the token is redeemed; a used token never works again
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+  requestedIp: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+passwordResetTokenSchema.index({ userId: 1, role: 1 });
+
+// MongoDB removes expired tokens automatically
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
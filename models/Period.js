@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Reporting window that attendance uploads are bound to.
+// A cumulative period holds totals from the start of the semester up to endDate;
+// an incremental period holds only the lectures between startDate and endDate.
+const periodSchema = new mongoose.Schema({
+  // e.g. "Aug-25 to Oct-25"; matched against the period cell of uploaded sheets
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+    required: true,
+  },
+  semesterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Semester",
+    required: true,
+  },
+  kind: {
+    type: String,
+    enum: ["cumulative", "incremental"],
+    required: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+  createdAt: {
+    type: String,
+    default: () => {
+      const currentDate = new Date();
+      const day = currentDate.getDate().toString().padStart(2, "0");
+      const month = (currentDate.getMonth() + 1).toString().padStart(2, "0");
+      const year = currentDate.getFullYear();
+      return `${day}/${month}/${year}`;
+    },
+  },
+});
+
+periodSchema.index({ semesterId: 1, label: 1 }, { unique: true });
+periodSchema.index({ semesterId: 1, startDate: 1 });
+
+module.exports = mongoose.model('Period', periodSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Admin-declared layout of a division attendance sheet.
+// Columns use spreadsheet letters ("C") and cells use A1 references ("E4").
+const sheetLayoutSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  description: String,
+  departmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Department",
+    default: null,
+  },
+  // 1-based row holding the column titles; student rows start right after it
+  headerRow: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  columns: {
+    uid: { type: String, required: true },
+    name: String,
+    batch: String,
+  },
+  subjects: [{
+    _id: false,
+    code: { type: String, required: true },
+    type: { type: String, enum: ["Theory", "Practical"], required: true },
+    attendedColumn: { type: String, required: true },
+    percentageColumn: String,
+    // Cell holding the conducted total, e.g. "SE (Th) - Total = 32" or just 32
+    totalCell: String,
+    // Cell holding per-batch totals for practicals, e.g. "A=10, B=11 C=11, D=10"
+    batchTotalsCell: String,
+  }],
+  // Cell holding the period, e.g. "Aug-25 to Oct-25"
+  periodCell: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+  createdAt: {
+    type: String,
+    default: () => {
+      const currentDate = new Date();
+      const day = currentDate.getDate().toString().padStart(2, "0");
+      const month = (currentDate.getMonth() + 1).toString().padStart(2, "0");
+      const year = currentDate.getFullYear();
+      return `${day}/${month}/${year}`;
+    },
+  },
+});
+
+module.exports = mongoose.model('SheetLayout', sheetLayoutSchema);
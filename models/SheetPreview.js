@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Parsed-but-not-applied division sheet upload (one or more sheets), confirmed later by token
+const sheetPreviewSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Teacher",
+    required: true,
+  },
+  divisions: [String],
+  file: {
+    originalName: String,
+    size: Number,
+    mimeType: String,
+  },
+  // One planDivisionSheet output per workbook sheet; applied verbatim on confirm
+  plans: {
+    type: [mongoose.Schema.Types.Mixed],
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// MongoDB removes expired previews automatically
+sheetPreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SheetPreview', sheetPreviewSchema);
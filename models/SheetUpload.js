@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// One applied division sheet upload with the before/after state of every document it touched
+const sheetUploadSchema = new mongoose.Schema({
+  division: {
+    type: String,
+    required: true,
+  },
+  // Semester and department the division belongs to; versions are numbered within this scope
+  semesterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Semester",
+    default: null,
+  },
+  departmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Department",
+    default: null,
+  },
+  // Increments per division of one semester and department
+  version: {
+    type: Number,
+    required: true,
+  },
+  file: {
+    originalName: String,
+    size: Number,
+    mimeType: String,
+  },
+  // Workbook tab this version came from; every tab of one workbook shares the importId
+  sheetName: String,
+  importId: String,
+  period: {
+    type: String,
+    default: null,
+  },
+  periodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Period",
+    default: null,
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  uploaderRole: String,
+  status: {
+    type: String,
+    enum: ["applied", "rolled-back"],
+    default: "applied",
+  },
+  recordsCreated: {
+    type: Number,
+    default: 0,
+  },
+  allocationsUpdated: {
+    type: Number,
+    default: 0,
+  },
+  // before is null when the upload created the document
+  changes: [{
+    _id: false,
+    model: {
+      type: String,
+      enum: ["Attendance", "Allocation"],
+      required: true,
+    },
+    docId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  }],
+  rolledBackAt: Date,
+  rolledBackBy: mongoose.Schema.Types.ObjectId,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+sheetUploadSchema.index({ semesterId: 1, departmentId: 1, division: 1, version: 1 }, { unique: true });
+sheetUploadSchema.index({ 'changes.docId': 1 });
+sheetUploadSchema.index({ importId: 1 });
+
+module.exports = mongoose.model('SheetUpload', sheetUploadSchema);
@@ -5,6 +5,13 @@ const studentSchema = new mongoose.Schema({
   studentId: { type: String, unique: true },
   email: { type: String, unique: true },
   password: String,
+  // Set for bulk-imported accounts until the initial password is changed
+  mustChangePassword: { type: Boolean, default: false },
+  passwordChangedAt: { type: Date, default: null },
+  // Deactivated accounts cannot log in and lose their sessions and sockets
+  isActive: { type: Boolean, default: true },
+  deactivatedAt: { type: Date, default: null },
+  deactivatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
   division: String,
   batch: String,
   contactNumber: String,
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Sheet label that maps to a subject within one semester, e.g. "AISC" or "CNS" (Practical)
+const subjectAliasSchema = new mongoose.Schema({
+  // Normalised label: upper-case, single spaces, without "(Th)"/"(Lab)"
+  alias: {
+    type: String,
+    required: true,
+  },
+  // Restricts the alias to theory or lab columns; null matches both
+  type: {
+    type: String,
+    enum: ["Theory", "Practical", null],
+    default: null,
+  },
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subject",
+    required: true,
+  },
+  semesterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Semester",
+    required: true,
+  },
+  departmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Department",
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+  createdAt: {
+    type: String,
+    default: () => {
+      const currentDate = new Date();
+      const day = currentDate.getDate().toString().padStart(2, "0");
+      const month = (currentDate.getMonth() + 1).toString().padStart(2, "0");
+      const year = currentDate.getFullYear();
+      return `${day}/${month}/${year}`;
+    },
+  },
+});
+
+subjectAliasSchema.index({ semesterId: 1, alias: 1, type: 1 }, { unique: true });
+
+module.exports = mongoose.model('SubjectAlias', subjectAliasSchema);
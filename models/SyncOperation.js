@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// A client-side operation received through offline sync.
+// The (userId, opId) pair is claimed before the operation is applied, so a
+// replayed batch returns the stored result instead of applying it twice.
+const syncOperationSchema = new mongoose.Schema({
+  // Id the client generated for the operation
+  opId: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+  },
+  kind: {
+    type: String,
+    enum: ["session", "mark"],
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "applied"],
+    default: "pending",
+  },
+  // What the operation produced, returned again for duplicates
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  // When a request last claimed the operation; a pending claim older than the
+  // claim timeout is taken over by the next retry
+  claimedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // When the client recorded the operation
+  clientTimestamp: {
+    type: Date,
+    default: null,
+  },
+  appliedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: String,
+    default: () => {
+      const currentDate = new Date();
+      const day = currentDate.getDate().toString().padStart(2, "0");
+      const month = (currentDate.getMonth() + 1).toString().padStart(2, "0");
+      const year = currentDate.getFullYear();
+      return `${day}/${month}/${year}`;
+    },
+  },
+});
+
+syncOperationSchema.index({ userId: 1, opId: 1 }, { unique: true });
+
+module.exports = mongoose.model('SyncOperation', syncOperationSchema);
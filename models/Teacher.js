@@ -4,6 +4,13 @@ const teacherSchema = new mongoose.Schema({
   teacherName: String,
   teacherEmail: { type: String, unique: true },
   teacherPassword: String,
+  // Set for bulk-imported accounts until the initial password is changed
+  mustChangePassword: { type: Boolean, default: false },
+  passwordChangedAt: { type: Date, default: null },
+  // Deactivated accounts cannot log in and lose their sessions and sockets
+  isActive: { type: Boolean, default: true },
+  deactivatedAt: { type: Date, default: null },
+  deactivatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "Admin", default: null },
   teacherGender: { type: String, enum: ["Male", "Female", "Other"] },
   teacherNumber: String,
   department: String,
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// One weekly lecture slot of an allocation. Division, batch and semester are copied from the
+// allocation and its subject so timetables can be queried per division and batch.
+const timetableSlotSchema = new mongoose.Schema({
+  allocationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Allocation",
+    required: true,
+  },
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Subject",
+    required: true,
+  },
+  teacherId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Teacher",
+    required: true,
+  },
+  semesterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Semester",
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ["Theory", "Practical"],
+    required: true,
+  },
+  division: {
+    type: String,
+    default: null,
+  },
+  batch: {
+    type: String,
+    default: null,
+  },
+  weekday: {
+    type: String,
+    enum: ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"],
+    required: true,
+  },
+  // "HH:MM" (24h)
+  startTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/,
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: /^([01]\d|2[0-3]):[0-5]\d$/,
+  },
+  room: String,
+  createdBy: mongoose.Schema.Types.ObjectId,
+  createdAt: {
+    type: String,
+    default: () => {
+      const currentDate = new Date();
+      const day = currentDate.getDate().toString().padStart(2, "0");
+      const month = (currentDate.getMonth() + 1).toString().padStart(2, "0");
+      const year = currentDate.getFullYear();
+      return `${day}/${month}/${year}`;
+    },
+  },
+});
+
+timetableSlotSchema.index({ allocationId: 1 });
+timetableSlotSchema.index({ semesterId: 1, division: 1, weekday: 1 });
+timetableSlotSchema.index({ teacherId: 1, weekday: 1 });
+
+module.exports = mongoose.model('TimetableSlot', timetableSlotSchema);
@@ -9,20 +9,31 @@ const Department = require('../models/Department');
 const Semester = require('../models/Semester');
 const Subject = require('../models/Subject');
 const Allocation = require('../models/Allocation');
+const Attendance = require('../models/Attendance');
+const SheetUpload = require('../models/SheetUpload');
+const SheetLayout = require('../models/SheetLayout');
+const SubjectAlias = require('../models/SubjectAlias');
+const Period = require('../models/Period');
+const TimetableSlot = require('../models/TimetableSlot');
+const CalendarEvent = require('../models/CalendarEvent');
+const AttendanceLock = require('../models/AttendanceLock');
+const LetterTemplate = require('../models/LetterTemplate');
 const { authMiddleware, requireRole } = require('../middleware/auth');
+const { diffUploads, rollbackUpload } = require('../services/uploadHistory');
+const { AUTO_LAYOUT, validateLayout } = require('../services/divisionSheet');
+const { parseAliasLabel } = require('../services/subjectMatching');
+const { enqueueJob } = require('../services/jobQueue');
+const { validatePeriod } = require('../services/periods');
+const { sortSlots, validateSlot, refreshPlannedLectures, refreshSemesterPlans, timetableProgress } = require('../services/timetable');
+const { SEMESTER_KINDS, validateCalendarEvent, readCalendarSheet } = require('../services/calendar');
+const { DEFAULT_TEMPLATE, buildTemplateFields, validateLetterTemplate } = require('../services/defaulterNotices');
+const { ROLES, accountFields, findAccountById } = require('../services/accounts');
+const { listUserSessions, revokeUserSessions } = require('../services/authSessions');
+const { listLoginLockouts, unlockLogin } = require('../services/loginThrottle');
 
 // Configure multer for file uploads
 const upload = multer({ dest: 'uploads/' });
 
-// Helper function to generate email
-function generateEmail(fullName, type) {
-  const parts = fullName.trim().split(" ");
-  const firstName = parts[0];
-  const lastName = parts.slice(1).join("").replace(/\s+/g, "");
-  const year = type?.toUpperCase() === "R" ? "23" : "24";
-  return `${firstName.toLowerCase()}.${lastName.toLowerCase()}${year}@spit.ac.in`;
-}
-
 const router = express.Router();
 
 // Get all users
@@ -498,6 +509,88 @@ router.put('/subjects/:subjectId', authMiddleware, requireRole(['admin']), async
   }
 });
 
+// Get the sheet aliases of a subject
+router.get('/subjects/:subjectId/aliases', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const subject = await Subject.findById(req.params.subjectId).select('_id name code');
+    if (!subject) {
+      return res.status(404).json({ message: "Subject not found" });
+    }
+
+    const aliases = await SubjectAlias.find({ subjectId: subject._id }).sort({ alias: 1 });
+    res.json({ subject, aliases });
+  } catch (error) {
+    console.error('Get subject aliases error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a sheet alias to a subject, e.g. { alias: "CNS (Lab)" } or { alias: "AISC", type: "Theory" }
+router.post('/subjects/:subjectId/aliases', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const subject = await Subject.findById(req.params.subjectId);
+    if (!subject) {
+      return res.status(404).json({ message: "Subject not found" });
+    }
+    if (!subject.semesterId) {
+      return res.status(400).json({ message: "Subject has no semester; aliases are kept per semester" });
+    }
+
+    const parsed = parseAliasLabel(req.body.alias);
+    if (!parsed.alias) {
+      return res.status(400).json({ message: "Alias is required" });
+    }
+
+    const type = req.body.type || parsed.type;
+    if (type && !['Theory', 'Practical'].includes(type)) {
+      return res.status(400).json({ message: "Type must be Theory or Practical" });
+    }
+
+    const existing = await SubjectAlias.findOne({
+      semesterId: subject.semesterId,
+      alias: parsed.alias,
+      type: type || null
+    }).populate('subjectId', 'name code');
+    if (existing) {
+      return res.status(400).json({
+        message: `Alias "${parsed.alias}" is already mapped in this semester`,
+        subject: existing.subjectId
+      });
+    }
+
+    const alias = await SubjectAlias.create({
+      alias: parsed.alias,
+      type: type || null,
+      subjectId: subject._id,
+      semesterId: subject.semesterId,
+      departmentId: subject.departmentId,
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({ message: "Alias added", alias });
+  } catch (error) {
+    console.error('Create subject alias error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a sheet alias from a subject
+router.delete('/subjects/:subjectId/aliases/:aliasId', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const alias = await SubjectAlias.findOneAndDelete({
+      _id: req.params.aliasId,
+      subjectId: req.params.subjectId
+    });
+    if (!alias) {
+      return res.status(404).json({ message: "Alias not found" });
+    }
+    res.json({ message: "Alias removed" });
+  } catch (error) {
+    console.error('Delete subject alias error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Create Allocation
 router.post('/allocations', authMiddleware, requireRole(['admin']), async (req, res) => {
   try {
@@ -567,6 +660,7 @@ router.post('/allocations', authMiddleware, requireRole(['admin']), async (req,
       students: [],
       type,
       totalPlanned: totalPlanned || 0,
+      plannedSource: totalPlanned ? 'manual' : null,
       totalConducted: totalConducted || 0,
       division: type === "Theory" ? division || null : division,
       batch: type === "Theory" ? null : batch,
@@ -589,7 +683,7 @@ router.post('/allocations', authMiddleware, requireRole(['admin']), async (req,
   }
 });
 
-// Upload student Excel sheet
+// Upload student Excel sheet (imported in the background; poll /api/jobs/:jobId)
 router.post('/upload-students', authMiddleware, requireRole(['admin']), upload.single('file'), async (req, res) => {
   try {
     const { departmentId, semesterId, adminId } = req.body;
@@ -617,86 +711,30 @@ router.post('/upload-students', authMiddleware, requireRole(['admin']), upload.s
       return res.status(400).json({ success: false, message: "No file uploaded" });
     }
 
-    // Read Excel file
+    // Read Excel file; the rows are imported by the job worker
     const workbook = XLSX.readFile(req.file.path);
     const sheetName = workbook.SheetNames[0];
     const sheetData = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName]);
 
-    const insertedStudents = [];
-    let count = 0;
-
-    for (const row of sheetData) {
-      const {
-        UID,
-        "NAME OF STUDENTS": name,
-        PASSWORD: password,
-        DIVISION: division,
-        BATCH: batch,
-        GENDER: genderCode,
-        "REGULAR/DSY": type,
-        CONTACT: contactNumber,
-      } = row;
-
-      // Map gender from M/F to enum values
-      const gender = genderCode === "M" ? "Male" : genderCode === "F" ? "Female" : "Other";
-
-      // Check if student already exists
-      const existing = await Student.findOne({ studentId: UID });
-      if (existing) continue;
-
-      // Generate email
-      const email = generateEmail(name, type);
-
-      // Hash password
-      const hashedPassword = await bcrypt.hash(String(password), 10);
-
-      // Create student
-      const student = await Student.create({
-        name,
-        studentId: String(UID),
-        email,
-        password: hashedPassword,
-        division,
-        batch,
-        contactNumber: contactNumber === "NA" ? "" : contactNumber,
-        gender,
-        departmentId,
-        semesterId,
-      });
-
-      insertedStudents.push(student);
-
-      // Push to allocations with new logic
-      const cleanDivision = division?.trim();
-      const cleanBatch = batch?.trim() || null;
-
-      // Always link to Theory
-      await Allocation.updateMany(
-        { division: cleanDivision, type: "Theory" },
-        { $addToSet: { students: student._id } }
-      );
-
-      // Link to Practical if batch is given
-      if (cleanBatch) {
-        await Allocation.updateMany(
-          { division: cleanDivision, batch: cleanBatch, type: "Practical" },
-          { $addToSet: { students: student._id } }
-        );
-      }
-
-      count++;
-      console.log(`${count} students uploaded so far...`);
-    }
-
     // Clean up file
     const fs = require('fs');
     fs.unlinkSync(req.file.path);
 
-    res.status(201).json({
+    const job = await enqueueJob({
+      type: 'upload-students',
+      createdBy: req.user.userId,
+      createdByRole: req.user.role,
+      payload: { rows: sheetData, departmentId, semesterId },
+      file: { originalName: req.file.originalname, size: req.file.size, mimeType: req.file.mimetype },
+      total: sheetData.length
+    });
+
+    res.status(202).json({
       success: true,
-      message: "Student Uploaded successfully and linked to allocations",
-      count: insertedStudents.length,
-      students: insertedStudents,
+      message: "Student upload queued",
+      jobId: job._id,
+      statusUrl: `/api/jobs/${job._id}`,
+      totalRows: sheetData.length,
     });
 
   } catch (error) {
@@ -730,7 +768,7 @@ router.post('/allocations/clear-students', authMiddleware, requireRole(['admin']
   }
 });
 
-// Upload teacher data through excel sheet
+// Upload teacher data through excel sheet (imported in the background; poll /api/jobs/:jobId)
 router.post('/upload-teachers', authMiddleware, requireRole(['admin']), upload.single('file'), async (req, res) => {
   try {
     const createdBy = req.body.createdBy || req.user.userId;
@@ -745,77 +783,29 @@ router.post('/upload-teachers', authMiddleware, requireRole(['admin']), upload.s
       return res.status(400).json({ success: false, message: "No file uploaded" });
     }
 
-    // Read Excel file
+    // Read Excel file; the rows are imported by the job worker
     const workbook = XLSX.readFile(req.file.path);
     const sheetName = workbook.SheetNames[0];
     const data = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName]);
 
-    let createdTeachers = [];
-
-    for (const row of data) {
-      const {
-        UID,
-        "NAME OF TEACHERS": teacherName,
-        PASSWORD: plainPassword,
-        GENDER: rawGender,
-        DEPARTMENT: department,
-        CONTACT: teacherNumber
-      } = row;
-
-      // Skip incomplete rows
-      if (!teacherName || !plainPassword || !department) continue;
-
-      // Generate email from name → name.surname@spit.ac.in
-      const nameParts = teacherName.trim().toLowerCase().split(/\s+/);
-      let teacherEmail = "";
-      if (nameParts.length >= 2) {
-        teacherEmail = `${nameParts[0]}.${nameParts[nameParts.length - 1]}@spit.ac.in`;
-      } else {
-        teacherEmail = `${nameParts[0]}@spit.ac.in`;
-      }
-
-      // Map gender codes to full form
-      let teacherGender = null;
-      if (rawGender) {
-        const g = rawGender.toString().trim().toUpperCase();
-        if (g === "M") teacherGender = "Male";
-        else if (g === "F") teacherGender = "Female";
-        else if (g === "O") teacherGender = "Other";
-      }
-
-      // Avoid duplicates
-      const existing = await Teacher.findOne({ teacherEmail });
-      if (existing) continue;
-
-      const hashedPassword = await bcrypt.hash(plainPassword, 10);
-
-      const newTeacher = new Teacher({
-        teacherName,
-        teacherEmail,
-        teacherPassword: hashedPassword,
-        teacherGender,
-        teacherNumber: teacherNumber && teacherNumber !== "NA" ? teacherNumber : null,
-        department,
-        createdBy,
-      });
-
-      const savedTeacher = await newTeacher.save();
-
-      // Update teacher id in admin record
-      await Admin.findByIdAndUpdate(createdBy, {
-        $push: { Teachers: savedTeacher._id },
-      });
-
-      createdTeachers.push(savedTeacher);
-    }
-
     // Clean up file
     const fs = require('fs');
     fs.unlinkSync(req.file.path);
 
-    res.status(201).json({
-      message: "Teachers uploaded successfully",
-      teachers: createdTeachers,
+    const job = await enqueueJob({
+      type: 'upload-teachers',
+      createdBy: req.user.userId,
+      createdByRole: req.user.role,
+      payload: { rows: data, createdBy },
+      file: { originalName: req.file.originalname, size: req.file.size, mimeType: req.file.mimetype },
+      total: data.length
+    });
+
+    res.status(202).json({
+      message: "Teacher upload queued",
+      jobId: job._id,
+      statusUrl: `/api/jobs/${job._id}`,
+      totalRows: data.length,
     });
 
   } catch (error) {
@@ -884,18 +874,29 @@ router.put('/users/:userId/toggle-status', authMiddleware, requireRole(['admin']
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Toggle active status (add isActive field if not exists)
-    const newStatus = !user.isActive;
-    
+    const newStatus = user.isActive === false;
+    const statusUpdate = {
+      isActive: newStatus,
+      deactivatedAt: newStatus ? null : new Date(),
+      deactivatedBy: newStatus ? null : req.user.userId
+    };
+
     if (role === 'teacher') {
-      await Teacher.findByIdAndUpdate(userId, { isActive: newStatus });
+      await Teacher.findByIdAndUpdate(userId, statusUpdate);
     } else {
-      await Student.findByIdAndUpdate(userId, { isActive: newStatus });
+      await Student.findByIdAndUpdate(userId, statusUpdate);
+    }
+
+    // A deactivated user is signed out everywhere, including live sockets
+    if (!newStatus) {
+      await revokeUserSessions(user._id, { reason: 'deactivated', revokedBy: req.user.userId });
+      req.io.in(`user_${user._id}`).disconnectSockets(true);
     }
 
     res.json({
       message: `User ${newStatus ? 'activated' : 'deactivated'} successfully`,
-      isActive: newStatus
+      isActive: newStatus,
+      deactivatedAt: statusUpdate.deactivatedAt
     });
 
   } catch (error) {
@@ -904,7 +905,106 @@ router.put('/users/:userId/toggle-status', authMiddleware, requireRole(['admin']
   }
 });
 
-// Sync students to allocations based on division and batch
+// Active login sessions of a user
+router.get('/users/:userId/sessions', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.params.userId);
+    res.json(sessions);
+  } catch (error) {
+    console.error('List user sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke every session of a user (signs them out on all devices)
+router.post('/users/:userId/revoke-sessions', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of: ${ROLES.join(', ')}` });
+    }
+    const user = await findAccountById(role, userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const revoked = await revokeUserSessions(user._id, { reason: 'admin', revokedBy: req.user.userId });
+    req.io.in(`user_${user._id}`).disconnectSockets(true);
+
+    res.json({ message: 'Sessions revoked', revoked: revoked.length });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Accounts locked out and accounts or IP addresses delayed after failed logins
+router.get('/login-lockouts', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const lockouts = await listLoginLockouts();
+    res.json(lockouts);
+  } catch (error) {
+    console.error('List login lockouts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+function logLoginUnlock(req, record) {
+  req.faultTolerance.logOperation({
+    type: 'login-unlock',
+    scope: record.scope,
+    role: record.role,
+    login: record.login,
+    ip: record.ip,
+    unlockedBy: req.user.userId,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Lift a lockout or delay by its id (works for IP addresses too)
+router.delete('/login-lockouts/:lockoutId', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const record = await unlockLogin({ id: req.params.lockoutId });
+    if (!record) {
+      return res.status(404).json({ message: 'Lockout not found' });
+    }
+    logLoginUnlock(req, record);
+
+    res.json({ message: 'Login unlocked' });
+  } catch (error) {
+    console.error('Unlock login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unlock a user's account after failed logins
+router.post('/users/:userId/unlock-login', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of: ${ROLES.join(', ')}` });
+    }
+    const user = await findAccountById(role, req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const record = await unlockLogin({ role, login: user[accountFields(role).login] });
+    if (!record) {
+      return res.json({ message: 'Account was not locked' });
+    }
+    logLoginUnlock(req, record);
+
+    res.json({ message: 'Login unlocked' });
+  } catch (error) {
+    console.error('Unlock user login error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 router.post('/allocations/sync-students', authMiddleware, requireRole(['admin']), async (req, res) => {
   try {
     const results = {
@@ -985,4 +1085,788 @@ router.post('/allocations/sync-students', authMiddleware, requireRole(['admin'])
   }
 });
 
+// Normalise a sheet layout payload (column letters and cell refs are stored upper-case)
+function buildLayoutFields(body) {
+  const upper = (value) => (value ? String(value).trim().toUpperCase() : undefined);
+  return {
+    name: body.name ? String(body.name).trim() : body.name,
+    description: body.description,
+    departmentId: body.departmentId || null,
+    headerRow: Number(body.headerRow),
+    columns: {
+      uid: upper(body.columns?.uid),
+      name: upper(body.columns?.name),
+      batch: upper(body.columns?.batch)
+    },
+    subjects: (body.subjects || []).map(subject => ({
+      code: subject.code ? String(subject.code).trim().toUpperCase() : subject.code,
+      type: subject.type,
+      attendedColumn: upper(subject.attendedColumn),
+      percentageColumn: upper(subject.percentageColumn),
+      totalCell: upper(subject.totalCell),
+      batchTotalsCell: upper(subject.batchTotalsCell)
+    })),
+    periodCell: upper(body.periodCell)
+  };
+}
+
+// Get sheet layouts (accessible by authenticated users for the upload dropdown)
+router.get('/sheet-layouts', authMiddleware, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.departmentId) filter.departmentId = req.query.departmentId;
+
+    const layouts = await SheetLayout.find(filter).sort({ name: 1 });
+
+    res.json([
+      { _id: AUTO_LAYOUT, name: AUTO_LAYOUT, description: 'Detect the layout automatically from the sheet headers' },
+      ...layouts.map(l => l.toObject())
+    ]);
+  } catch (error) {
+    console.error('Get sheet layouts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a sheet layout
+router.get('/sheet-layouts/:layoutId', authMiddleware, async (req, res) => {
+  try {
+    const layout = await SheetLayout.findById(req.params.layoutId);
+    if (!layout) {
+      return res.status(404).json({ message: 'Sheet layout not found' });
+    }
+    res.json(layout);
+  } catch (error) {
+    console.error('Get sheet layout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create sheet layout
+router.post('/sheet-layouts', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const fields = buildLayoutFields(req.body);
+    const errors = validateLayout(fields);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid sheet layout', errors });
+    }
+
+    const existing = await SheetLayout.findOne({ name: fields.name });
+    if (existing) {
+      return res.status(400).json({ message: 'Sheet layout name already exists' });
+    }
+
+    const layout = await SheetLayout.create({ ...fields, createdBy: req.user.userId });
+
+    res.status(201).json({ message: 'Sheet layout created', layout });
+  } catch (error) {
+    console.error('Create sheet layout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update sheet layout
+router.put('/sheet-layouts/:layoutId', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const layout = await SheetLayout.findById(req.params.layoutId);
+    if (!layout) {
+      return res.status(404).json({ message: 'Sheet layout not found' });
+    }
+
+    const fields = buildLayoutFields({ ...layout.toObject(), ...req.body });
+    const errors = validateLayout(fields);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid sheet layout', errors });
+    }
+
+    if (fields.name !== layout.name) {
+      const existing = await SheetLayout.findOne({ name: fields.name });
+      if (existing) {
+        return res.status(400).json({ message: 'Sheet layout name already exists' });
+      }
+    }
+
+    layout.set(fields);
+    await layout.save();
+
+    res.json({ message: 'Sheet layout updated', layout });
+  } catch (error) {
+    console.error('Update sheet layout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete sheet layout
+router.delete('/sheet-layouts/:layoutId', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const layout = await SheetLayout.findByIdAndDelete(req.params.layoutId);
+    if (!layout) {
+      return res.status(404).json({ message: 'Sheet layout not found' });
+    }
+    res.json({ message: 'Sheet layout deleted' });
+  } catch (error) {
+    console.error('Delete sheet layout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Only one default letter template per department (or institute-wide when departmentId is null)
+async function clearOtherDefaultTemplates(template) {
+  if (!template.isDefault) return;
+  await LetterTemplate.updateMany(
+    { _id: { $ne: template._id }, departmentId: template.departmentId, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+}
+
+// Get letter templates (teachers pick one when generating defaulter notices)
+router.get('/letter-templates', authMiddleware, requireRole(['admin', 'teacher']), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.departmentId) filter.departmentId = req.query.departmentId;
+
+    const templates = await LetterTemplate.find(filter).sort({ name: 1 });
+
+    res.json({ templates, builtIn: DEFAULT_TEMPLATE });
+  } catch (error) {
+    console.error('Get letter templates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a letter template
+router.get('/letter-templates/:templateId', authMiddleware, requireRole(['admin', 'teacher']), async (req, res) => {
+  try {
+    const template = await LetterTemplate.findById(req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ message: 'Letter template not found' });
+    }
+    res.json(template);
+  } catch (error) {
+    console.error('Get letter template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create letter template (body, closing and letterhead take one paragraph per line or an array)
+router.post('/letter-templates', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const fields = buildTemplateFields(req.body);
+    const errors = validateLetterTemplate(fields);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid letter template', errors });
+    }
+
+    const existing = await LetterTemplate.findOne({ name: fields.name });
+    if (existing) {
+      return res.status(400).json({ message: 'Letter template name already exists' });
+    }
+
+    const template = await LetterTemplate.create({ ...fields, createdBy: req.user.userId });
+    await clearOtherDefaultTemplates(template);
+
+    res.status(201).json({ message: 'Letter template created', template });
+  } catch (error) {
+    console.error('Create letter template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update letter template
+router.put('/letter-templates/:templateId', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const template = await LetterTemplate.findById(req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ message: 'Letter template not found' });
+    }
+
+    const fields = buildTemplateFields({ ...template.toObject(), ...req.body });
+    const errors = validateLetterTemplate(fields);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid letter template', errors });
+    }
+
+    if (fields.name !== template.name) {
+      const existing = await LetterTemplate.findOne({ name: fields.name });
+      if (existing) {
+        return res.status(400).json({ message: 'Letter template name already exists' });
+      }
+    }
+
+    template.set(fields);
+    await template.save();
+    await clearOtherDefaultTemplates(template);
+
+    res.json({ message: 'Letter template updated', template });
+  } catch (error) {
+    console.error('Update letter template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete letter template
+router.delete('/letter-templates/:templateId', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const template = await LetterTemplate.findByIdAndDelete(req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ message: 'Letter template not found' });
+    }
+    res.json({ message: 'Letter template deleted' });
+  } catch (error) {
+    console.error('Delete letter template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get periods (accessible by authenticated users for the upload dropdown), optionally ?semesterId=
+router.get('/periods', authMiddleware, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.semesterId) filter.semesterId = req.query.semesterId;
+
+    const periods = await Period.find(filter).sort({ startDate: 1 });
+    res.json(periods);
+  } catch (error) {
+    console.error('Get periods error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create period (incremental periods of a semester may not overlap)
+router.post('/periods', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const check = await validatePeriod(req.body);
+    if (!check.success) {
+      const { status, success, ...body } = check;
+      return res.status(status).json(body);
+    }
+
+    const period = await Period.create({ ...check.fields, createdBy: req.user.userId });
+
+    res.status(201).json({ message: 'Period created', period });
+  } catch (error) {
+    console.error('Create period error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update period
+router.put('/periods/:periodId', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const period = await Period.findById(req.params.periodId);
+    if (!period) {
+      return res.status(404).json({ message: 'Period not found' });
+    }
+
+    const merged = { ...period.toObject(), ...req.body };
+    const check = await validatePeriod(merged, period._id);
+    if (!check.success) {
+      const { status, success, ...body } = check;
+      return res.status(status).json(body);
+    }
+
+    const labelChanged = check.fields.label !== period.label;
+    period.set(check.fields);
+    await period.save();
+
+    // Attendance keeps the label next to periodId
+    if (labelChanged) {
+      await Attendance.updateMany({ periodId: period._id }, { $set: { period: period.label } });
+    }
+
+    res.json({ message: 'Period updated', period });
+  } catch (error) {
+    console.error('Update period error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete period (only while no attendance is bound to it)
+router.delete('/periods/:periodId', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const inUse = await Attendance.countDocuments({ periodId: req.params.periodId });
+    if (inUse > 0) {
+      return res.status(400).json({ message: `Period has ${inUse} attendance records and cannot be deleted` });
+    }
+
+    const period = await Period.findByIdAndDelete(req.params.periodId);
+    if (!period) {
+      return res.status(404).json({ message: 'Period not found' });
+    }
+    res.json({ message: 'Period deleted' });
+  } catch (error) {
+    console.error('Delete period error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get timetable slots, optionally ?semesterId=&division=&batch=&teacherId=
+router.get('/timetable', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const { semesterId, division, batch, teacherId } = req.query;
+    const filter = {};
+    if (semesterId) filter.semesterId = semesterId;
+    if (division) filter.division = String(division).toUpperCase();
+    if (batch) filter.batch = batch;
+    if (teacherId) filter.teacherId = teacherId;
+
+    const slots = await TimetableSlot.find(filter)
+      .populate('subjectId', 'name code')
+      .populate('teacherId', 'teacherName');
+
+    res.json(sortSlots(slots));
+  } catch (error) {
+    console.error('Get timetable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Planned vs conducted lectures of allocations with a timetable, optionally ?division=&teacherId=
+router.get('/timetable/progress', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const { division, teacherId } = req.query;
+    const filter = {};
+    if (division) filter.division = String(division).toUpperCase();
+    if (teacherId) filter.teacherId = teacherId;
+
+    const allocations = await Allocation.find(filter)
+      .populate('subjectId', 'name code')
+      .select('subjectId teacherId type division batch totalPlanned totalConducted');
+
+    res.json(await timetableProgress(allocations));
+  } catch (error) {
+    console.error('Timetable progress error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add timetable slot (teacher, room and division may not clash); recomputes the allocation's planned total
+router.post('/timetable', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const check = await validateSlot(req.body);
+    if (!check.success) {
+      const { status, success, ...body } = check;
+      return res.status(status).json(body);
+    }
+
+    const slot = await TimetableSlot.create({ ...check.fields, createdBy: req.user.userId });
+    const totalPlanned = await refreshPlannedLectures(slot.allocationId);
+
+    res.status(201).json({ message: 'Timetable slot created', slot, totalPlanned });
+  } catch (error) {
+    console.error('Create timetable slot error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update timetable slot
+router.put('/timetable/:slotId', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const slot = await TimetableSlot.findById(req.params.slotId);
+    if (!slot) {
+      return res.status(404).json({ message: 'Timetable slot not found' });
+    }
+
+    const merged = { ...slot.toObject(), ...req.body };
+    const check = await validateSlot(merged, slot._id);
+    if (!check.success) {
+      const { status, success, ...body } = check;
+      return res.status(status).json(body);
+    }
+
+    const previousAllocation = slot.allocationId;
+    slot.set(check.fields);
+    await slot.save();
+
+    const totalPlanned = await refreshPlannedLectures(slot.allocationId);
+    if (previousAllocation.toString() !== slot.allocationId.toString()) {
+      await refreshPlannedLectures(previousAllocation);
+    }
+
+    res.json({ message: 'Timetable slot updated', slot, totalPlanned });
+  } catch (error) {
+    console.error('Update timetable slot error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete timetable slot
+router.delete('/timetable/:slotId', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const slot = await TimetableSlot.findByIdAndDelete(req.params.slotId);
+    if (!slot) {
+      return res.status(404).json({ message: 'Timetable slot not found' });
+    }
+
+    // The last slot leaves totalPlanned as it was, to be edited by hand again
+    const totalPlanned = await refreshPlannedLectures(slot.allocationId);
+
+    res.json({ message: 'Timetable slot deleted', totalPlanned });
+  } catch (error) {
+    console.error('Delete timetable slot error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Planned totals follow the calendar: semester entries touch every allocation with a timetable
+async function refreshPlansAfterCalendarChange(event) {
+  if (SEMESTER_KINDS.includes(event.kind)) {
+    return refreshSemesterPlans(event.semesterId);
+  }
+  await refreshPlannedLectures(event.allocationId);
+  return 1;
+}
+
+// Get calendar entries (accessible by authenticated users), optionally ?semesterId=&kind=&allocationId=&from=&to=
+router.get('/calendar', authMiddleware, async (req, res) => {
+  try {
+    const { semesterId, kind, allocationId, from, to } = req.query;
+    const filter = {};
+    if (semesterId) filter.semesterId = semesterId;
+    if (kind) filter.kind = kind;
+    if (allocationId) filter.allocationId = allocationId;
+    if (from) filter.endDate = { $gte: new Date(from) };
+    if (to) filter.startDate = { $lte: new Date(to) };
+
+    const events = await CalendarEvent.find(filter)
+      .populate({ path: 'allocationId', select: 'subjectId type division batch', populate: { path: 'subjectId', select: 'name code' } })
+      .sort({ startDate: 1 });
+
+    res.json(events);
+  } catch (error) {
+    console.error('Get calendar error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create calendar entry (holiday, exam, event, or a cancellation/reschedule of one allocation)
+router.post('/calendar', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const check = await validateCalendarEvent(req.body);
+    if (!check.success) {
+      const { status, success, ...body } = check;
+      return res.status(status).json(body);
+    }
+
+    const event = await CalendarEvent.create({ ...check.fields, createdBy: req.user.userId });
+    const allocationsRefreshed = await refreshPlansAfterCalendarChange(event);
+
+    res.status(201).json({ message: 'Calendar entry created', event, allocationsRefreshed });
+  } catch (error) {
+    console.error('Create calendar entry error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Import semester calendar from an xlsx sheet (Title, Type, Start Date, End Date[, No Lectures])
+router.post('/calendar/import', authMiddleware, requireRole(['admin']), upload.single('file'), async (req, res) => {
+  try {
+    const { semesterId } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ success: false, message: 'No file uploaded' });
+    }
+
+    const semester = await Semester.findById(semesterId);
+    if (!semester) {
+      return res.status(404).json({ success: false, message: 'Semester not found' });
+    }
+
+    const { events, errors } = readCalendarSheet(req.file.path);
+
+    // Clean up file
+    const fs = require('fs');
+    fs.unlinkSync(req.file.path);
+
+    // Nothing is imported while any row is invalid
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: `${errors.length} row(s) could not be read`, errors });
+    }
+
+    const existing = await CalendarEvent.find({ semesterId, kind: { $in: SEMESTER_KINDS } }).select('kind title startDate');
+    const seen = new Set(existing.map(e => `${e.kind}|${e.title.toLowerCase()}|${e.startDate.getTime()}`));
+    const fresh = events.filter(e => {
+      const key = `${e.kind}|${e.title.toLowerCase()}|${e.startDate.getTime()}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    const created = await CalendarEvent.insertMany(
+      fresh.map(e => ({ ...e, semesterId, createdBy: req.user.userId }))
+    );
+    const allocationsRefreshed = created.length > 0 ? await refreshSemesterPlans(semesterId) : 0;
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} calendar entries imported`,
+      imported: created.length,
+      skipped: events.length - fresh.length,
+      allocationsRefreshed,
+      events: created
+    });
+  } catch (error) {
+    console.error('Import calendar error:', error);
+    if (req.file) {
+      const fs = require('fs');
+      try { fs.unlinkSync(req.file.path); } catch (_) {}
+    }
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Update calendar entry
+router.put('/calendar/:eventId', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const event = await CalendarEvent.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Calendar entry not found' });
+    }
+
+    const merged = { ...event.toObject(), ...req.body };
+    const check = await validateCalendarEvent(merged);
+    if (!check.success) {
+      const { status, success, ...body } = check;
+      return res.status(status).json(body);
+    }
+
+    const previous = event.toObject();
+    event.set(check.fields);
+    await event.save();
+
+    let allocationsRefreshed = await refreshPlansAfterCalendarChange(event);
+    const movedScope = previous.kind !== event.kind ||
+      String(previous.semesterId) !== String(event.semesterId) ||
+      String(previous.allocationId) !== String(event.allocationId);
+    if (movedScope) {
+      allocationsRefreshed += await refreshPlansAfterCalendarChange(previous);
+    }
+
+    res.json({ message: 'Calendar entry updated', event, allocationsRefreshed });
+  } catch (error) {
+    console.error('Update calendar entry error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete calendar entry
+router.delete('/calendar/:eventId', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const event = await CalendarEvent.findByIdAndDelete(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Calendar entry not found' });
+    }
+
+    const allocationsRefreshed = await refreshPlansAfterCalendarChange(event);
+
+    res.json({ message: 'Calendar entry deleted', allocationsRefreshed });
+  } catch (error) {
+    console.error('Delete calendar entry error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get attendance locks, optionally ?semesterId=&active=true
+router.get('/locks', authMiddleware, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.semesterId) filter.semesterId = req.query.semesterId;
+    if (req.query.active === 'true') filter.releasedAt = null;
+
+    const locks = await AttendanceLock.find(filter)
+      .populate('semesterId', 'semesterNumber academicYear')
+      .populate('periodId', 'label startDate endDate')
+      .sort({ lockedFrom: -1 });
+
+    res.json(locks);
+  } catch (error) {
+    console.error('Get attendance locks error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Lock a semester's (or one period's) attendance from lockedFrom (default now)
+router.post('/locks', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const { semesterId, periodId, reason } = req.body;
+    const lockedFrom = req.body.lockedFrom ? new Date(req.body.lockedFrom) : new Date();
+
+    if (isNaN(lockedFrom.getTime())) {
+      return res.status(400).json({ message: 'lockedFrom must be a date' });
+    }
+
+    const semester = await Semester.findById(semesterId);
+    if (!semester) {
+      return res.status(404).json({ message: 'Semester not found' });
+    }
+    if (periodId) {
+      const period = await Period.findById(periodId);
+      if (!period || period.semesterId.toString() !== semester._id.toString()) {
+        return res.status(400).json({ message: 'Period not found in this semester' });
+      }
+    }
+
+    const existing = await AttendanceLock.findOne({ semesterId, periodId: periodId || null, releasedAt: null });
+    if (existing) {
+      return res.status(409).json({ message: 'An active lock already covers this scope', lockId: existing._id });
+    }
+
+    const lock = await AttendanceLock.create({
+      semesterId,
+      periodId: periodId || null,
+      lockedFrom,
+      reason,
+      createdBy: req.user.userId
+    });
+
+    await req.io.emitToRole('teacher', 'attendance-locked', {
+      lockId: lock._id,
+      semesterId,
+      periodId: lock.periodId,
+      lockedFrom
+    });
+
+    res.status(201).json({ message: 'Attendance lock created', lock });
+  } catch (error) {
+    console.error('Create attendance lock error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Release a lock (attendance can be written directly again)
+router.put('/locks/:lockId/release', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const lock = await AttendanceLock.findOneAndUpdate(
+      { _id: req.params.lockId, releasedAt: null },
+      { releasedAt: new Date(), releasedBy: req.user.userId },
+      { new: true }
+    );
+    if (!lock) {
+      return res.status(404).json({ message: 'Active lock not found' });
+    }
+
+    res.json({ message: 'Attendance lock released', lock });
+  } catch (error) {
+    console.error('Release attendance lock error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List division sheet uploads (newest first)
+router.get('/uploads', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const { division, semesterId, departmentId, status, importId, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (division) filter.division = String(division).toUpperCase();
+    if (semesterId) filter.semesterId = semesterId;
+    if (departmentId) filter.departmentId = departmentId;
+    if (status) filter.status = status;
+    if (importId) filter.importId = importId;
+
+    const uploads = await SheetUpload.find(filter)
+      .select('-changes')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+    const total = await SheetUpload.countDocuments(filter);
+
+    res.json({
+      uploads,
+      pagination: {
+        current: parseInt(page),
+        total: Math.ceil(total / limit),
+        count: uploads.length,
+        totalRecords: total
+      }
+    });
+  } catch (error) {
+    console.error('Get uploads error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Diff the attendance values of two uploads of the same division (?from=<uploadId>&to=<uploadId>)
+router.get('/uploads/diff', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if (!from || !to) {
+      return res.status(400).json({ message: 'Both from and to upload ids are required' });
+    }
+
+    const [fromUpload, toUpload] = await Promise.all([
+      SheetUpload.findById(from),
+      SheetUpload.findById(to)
+    ]);
+    if (!fromUpload || !toUpload) {
+      return res.status(404).json({ message: 'Upload not found' });
+    }
+    const sameScope = (field) => String(fromUpload[field] || '') === String(toUpload[field] || '');
+    if (fromUpload.division !== toUpload.division || !sameScope('semesterId') || !sameScope('departmentId')) {
+      return res.status(400).json({ message: 'Uploads belong to different divisions' });
+    }
+
+    const diff = await diffUploads(fromUpload, toUpload);
+
+    res.json({
+      division: fromUpload.division,
+      from: { _id: fromUpload._id, version: fromUpload.version, createdAt: fromUpload.createdAt },
+      to: { _id: toUpload._id, version: toUpload.version, createdAt: toUpload.createdAt },
+      ...diff
+    });
+  } catch (error) {
+    console.error('Diff uploads error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one upload with its before/after changes
+router.get('/uploads/:uploadId', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const upload = await SheetUpload.findById(req.params.uploadId);
+    if (!upload) {
+      return res.status(404).json({ message: 'Upload not found' });
+    }
+    res.json(upload);
+  } catch (error) {
+    console.error('Get upload error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Roll back one upload atomically
+router.post('/uploads/:uploadId/rollback', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const result = await rollbackUpload(req.params.uploadId, {
+      rolledBackBy: req.user.userId,
+      force: req.body.force === true || req.body.force === 'true'
+    });
+
+    if (!result.success) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    req.faultTolerance.logOperation({
+      type: 'sheet-upload-rollback',
+      uploadId: req.params.uploadId,
+      rolledBackBy: req.user.userId,
+      restored: result.restored,
+      forced: result.forced,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Upload rolled back successfully',
+      restored: result.restored,
+      conflicts: result.conflicts
+    });
+  } catch (error) {
+    console.error('Rollback upload error:', error);
+    res.status(500).json({ success: false, message: 'Server error', error: error.message });
+  }
+});
+
 module.exports = router;
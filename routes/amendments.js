@@ -0,0 +1,126 @@
+const express = require('express');
+const AttendanceAmendment = require('../models/AttendanceAmendment');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { requestAmendment, reviewAmendment } = require('../services/attendanceLocks');
+
+const router = express.Router();
+
+// Request an amendment of locked attendance
+// target=attendance takes attendanceId, totalAttended (and optionally totalConducted);
+// target=session takes sessionId, studentId and status. reason is always required.
+router.post('/', authMiddleware, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const result = await requestAmendment(req.body, req.user);
+    if (!result.success) {
+      const { success, status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    await req.io.emitToRole('admin', 'amendment-requested', {
+      amendmentId: result.amendment._id,
+      target: result.amendment.target,
+      studentId: result.amendment.studentId,
+      subjectId: result.amendment.subjectId,
+      requestedBy: req.user.userId
+    });
+
+    res.status(201).json({
+      message: 'Amendment requested',
+      amendment: result.amendment
+    });
+  } catch (error) {
+    console.error('Request amendment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get amendments (teachers see their own, admins see all), optionally ?status=
+router.get('/', authMiddleware, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.user.role === 'teacher') filter.requestedBy = req.user.userId;
+
+    const amendments = await AttendanceAmendment.find(filter)
+      .populate('studentId', 'name studentId email')
+      .populate('subjectId', 'name code')
+      .sort({ _id: -1 });
+
+    res.json(amendments);
+  } catch (error) {
+    console.error('Get amendments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve (apply) or reject an amendment
+router.put('/:amendmentId/review', authMiddleware, requireRole(['admin']), async (req, res) => {
+  try {
+    const { status, response } = req.body;
+
+    const result = await reviewAmendment(req.params.amendmentId, {
+      reviewerId: req.user.userId,
+      status,
+      response
+    });
+    if (!result.success) {
+      const { success, status: code, ...body } = result;
+      return res.status(code).json(body);
+    }
+
+    const { amendment } = result;
+    req.faultTolerance.logOperation({
+      type: 'attendance-amendment',
+      amendmentId: amendment._id,
+      status: amendment.status,
+      before: amendment.before,
+      after: amendment.after,
+      reviewedBy: req.user.userId,
+      timestamp: new Date().toISOString()
+    });
+
+    await req.io.emitToUser(amendment.requestedBy.toString(), 'amendment-reviewed', {
+      amendmentId: amendment._id,
+      status: amendment.status,
+      response
+    });
+    if (amendment.status === 'Approved') {
+      await req.io.emitToRole('admin', 'attendance-updated', {
+        amendmentId: amendment._id,
+        studentId: amendment.studentId,
+        source: 'amendment'
+      });
+    }
+
+    res.json({
+      message: `Amendment ${amendment.status.toLowerCase()}`,
+      amendment
+    });
+  } catch (error) {
+    console.error('Review amendment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get amendment by ID
+router.get('/:amendmentId', authMiddleware, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const amendment = await AttendanceAmendment.findById(req.params.amendmentId)
+      .populate('studentId', 'name studentId email')
+      .populate('subjectId', 'name code');
+
+    if (!amendment) {
+      return res.status(404).json({ message: 'Amendment not found' });
+    }
+    if (req.user.role === 'teacher' && amendment.requestedBy.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Insufficient permissions' });
+    }
+
+    res.json(amendment);
+  } catch (error) {
+    console.error('Get amendment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@ const Attendance = require('../models/Attendance');
 const Subject = require('../models/Subject');
 const Allocation = require('../models/Allocation');
 const { authMiddleware } = require('../middleware/auth');
+const { loadAllPeriods, sumStudentTotals } = require('../services/attendanceTotals');
 
 const router = express.Router();
 
@@ -152,19 +153,14 @@ router.get('/overview', authMiddleware, async (req, res) => {
 router.get('/subjects', authMiddleware, async (req, res) => {
   try {
     const subjects = await Subject.find().populate('departmentId', 'name');
+    const periods = await loadAllPeriods();
     const subjectAnalytics = [];
 
     for (const subject of subjects) {
       const attendance = await Attendance.find({ subjectId: subject._id });
       
-      // Aggregate summary data
-      let totalConducted = 0;
-      let totalAttended = 0;
-      
-      attendance.forEach(record => {
-        totalConducted += record.totalConducted || 0;
-        totalAttended += record.totalAttended || 0;
-      });
+      // Aggregate summary data (each student's latest snapshot plus later incremental periods)
+      const { totalConducted, totalAttended } = sumStudentTotals(attendance, periods);
       
       const averageAttendance = totalConducted > 0 
         ? (totalAttended / totalConducted) * 100 
@@ -4,9 +4,90 @@ const jwt = require("jsonwebtoken");
 const Admin = require("../models/Admin");
 const Teacher = require("../models/Teacher");
 const Student = require("../models/Student");
+const { requestPasswordReset, resetPassword } = require("../services/passwordReset");
+const { accountFields, findAccountById, accountName } = require("../services/accounts");
+const { passwordPolicy, checkPasswordPolicy } = require("../services/passwordPolicy");
+const { PASSWORD_CHANGE_SCOPE, tokenRevocation, authMiddleware, passwordChangeAuth } = require("../middleware/auth");
+const {
+  ACCESS_TOKEN_MINUTES,
+  REFRESH_TOKEN_DAYS,
+  createAuthSession,
+  rotateRefreshToken,
+  revokeAuthSession,
+  revokeUserSessions,
+  listUserSessions,
+  disconnectSessionSockets,
+} = require("../services/authSessions");
+const {
+  checkLoginAllowed,
+  checkResetAllowed,
+  recordLoginFailure,
+  recordResetRequest,
+  clearLoginFailures,
+} = require("../services/loginThrottle");
 
 const router = express.Router();
 
+// Restricted tokens only live long enough to change the password
+const PASSWORD_CHANGE_TOKEN_MINUTES = 15;
+
+function setTokenCookie(res, token, maxAge) {
+  res.cookie("token", token, {
+    httpOnly: true,
+    secure: true, // must be true for HTTPS
+    sameSite: "none", // <-- allow cross-site cookies
+    maxAge,
+  });
+}
+
+// The refresh token is only ever sent to the auth routes
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+function clearAuthCookies(res) {
+  res.clearCookie("token");
+  res.clearCookie("refreshToken", { path: REFRESH_COOKIE_PATH });
+}
+
+function setSessionCookies(res, { accessToken, refreshToken }) {
+  setTokenCookie(res, accessToken, ACCESS_TOKEN_MINUTES * 60 * 1000);
+  res.cookie("refreshToken", refreshToken, {
+    httpOnly: true,
+    secure: true,
+    sameSite: "none",
+    path: REFRESH_COOKIE_PATH,
+    maxAge: REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000,
+  });
+}
+
+// Start a server-side session and hand out its access and refresh tokens
+async function startSession(req, res, user) {
+  const tokens = await createAuthSession(user, {
+    ip: req.ip,
+    userAgent: req.get("user-agent") || null,
+  });
+  setSessionCookies(res, tokens);
+  return tokens.session;
+}
+
+// Turn away a throttled login or reset request, telling the client when to retry
+function rejectThrottled(res, throttle) {
+  res.set("Retry-After", String(throttle.retryAfter));
+  return res.status(throttle.status).json({ message: throttle.message, retryAfter: throttle.retryAfter });
+}
+
+// Count a failed login and write any lockout it triggers to the operation log
+async function rejectLogin(req, res, { role, login }) {
+  const lockouts = await recordLoginFailure({ role, login, ip: req.ip });
+  for (const lockout of lockouts) {
+    req.faultTolerance.logOperation({
+      type: "login-lockout",
+      ...lockout,
+      timestamp: new Date().toISOString(),
+    });
+  }
+  return res.status(401).json({ message: "Invalid credentials" });
+}
+
 // Login route
 router.post("/login", async (req, res) => {
   try {
@@ -32,8 +113,15 @@ router.post("/login", async (req, res) => {
         return res.status(400).json({ message: "Invalid role" });
     }
 
-    if (!user) {
-      return res.status(401).json({ message: "Invalid credentials" });
+    // Locked-out accounts and delayed accounts/addresses are turned away before the password is checked
+    const throttle = await checkLoginAllowed({ role, login: email, ip: req.ip });
+    if (!throttle.allowed) {
+      return rejectThrottled(res, throttle);
+    }
+
+    // Deactivated accounts fail like unknown ones, before the password is checked
+    if (!user || user.isActive === false) {
+      return rejectLogin(req, res, { role, login: email });
     }
 
     // Check password
@@ -52,48 +140,49 @@ router.post("/login", async (req, res) => {
 
     const isMatch = await bcrypt.compare(password, user[passwordField]);
     if (!isMatch) {
-      return res.status(401).json({ message: "Invalid credentials" });
+      return rejectLogin(req, res, { role, login: email });
     }
+    await clearLoginFailures({ role, login: email });
 
-    // Generate JWT
-    const token = jwt.sign(
-      {
-        userId: user._id,
-        role,
-        email: user[userIdField],
-      },
-      process.env.JWT_SECRET || "fallback_secret",
-      { expiresIn: "24h" }
-    );
+    const profile = {
+      id: user._id,
+      role,
+      name:
+        role === "admin"
+          ? user.adminName
+          : role === "teacher"
+          ? user.teacherName
+          : user.name,
+      email: user[userIdField],
+    };
 
-    // Set httpOnly cookie
-    // res.cookie('token', token, {
-    //   httpOnly: true,
-    //   secure: process.env.NODE_ENV === 'production',
-    //   sameSite: 'strict',
-    //   maxAge: 24 * 60 * 60 * 1000 // 24 hours
-    // });
-
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: true, // must be true for HTTPS
-      sameSite: "none", // <-- allow cross-site cookies
-      maxAge: 24 * 60 * 60 * 1000, // 24 hours
-    });
+    // Imported accounts get a token that can only change the password
+    if (user.mustChangePassword) {
+      const restricted = jwt.sign(
+        {
+          userId: user._id,
+          role,
+          email: user[userIdField],
+          scope: PASSWORD_CHANGE_SCOPE,
+        },
+        process.env.JWT_SECRET || "fallback_secret",
+        { expiresIn: `${PASSWORD_CHANGE_TOKEN_MINUTES}m` }
+      );
+      setTokenCookie(res, restricted, PASSWORD_CHANGE_TOKEN_MINUTES * 60 * 1000);
+
+      return res.json({
+        message: "Password change required",
+        mustChangePassword: true,
+        user: profile,
+      });
+    }
+
+    // Short-lived access token plus a rotating refresh token, both tied to a stored session
+    await startSession(req, res, { userId: user._id, role, email: user[userIdField] });
 
     res.json({
       message: "Login successful",
-      user: {
-        id: user._id,
-        role,
-        name:
-          role === "admin"
-            ? user.adminName
-            : role === "teacher"
-            ? user.teacherName
-            : user.name,
-        email: user[userIdField],
-      },
+      user: profile,
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -101,10 +190,109 @@ router.post("/login", async (req, res) => {
   }
 });
 
-// Logout route
-router.post("/logout", (req, res) => {
-  res.clearCookie("token");
-  res.json({ message: "Logged out successfully" });
+// Logout route (revokes the session, so its tokens stop working right away)
+router.post("/logout", async (req, res) => {
+  try {
+    let decoded = null;
+    if (req.cookies.token) {
+      try {
+        decoded = jwt.verify(req.cookies.token, process.env.JWT_SECRET || "fallback_secret", { ignoreExpiration: true });
+      } catch (error) {
+        decoded = null;
+      }
+    }
+
+    if (decoded && decoded.sid) {
+      await revokeAuthSession(decoded.sid, { userId: decoded.userId, reason: "logout" });
+      disconnectSessionSockets(req.io, [decoded.sid]);
+    }
+
+    clearAuthCookies(res);
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Exchange the refresh token cookie for new tokens (the refresh token rotates on every call)
+router.post("/refresh", async (req, res) => {
+  try {
+    const result = await rotateRefreshToken(req.cookies.refreshToken, {
+      ip: req.ip,
+      userAgent: req.get("user-agent") || null,
+    });
+
+    if (!result.success) {
+      clearAuthCookies(res);
+      return res.status(result.status).json({ message: result.message, deactivated: result.deactivated });
+    }
+
+    setSessionCookies(res, result);
+    res.json({
+      message: "Session refreshed",
+      expiresInSeconds: ACCESS_TOKEN_MINUTES * 60,
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// List my active sessions (current marks the one making this request)
+router.get("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user.userId);
+
+    res.json(sessions.map((session) => ({
+      ...session,
+      current: session._id.toString() === req.user.sid,
+    })));
+  } catch (error) {
+    console.error("List sessions error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Revoke all my other sessions (sign out everywhere else)
+router.delete("/sessions", authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.userId, {
+      reason: "user",
+      revokedBy: req.user.userId,
+      exceptSessionId: req.user.sid,
+    });
+    disconnectSessionSockets(req.io, revoked);
+
+    res.json({ message: "Other sessions revoked", revoked: revoked.length });
+  } catch (error) {
+    console.error("Revoke sessions error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Revoke one of my sessions
+router.delete("/sessions/:sessionId", authMiddleware, async (req, res) => {
+  try {
+    const session = await revokeAuthSession(req.params.sessionId, {
+      userId: req.user.userId,
+      reason: "user",
+      revokedBy: req.user.userId,
+    });
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+    disconnectSessionSockets(req.io, [session._id.toString()]);
+
+    if (session._id.toString() === req.user.sid) {
+      clearAuthCookies(res);
+    }
+
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
 });
 
 // Verify token route
@@ -120,6 +308,14 @@ router.get("/verify", async (req, res) => {
       token,
       process.env.JWT_SECRET || "fallback_secret"
     );
+    if (decoded.purpose) {
+      return res.status(401).json({ message: "Invalid token" });
+    }
+    const revoked = await tokenRevocation(decoded);
+    if (revoked) {
+      const { status, ...body } = revoked;
+      return res.status(status).json(body);
+    }
 
     let user;
     switch (decoded.role) {
@@ -150,10 +346,123 @@ router.get("/verify", async (req, res) => {
             : user.name,
         email: decoded.email,
       },
+      mustChangePassword: decoded.scope === PASSWORD_CHANGE_SCOPE,
     });
   } catch (error) {
     res.status(401).json({ message: "Invalid token" });
   }
 });
 
+// Password rules, so clients can show them next to the password field
+router.get("/password-policy", (req, res) => {
+  res.json(passwordPolicy());
+});
+
+// Change password (also reachable with the restricted token of imported accounts)
+router.post("/change-password", passwordChangeAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const { userId, role } = req.user;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: "currentPassword and newPassword are required" });
+    }
+
+    const fields = accountFields(role);
+    const account = await findAccountById(role, userId);
+    if (!account) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, account[fields.password]);
+    if (!isMatch) {
+      return res.status(401).json({ message: "Current password is incorrect" });
+    }
+    if (await bcrypt.compare(newPassword, account[fields.password])) {
+      return res.status(400).json({ message: "New password must differ from the current one" });
+    }
+
+    const errors = checkPasswordPolicy(newPassword, { login: account[fields.login], name: account[fields.name] });
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors[0], errors });
+    }
+
+    account[fields.password] = await bcrypt.hash(newPassword, 10);
+    if (fields.mustChangePassword) {
+      account.mustChangePassword = false;
+      account.passwordChangedAt = new Date();
+    }
+    await account.save();
+
+    // Other devices signed in with the old password are signed out
+    const revoked = await revokeUserSessions(account._id, {
+      reason: "password-change",
+      revokedBy: account._id,
+      exceptSessionId: req.user.sid || null,
+    });
+    disconnectSessionSockets(req.io, revoked);
+
+    // A restricted token is replaced with a full session
+    if (!req.user.sid) {
+      await startSession(req, res, { userId: account._id, role, email: account[fields.login] });
+    }
+
+    res.json({
+      message: "Password changed successfully",
+      user: {
+        id: account._id,
+        role,
+        name: accountName(role, account),
+        email: account[fields.login],
+      },
+    });
+  } catch (error) {
+    console.error("Change password error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Forgot password: mails a single-use reset link (same answer whether or not the account exists)
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    // Requests count against the client address like failed logins
+    const throttle = await checkResetAllowed({ ip: req.ip });
+    if (!throttle.allowed) {
+      return rejectThrottled(res, throttle);
+    }
+    await recordResetRequest({ ip: req.ip });
+
+    // Answer before looking the account up, so neither the reply nor its timing
+    // reveals whether the account exists or the mail could be sent
+    res.json({
+      message: "If an account with that login exists, a reset link has been sent to its email address",
+    });
+
+    requestPasswordReset({ role, login: email, ip: req.ip }).catch((error) => {
+      console.error("Password reset mail error:", error);
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
+// Reset password with the token from the reset link
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const result = await resetPassword({ token, password });
+    if (result.revokedSessions) {
+      disconnectSessionSockets(req.io, result.revokedSessions);
+    }
+    res.status(result.status).json({ message: result.message });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+});
+
 module.exports = router;
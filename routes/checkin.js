@@ -0,0 +1,292 @@
+const express = require('express');
+const Allocation = require('../models/Allocation');
+const CheckinSession = require('../models/CheckinSession');
+const LectureSession = require('../models/LectureSession');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { START_TIME_PATTERN, normalizeSessionDate } = require('../services/sessionAttendance');
+const { findBlockingEvent } = require('../services/calendar');
+const {
+  createCheckinSecret,
+  currentCheckinCode,
+  verifyCheckinCode,
+  checkinSlot,
+  checkinRoom,
+  closeCheckinSession
+} = require('../services/checkin');
+
+const router = express.Router();
+
+const STEP_SECONDS = parseInt(process.env.CHECKIN_STEP_SECONDS) || 20;
+const DEFAULT_DURATION_MINUTES = parseInt(process.env.CHECKIN_DURATION_MINUTES) || 10;
+const MAX_DURATION_MINUTES = 60;
+
+// Load a check-in session the current user runs
+function findOwnCheckin(checkinId, user, withSecret = false) {
+  const query = { _id: checkinId };
+  if (user.role === 'teacher') query.teacherId = user.userId;
+  const found = CheckinSession.findOne(query);
+  return withSecret ? found.select('+secret') : found;
+}
+
+// Open a check-in session for an allocation
+// The teacher joins attendance_<subjectId>_<allocationId> to receive the live count
+router.post('/', authMiddleware, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const { allocationId } = req.body;
+    const durationMinutes = req.body.durationMinutes ? Number(req.body.durationMinutes) : DEFAULT_DURATION_MINUTES;
+
+    if (!allocationId) {
+      return res.status(400).json({ message: 'allocationId is required' });
+    }
+    if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_DURATION_MINUTES) {
+      return res.status(400).json({ message: `durationMinutes must be between 1 and ${MAX_DURATION_MINUTES}` });
+    }
+
+    const query = { _id: allocationId };
+    if (req.user.role === 'teacher') query.teacherId = req.user.userId;
+    const allocation = await Allocation.findOne(query);
+    if (!allocation) {
+      return res.status(404).json({ message: 'Allocation not found' });
+    }
+
+    const alreadyOpen = await CheckinSession.findOne({ allocationId, status: 'open' });
+    if (alreadyOpen) {
+      return res.status(409).json({ message: 'A check-in is already open for this allocation', checkinId: alreadyOpen._id });
+    }
+
+    const openedAt = new Date();
+    const slot = checkinSlot(openedAt);
+    const date = req.body.date ? normalizeSessionDate(req.body.date) : slot.date;
+    const startTime = req.body.startTime || slot.startTime;
+    if (!date) {
+      return res.status(400).json({ message: 'date must be a date (YYYY-MM-DD)' });
+    }
+    if (!START_TIME_PATTERN.test(startTime)) {
+      return res.status(400).json({ message: 'startTime must be HH:MM (24h)' });
+    }
+
+    const blocking = await findBlockingEvent(allocation, date, startTime);
+    if (blocking) {
+      return res.status(400).json({ message: `No lecture on this day: ${blocking.title} (${blocking.kind})`, event: blocking });
+    }
+
+    const recorded = await LectureSession.findOne({ allocationId, date, startTime });
+    if (recorded) {
+      return res.status(409).json({ message: 'A session already exists for this allocation, date and start time', sessionId: recorded._id });
+    }
+
+    const checkin = await CheckinSession.create({
+      allocationId,
+      subjectId: allocation.subjectId,
+      teacherId: req.user.role === 'teacher' ? req.user.userId : allocation.teacherId,
+      type: allocation.type,
+      date,
+      startTime,
+      secret: createCheckinSecret(),
+      stepSeconds: STEP_SECONDS,
+      openedAt,
+      expiresAt: new Date(openedAt.getTime() + durationMinutes * 60 * 1000)
+    });
+
+    const { secret, ...session } = checkin.toObject();
+    res.status(201).json({
+      message: 'Check-in opened',
+      checkin: session,
+      rosterSize: allocation.students.length,
+      room: checkinRoom(checkin),
+      ...currentCheckinCode(checkin)
+    });
+  } catch (error) {
+    console.error('Open check-in error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Open check-ins the student can join
+router.get('/active', authMiddleware, requireRole(['student']), async (req, res) => {
+  try {
+    const allocations = await Allocation.find({ students: req.user.userId }).select('_id');
+
+    const checkins = await CheckinSession.find({
+      allocationId: { $in: allocations.map(a => a._id) },
+      status: 'open',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('subjectId', 'name code')
+      .populate('teacherId', 'teacherName')
+      .select('-checkins');
+
+    res.json(checkins);
+  } catch (error) {
+    console.error('Active check-ins error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Student check-in with the code on screen (checkinId is optional when only one class is open)
+router.post('/submit', authMiddleware, requireRole(['student']), async (req, res) => {
+  try {
+    const { checkinId, code } = req.body;
+    const studentId = req.user.userId;
+
+    const allocations = await Allocation.find({ students: studentId }).select('_id');
+    const query = {
+      allocationId: { $in: allocations.map(a => a._id) },
+      status: 'open'
+    };
+    if (checkinId) query._id = checkinId;
+
+    const candidates = await CheckinSession.find(query).select('+secret');
+    if (candidates.length === 0) {
+      return res.status(404).json({ message: 'No open check-in for your classes' });
+    }
+
+    const now = new Date();
+    let matched = null;
+    let failure = null;
+    for (const candidate of candidates) {
+      const verdict = verifyCheckinCode(candidate, code, now);
+      if (verdict.valid) {
+        matched = { checkin: candidate, step: verdict.step };
+        break;
+      }
+      failure = verdict.message;
+    }
+    if (!matched) {
+      return res.status(400).json({ message: failure });
+    }
+
+    // The $ne guard makes concurrent duplicate submissions record only once
+    const updated = await CheckinSession.findOneAndUpdate(
+      { _id: matched.checkin._id, status: 'open', 'checkins.studentId': { $ne: studentId } },
+      { $push: { checkins: { studentId, step: matched.step, at: now } } },
+      { new: true }
+    ).select('subjectId allocationId checkins');
+
+    if (!updated) {
+      return res.status(409).json({ message: 'You have already checked in' });
+    }
+
+    req.io.to(checkinRoom(updated)).emit('checkin-count', {
+      checkinId: updated._id,
+      studentId,
+      count: updated.checkins.length,
+      lamportTime: req.io.lamportClock.tick(),
+      timestamp: now.toISOString()
+    });
+
+    res.json({ message: 'Checked in', checkinId: updated._id, at: now });
+  } catch (error) {
+    console.error('Submit check-in error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Current code of a check-in (polled by the teacher's display / QR)
+router.get('/:checkinId/code', authMiddleware, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const checkin = await findOwnCheckin(req.params.checkinId, req.user, true);
+    if (!checkin) {
+      return res.status(404).json({ message: 'Check-in session not found' });
+    }
+    if (checkin.status !== 'open' || new Date() > checkin.expiresAt) {
+      return res.status(400).json({ message: 'Check-in has closed' });
+    }
+
+    res.json({
+      checkinId: checkin._id,
+      expiresAt: checkin.expiresAt,
+      count: checkin.checkins.length,
+      ...currentCheckinCode(checkin)
+    });
+  } catch (error) {
+    console.error('Check-in code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Close a check-in and record the lecture session
+router.post('/:checkinId/close', authMiddleware, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const result = await closeCheckinSession(req.params.checkinId, req.user);
+    if (!result.success) {
+      const { success, status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    const { checkin, lectureSession, summary } = result;
+    req.io.to(checkinRoom(checkin)).emit('checkin-closed', {
+      checkinId: checkin._id,
+      sessionId: lectureSession._id,
+      count: checkin.checkins.length,
+      lamportTime: req.io.lamportClock.tick()
+    });
+    await req.io.emitToRole('admin', 'attendance-updated', {
+      sessionId: lectureSession._id,
+      allocationId: lectureSession.allocationId,
+      date: lectureSession.date,
+      action: 'created',
+      source: 'checkin',
+      teacherId: req.user.userId,
+      nodeId: process.env.NODE_ID || 'node-1'
+    });
+
+    res.json({
+      message: 'Check-in closed and lecture session recorded',
+      checkin,
+      session: lectureSession,
+      summary
+    });
+  } catch (error) {
+    console.error('Close check-in error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Discard an open check-in without recording a session
+router.delete('/:checkinId', authMiddleware, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const query = { _id: req.params.checkinId, status: 'open' };
+    if (req.user.role === 'teacher') query.teacherId = req.user.userId;
+
+    const checkin = await CheckinSession.findOneAndUpdate(
+      query,
+      { status: 'cancelled', closedAt: new Date() },
+      { new: true }
+    );
+    if (!checkin) {
+      return res.status(404).json({ message: 'Open check-in session not found' });
+    }
+
+    req.io.to(checkinRoom(checkin)).emit('checkin-closed', {
+      checkinId: checkin._id,
+      cancelled: true,
+      lamportTime: req.io.lamportClock.tick()
+    });
+
+    res.json({ message: 'Check-in cancelled', checkin });
+  } catch (error) {
+    console.error('Cancel check-in error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a check-in with the students who checked in
+router.get('/:checkinId', authMiddleware, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const checkin = await findOwnCheckin(req.params.checkinId, req.user)
+      .populate('subjectId', 'name code')
+      .populate('checkins.studentId', 'name studentId email');
+
+    if (!checkin) {
+      return res.status(404).json({ message: 'Check-in session not found' });
+    }
+
+    res.json(checkin);
+  } catch (error) {
+    console.error('Get check-in error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,13 @@ const express = require('express');
 const multer = require('multer');
 const Grievance = require('../models/Grievance');
 const { authMiddleware } = require('../middleware/auth');
+const { idempotencyMiddleware } = require('../middleware/idempotency');
+const {
+  parseCorrectionRequest,
+  findCorrectionRecord,
+  canReviewCorrection,
+  applyAttendanceCorrection
+} = require('../services/grievanceCorrections');
 
 const router = express.Router();
 
@@ -12,19 +19,46 @@ const upload = multer({
 });
 
 // Submit grievance
-router.post('/submit', authMiddleware, upload.array('attachments', 5), async (req, res) => {
+// category=attendance-correction takes type, optional periodId, and claimedAttended or sessionDates
+// A repeated Idempotency-Key returns the grievance created by the first submission
+router.post('/submit', authMiddleware, upload.array('attachments', 5), idempotencyMiddleware, async (req, res) => {
   try {
     const { subjectId, title, description } = req.body;
+    const category = req.body.category || 'general';
     const studentId = req.user.userId;
 
     const attachments = req.files ? req.files.map(file => file.filename) : [];
 
+    let correction;
+    if (category === 'attendance-correction') {
+      const parsed = parseCorrectionRequest(req.body);
+      if (!parsed.success) {
+        return res.status(parsed.status).json({ message: parsed.message });
+      }
+      correction = parsed.correction;
+
+      // A claimed count must fit the record it corrects
+      if (correction.claimedAttended !== undefined) {
+        const record = await findCorrectionRecord(studentId, subjectId, correction);
+        if (!record) {
+          return res.status(404).json({ message: 'No attendance record found for this subject and type' });
+        }
+        if (correction.claimedAttended > record.totalConducted) {
+          return res.status(400).json({ message: `Claimed count cannot exceed the ${record.totalConducted} lectures conducted` });
+        }
+      }
+    } else if (category !== 'general') {
+      return res.status(400).json({ message: 'category must be general or attendance-correction' });
+    }
+
     const grievance = new Grievance({
       studentId,
       subjectId,
       title,
       description,
-      attachments
+      attachments,
+      category,
+      correction
     });
 
     await grievance.save();
@@ -90,28 +124,48 @@ router.get('/all', authMiddleware, async (req, res) => {
 });
 
 // Update grievance status
+// Resolving an attendance correction adjusts the attendance (approvedAttended can override the claim)
 router.put('/:grievanceId/status', authMiddleware, async (req, res) => {
   try {
     const { grievanceId } = req.params;
-    const { status, response } = req.body;
+    const { status, response, approvedAttended } = req.body;
     const reviewedBy = req.user.userId;
+    const review = {
+      status,
+      response,
+      reviewedBy,
+      updatedAt: (() => {
+        const currentDate = new Date();
+        const day = currentDate.getDate().toString().padStart(2, "0");
+        const month = (currentDate.getMonth() + 1).toString().padStart(2, "0");
+        const year = currentDate.getFullYear();
+        return `${day}/${month}/${year}`;
+      })()
+    };
+
+    // Resolving an attendance correction applies it and the review in one transaction;
+    // nothing changes if that fails
+    const existing = await Grievance.findById(grievanceId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Grievance not found' });
+    }
 
-    const grievance = await Grievance.findByIdAndUpdate(
-      grievanceId,
-      {
-        status,
-        response,
-        reviewedBy,
-        updatedAt: (() => {
-          const currentDate = new Date();
-          const day = currentDate.getDate().toString().padStart(2, "0");
-          const month = (currentDate.getMonth() + 1).toString().padStart(2, "0");
-          const year = currentDate.getFullYear();
-          return `${day}/${month}/${year}`;
-        })()
-      },
-      { new: true }
-    ).populate('studentId', 'name studentId email');
+    let resolution = null;
+    if (existing.category === 'attendance-correction' && status === 'Resolved') {
+      if (!(await canReviewCorrection(req.user, existing))) {
+        return res.status(403).json({ message: 'Only a teacher allocated to this subject can approve the correction' });
+      }
+
+      const applied = await applyAttendanceCorrection(grievanceId, { reviewerId: reviewedBy, approvedAttended, review });
+      if (!applied.success) {
+        return res.status(applied.status).json({ message: applied.message });
+      }
+      resolution = applied.resolution;
+    }
+
+    const grievance = resolution
+      ? await Grievance.findById(grievanceId).populate('studentId', 'name studentId email')
+      : await Grievance.findByIdAndUpdate(grievanceId, review, { new: true }).populate('studentId', 'name studentId email');
 
     // Emit real-time status update
     req.io.emit('grievance-status', {
@@ -120,6 +174,18 @@ router.put('/:grievanceId/status', authMiddleware, async (req, res) => {
       studentId: grievance.studentId._id
     });
 
+    if (resolution) {
+      await req.io.emitToRole('admin', 'attendance-updated', {
+        grievanceId,
+        studentId: grievance.studentId._id,
+        source: 'grievance-correction'
+      });
+      await req.io.emitToUser(grievance.studentId._id.toString(), 'attendance-corrected', {
+        grievanceId,
+        resolution
+      });
+    }
+
     res.json({
       message: 'Grievance status updated successfully',
       grievance
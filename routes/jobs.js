@@ -0,0 +1,50 @@
+const express = require('express');
+const Job = require('../models/Job');
+const { authMiddleware } = require('../middleware/auth');
+const { serializeJob } = require('../services/jobQueue');
+
+const router = express.Router();
+
+// List my background jobs (admins can pass ?all=true)
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { status, type, all, limit = 20 } = req.query;
+
+    const query = {};
+    if (!(req.user.role === 'admin' && all === 'true')) query.createdBy = req.user.userId;
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    const jobs = await Job.find(query)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit) || 20, 100));
+
+    res.json(jobs.map(serializeJob));
+  } catch (error) {
+    console.error('List jobs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get job status, counts and row-level error report
+router.get('/:jobId', authMiddleware, async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.jobId).select('-payload');
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    // Only the owner or an admin can see a job
+    if (req.user.role !== 'admin' && job.createdBy.toString() !== req.user.userId) {
+      return res.status(403).json({ message: 'Insufficient permissions' });
+    }
+
+    res.json(serializeJob(job));
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,251 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const Allocation = require('../models/Allocation');
+const LeaveRequest = require('../models/LeaveRequest');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { parseLeaveRequest, canReviewLeave, approveLeave } = require('../services/leaves');
+
+const router = express.Router();
+
+// Medical certificates and event letters: scans or PDFs only
+const ATTACHMENT_TYPES = {
+  '.pdf': ['application/pdf'],
+  '.jpg': ['image/jpeg'],
+  '.jpeg': ['image/jpeg'],
+  '.png': ['image/png']
+};
+
+// Configure multer for medical certificates and event letters
+const upload = multer({
+  dest: 'uploads/leaves/',
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    const mimeTypes = ATTACHMENT_TYPES[path.extname(file.originalname).toLowerCase()];
+    if (!mimeTypes || !mimeTypes.includes(file.mimetype)) {
+      req.fileValidationError = 'Attachments must be PDF, JPEG or PNG files';
+      return cb(null, false);
+    }
+    cb(null, true);
+  }
+});
+
+function removeUploads(files = []) {
+  for (const file of files) {
+    try { fs.unlinkSync(file.path); } catch (_) {}
+  }
+}
+
+// Submit leave or OD request (students)
+router.post('/', authMiddleware, requireRole(['student']), upload.array('attachments', 5), async (req, res) => {
+  try {
+    if (req.fileValidationError) {
+      removeUploads(req.files);
+      return res.status(400).json({ message: req.fileValidationError });
+    }
+
+    const parsed = parseLeaveRequest(req.body);
+    if (!parsed.success) {
+      removeUploads(req.files);
+      return res.status(parsed.status).json({ message: parsed.message });
+    }
+
+    const studentId = req.user.userId;
+    const attachments = req.files ? req.files.map(file => file.filename) : [];
+
+    const leave = new LeaveRequest({
+      studentId,
+      ...parsed.leave,
+      attachments
+    });
+    await leave.save();
+
+    const notification = {
+      leaveId: leave._id,
+      studentId,
+      kind: leave.kind,
+      fromDate: leave.fromDate,
+      toDate: leave.toDate
+    };
+    await req.io.emitToRole('admin', 'leave-submitted', notification);
+    await req.io.emitToRole('teacher', 'leave-submitted', notification);
+
+    res.status(201).json({
+      message: 'Leave request submitted successfully',
+      leave
+    });
+
+  } catch (error) {
+    console.error('Submit leave error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get my leave requests (students)
+router.get('/my', authMiddleware, requireRole(['student']), async (req, res) => {
+  try {
+    const leaves = await LeaveRequest.find({ studentId: req.user.userId })
+      .populate('lectures.subjectId', 'name code')
+      .sort({ fromDate: -1 });
+
+    res.json(leaves);
+
+  } catch (error) {
+    console.error('Get my leaves error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get leave requests (teachers see their allocated students, admins see all)
+router.get('/', authMiddleware, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const { status, kind, studentId } = req.query;
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (kind) filter.kind = kind;
+    if (studentId) filter.studentId = studentId;
+
+    if (req.user.role === 'teacher') {
+      const allocations = await Allocation.find({ teacherId: req.user.userId }).select('students');
+      const students = new Set(allocations.flatMap(a => a.students.map(id => id.toString())));
+      if (studentId && !students.has(String(studentId))) {
+        return res.json([]);
+      }
+      if (!studentId) filter.studentId = { $in: [...students] };
+    }
+
+    const leaves = await LeaveRequest.find(filter)
+      .populate('studentId', 'name studentId email division batch')
+      .populate('lectures.subjectId', 'name code')
+      .sort({ fromDate: -1 });
+
+    res.json(leaves);
+
+  } catch (error) {
+    console.error('Get leaves error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Approve or reject a leave request
+// Approval may carry lectures: [{ subjectId, type, count }] for subjects tracked only through sheets
+// Approving a leave that overlaps one of the student's approved leaves is refused with 409
+router.put('/:leaveId/status', authMiddleware, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const { leaveId } = req.params;
+    const { status, response, lectures } = req.body;
+
+    if (!['Approved', 'Rejected'].includes(status)) {
+      return res.status(400).json({ message: 'status must be Approved or Rejected' });
+    }
+
+    const existing = await LeaveRequest.findById(leaveId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Leave request not found' });
+    }
+    if (!(await canReviewLeave(req.user, existing))) {
+      return res.status(403).json({ message: 'Insufficient permissions' });
+    }
+
+    let leave;
+    if (status === 'Approved') {
+      const approved = await approveLeave(leaveId, { reviewer: req.user, response, lectures });
+      if (!approved.success) {
+        return res.status(approved.status).json({ message: approved.message });
+      }
+      leave = approved.leave;
+    } else {
+      if (existing.status !== 'Pending') {
+        return res.status(400).json({ message: `Leave request is already ${existing.status.toLowerCase()}` });
+      }
+      // Conditional on Pending, so a concurrent approval is not overwritten
+      leave = await LeaveRequest.findOneAndUpdate(
+        { _id: leaveId, status: 'Pending' },
+        {
+          $set: {
+            status: 'Rejected',
+            response,
+            reviewedBy: req.user.userId,
+            reviewerRole: req.user.role,
+            reviewedAt: new Date()
+          }
+        },
+        { new: true }
+      );
+      if (!leave) {
+        return res.status(409).json({ message: 'Leave request was reviewed by someone else meanwhile' });
+      }
+    }
+
+    await req.io.emitToUser(leave.studentId.toString(), 'leave-status', {
+      leaveId,
+      status: leave.status,
+      lectures: leave.lectures
+    });
+    if (leave.status === 'Approved') {
+      await req.io.emitToRole('admin', 'attendance-updated', {
+        leaveId,
+        studentId: leave.studentId,
+        source: 'leave'
+      });
+    }
+
+    res.json({
+      message: `Leave request ${leave.status.toLowerCase()} successfully`,
+      leave
+    });
+
+  } catch (error) {
+    console.error('Update leave status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Withdraw a pending leave request (students)
+router.delete('/:leaveId', authMiddleware, requireRole(['student']), async (req, res) => {
+  try {
+    const leave = await LeaveRequest.findOneAndDelete({
+      _id: req.params.leaveId,
+      studentId: req.user.userId,
+      status: 'Pending'
+    });
+
+    if (!leave) {
+      return res.status(404).json({ message: 'Pending leave request not found' });
+    }
+
+    res.json({ message: 'Leave request withdrawn successfully' });
+
+  } catch (error) {
+    console.error('Withdraw leave error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get leave request by ID
+router.get('/:leaveId', authMiddleware, async (req, res) => {
+  try {
+    const leave = await LeaveRequest.findById(req.params.leaveId)
+      .populate('studentId', 'name studentId email division batch')
+      .populate('lectures.subjectId', 'name code');
+
+    if (!leave) {
+      return res.status(404).json({ message: 'Leave request not found' });
+    }
+
+    const isOwner = leave.studentId._id.toString() === req.user.userId;
+    if (!isOwner && !(await canReviewLeave(req.user, leave))) {
+      return res.status(403).json({ message: 'Insufficient permissions' });
+    }
+
+    res.json(leave);
+
+  } catch (error) {
+    console.error('Get leave error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,292 @@
+const express = require('express');
+const Allocation = require('../models/Allocation');
+const LectureSession = require('../models/LectureSession');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { START_TIME_PATTERN, normalizeSessionDate, syncSessionSummary, validateMarks } = require('../services/sessionAttendance');
+const { findBlockingEvent } = require('../services/calendar');
+const { lockForSubject, lockedResult } = require('../services/attendanceLocks');
+
+const router = express.Router();
+
+// Answer 423 when a lock covers the allocation's attendance on that day
+async function rejectIfLocked(res, allocation, date) {
+  const lock = await lockForSubject(allocation.subjectId, { date });
+  if (!lock) return false;
+  const { status, success, ...body } = lockedResult(lock);
+  res.status(status).json(body);
+  return true;
+}
+
+// Load an allocation the current user may record attendance for
+async function findWritableAllocation(allocationId, user) {
+  const query = { _id: allocationId };
+  if (user.role === 'teacher') query.teacherId = user.userId;
+  return Allocation.findOne(query);
+}
+
+async function notifySessionChange(req, session, action) {
+  await req.io.emitToRole('admin', 'attendance-updated', {
+    sessionId: session._id,
+    allocationId: session.allocationId,
+    date: session.date,
+    action,
+    teacherId: req.user.userId,
+    nodeId: process.env.NODE_ID || 'node-1'
+  });
+}
+
+// Record a lecture session
+router.post('/', authMiddleware, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const { allocationId, date, startTime, endTime, records } = req.body;
+
+    const sessionDate = normalizeSessionDate(date);
+    if (!allocationId || !sessionDate || !startTime) {
+      return res.status(400).json({ message: 'allocationId, date and startTime are required' });
+    }
+    if (!START_TIME_PATTERN.test(startTime)) {
+      return res.status(400).json({ message: 'startTime must be HH:MM (24h)' });
+    }
+
+    const allocation = await findWritableAllocation(allocationId, req.user);
+    if (!allocation) {
+      return res.status(404).json({ message: 'Allocation not found' });
+    }
+
+    if (await rejectIfLocked(res, allocation, sessionDate)) return;
+
+    // Holidays, exam blocks and cancelled lectures have nothing to record
+    const blocking = await findBlockingEvent(allocation, sessionDate, startTime);
+    if (blocking) {
+      return res.status(400).json({ message: `No lecture on this day: ${blocking.title} (${blocking.kind})`, event: blocking });
+    }
+
+    const { marks, errors } = validateMarks(allocation, records);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Invalid attendance records', errors });
+    }
+
+    // Roster students without a mark are recorded as Absent
+    for (const studentId of allocation.students) {
+      if (!marks.has(studentId.toString())) marks.set(studentId.toString(), 'Absent');
+    }
+
+    const existing = await LectureSession.findOne({ allocationId, date: sessionDate, startTime });
+    if (existing) {
+      return res.status(409).json({ message: 'A session already exists for this allocation, date and start time', sessionId: existing._id });
+    }
+
+    const session = await LectureSession.create({
+      allocationId,
+      subjectId: allocation.subjectId,
+      teacherId: req.user.role === 'teacher' ? req.user.userId : allocation.teacherId,
+      type: allocation.type,
+      division: allocation.division || null,
+      batch: allocation.type === 'Practical' ? allocation.batch : null,
+      date: sessionDate,
+      startTime,
+      endTime: endTime || null,
+      records: Array.from(marks, ([studentId, status]) => ({ studentId, status }))
+    });
+
+    const summary = await syncSessionSummary(allocationId);
+    await notifySessionChange(req, session, 'created');
+
+    res.status(201).json({
+      message: 'Lecture session recorded',
+      session,
+      summary
+    });
+  } catch (error) {
+    // Another request created the same session between the check and the insert
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A session already exists for this allocation, date and start time' });
+    }
+    console.error('Create lecture session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List lecture sessions
+router.get('/', authMiddleware, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const { allocationId, from, to } = req.query;
+    const filter = {};
+
+    if (req.user.role === 'teacher') filter.teacherId = req.user.userId;
+    if (allocationId) filter.allocationId = allocationId;
+
+    const fromDate = normalizeSessionDate(from);
+    const toDate = normalizeSessionDate(to);
+    if (fromDate || toDate) {
+      filter.date = {};
+      if (fromDate) filter.date.$gte = fromDate;
+      if (toDate) filter.date.$lte = toDate;
+    }
+
+    const sessions = await LectureSession.find(filter)
+      .populate('subjectId', 'name code')
+      .populate('teacherId', 'teacherName')
+      .sort({ date: -1, startTime: -1 });
+
+    res.json(sessions);
+  } catch (error) {
+    console.error('Get lecture sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Day-wise attendance of one student (e.g. ?date=2025-09-14 or ?from=&to=)
+router.get('/student/:studentId', authMiddleware, async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    const { date, from, to } = req.query;
+
+    if (req.user.role === 'student' && req.user.userId !== studentId) {
+      return res.status(403).json({ message: 'Insufficient permissions' });
+    }
+
+    const filter = { 'records.studentId': studentId };
+    const day = normalizeSessionDate(date);
+    if (day) {
+      filter.date = day;
+    } else {
+      const fromDate = normalizeSessionDate(from);
+      const toDate = normalizeSessionDate(to);
+      if (fromDate || toDate) {
+        filter.date = {};
+        if (fromDate) filter.date.$gte = fromDate;
+        if (toDate) filter.date.$lte = toDate;
+      }
+    }
+
+    const sessions = await LectureSession.find(filter)
+      .populate('subjectId', 'name code')
+      .sort({ date: 1, startTime: 1 });
+
+    res.json(sessions.map(session => ({
+      sessionId: session._id,
+      subject: session.subjectId,
+      type: session.type,
+      date: session.date,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      status: session.records.find(r => r.studentId.toString() === studentId).status
+    })));
+  } catch (error) {
+    console.error('Get student sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a lecture session
+router.get('/:sessionId', authMiddleware, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const filter = { _id: req.params.sessionId };
+    if (req.user.role === 'teacher') filter.teacherId = req.user.userId;
+
+    const session = await LectureSession.findOne(filter)
+      .populate('subjectId', 'name code')
+      .populate('records.studentId', 'name studentId');
+
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json(session);
+  } catch (error) {
+    console.error('Get lecture session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update the marks or timing of a lecture session
+router.put('/:sessionId', authMiddleware, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const { startTime, endTime, records } = req.body;
+    if (startTime && !START_TIME_PATTERN.test(startTime)) {
+      return res.status(400).json({ message: 'startTime must be HH:MM (24h)' });
+    }
+
+    const session = await LectureSession.findById(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const allocation = await findWritableAllocation(session.allocationId, req.user);
+    if (!allocation) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    if (await rejectIfLocked(res, allocation, session.date)) return;
+
+    if (records) {
+      const { marks, errors } = validateMarks(allocation, records);
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Invalid attendance records', errors });
+      }
+
+      // Only the submitted students change; everyone else keeps their mark
+      for (const record of session.records) {
+        const studentId = record.studentId.toString();
+        if (marks.has(studentId)) {
+          record.status = marks.get(studentId);
+          marks.delete(studentId);
+        }
+      }
+      for (const [studentId, status] of marks) {
+        session.records.push({ studentId, status });
+      }
+    }
+    if (startTime) session.startTime = startTime;
+    if (endTime !== undefined) session.endTime = endTime || null;
+    session.updatedAt = new Date();
+
+    await session.save();
+
+    const summary = await syncSessionSummary(session.allocationId);
+    await notifySessionChange(req, session, 'updated');
+
+    res.json({
+      message: 'Lecture session updated',
+      session,
+      summary
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'A session already exists for this allocation, date and start time' });
+    }
+    console.error('Update lecture session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a lecture session
+router.delete('/:sessionId', authMiddleware, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const session = await LectureSession.findById(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    const allocation = await findWritableAllocation(session.allocationId, req.user);
+    if (!allocation) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    if (await rejectIfLocked(res, allocation, session.date)) return;
+
+    await LectureSession.deleteOne({ _id: session._id });
+
+    const summary = await syncSessionSummary(session.allocationId);
+    await notifySessionChange(req, session, 'deleted');
+
+    res.json({
+      message: 'Lecture session deleted',
+      summary
+    });
+  } catch (error) {
+    console.error('Delete lecture session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
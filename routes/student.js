@@ -1,8 +1,11 @@
 const express = require('express');
 const Student = require('../models/Student');
-const Attendance = require('../models/Attendance');
 const Subject = require('../models/Subject');
+const TimetableSlot = require('../models/TimetableSlot');
 const { authMiddleware, requireRole } = require('../middleware/auth');
+const { getStudentAttendanceTotals } = require('../services/attendanceTotals');
+const { sortSlots } = require('../services/timetable');
+const { loadRemainingLectures, projectRecovery, remainingFor } = require('../services/recovery');
 
 const router = express.Router();
 
@@ -57,62 +60,25 @@ router.get('/attendance-summary', authMiddleware, requireRole(['student']), asyn
   try {
     const studentId = req.user.userId;
 
-    const attendance = await Attendance.find({ studentId })
-      .populate('subjectId', 'name code')
-      .sort({ updatedAt: -1 });
-
-    // Group by subject and type, aggregate if multiple periods
-    const subjectStats = {};
-    
-    attendance.forEach(record => {
-      if (!record.subjectId) return;
-      
-      const subjectId = record.subjectId._id.toString();
-      const key = `${subjectId}_${record.type}`;
-      
-      if (!subjectStats[key]) {
-        subjectStats[key] = {
-          subject: record.subjectId,
-          type: record.type,
-          totalConducted: 0,
-          totalAttended: 0,
-          percentage: 0,
-          period: record.period,
-          division: record.division,
-          batch: record.batch
-        };
-      }
-      
-      // Aggregate totals if multiple periods
-      subjectStats[key].totalConducted += record.totalConducted || 0;
-      subjectStats[key].totalAttended += record.totalAttended || 0;
-      
-      // Use latest percentage or calculate
-      if (record.percentage > 0) {
-        subjectStats[key].percentage = record.percentage;
-      }
-    });
-
-    // Calculate percentages for aggregated records
-    Object.keys(subjectStats).forEach(key => {
-      const stats = subjectStats[key];
-      if (stats.percentage === 0 && stats.totalConducted > 0) {
-        stats.percentage = (stats.totalAttended / stats.totalConducted) * 100;
-      }
-    });
-
-    // Overall stats - sum up totals from all subjects
-    const totalClasses = Object.values(subjectStats).reduce((sum, stats) => sum + stats.totalConducted, 0);
-    const totalAttended = Object.values(subjectStats).reduce((sum, stats) => sum + stats.totalAttended, 0);
-    const overallPercentage = totalClasses > 0 ? (totalAttended / totalClasses) * 100 : 0;
+    // Latest cumulative snapshot plus later incremental periods, per subject and type
+    const totals = await getStudentAttendanceTotals(studentId);
+    const remaining = (await loadRemainingLectures([studentId])).get(studentId);
 
     res.json({
       overall: {
-        totalClasses,
-        totalAttended,
-        percentage: Math.round(overallPercentage * 100) / 100
+        totalClasses: totals.overall.totalClasses,
+        totalAttended: totals.overall.totalAttended,
+        percentage: Math.round(totals.overall.percentage * 100) / 100
       },
-      subjects: Object.values(subjectStats)
+      // Each subject and type carries how many lectures in a row lift it to the defaulter threshold
+      subjects: totals.subjects.map(entry => ({
+        ...entry,
+        recovery: projectRecovery(
+          entry.adjustedConducted,
+          entry.adjustedAttended,
+          remainingFor(remaining, entry.subject._id || entry.subject, [entry.type])
+        )
+      }))
     });
 
   } catch (error) {
@@ -162,4 +128,31 @@ router.put('/profile', authMiddleware, requireRole(['student']), async (req, res
   }
 });
 
-module.exports = router;
+// Get student's weekly timetable (division lectures plus own batch practicals)
+router.get('/timetable', authMiddleware, requireRole(['student']), async (req, res) => {
+  try {
+    const student = await Student.findById(req.user.userId).select('division batch semesterId');
+    if (!student) {
+      return res.status(404).json({ message: 'Student not found' });
+    }
+
+    const query = {
+      division: student.division,
+      $or: [{ type: 'Theory' }, { batch: student.batch }]
+    };
+    if (student.semesterId) {
+      query.semesterId = student.semesterId;
+    }
+
+    const slots = await TimetableSlot.find(query)
+      .populate('subjectId', 'name code')
+      .populate('teacherId', 'teacherName');
+
+    res.json(sortSlots(slots));
+  } catch (error) {
+    console.error('Get student timetable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,32 @@
+const express = require('express');
+const { authMiddleware, requireRole } = require('../middleware/auth');
+const { applySyncBatch } = require('../services/offlineSync');
+
+const router = express.Router();
+
+// Apply attendance recorded offline
+// Body: syncToken (from the previous sync, omitted on the first) and operations[]:
+//   { opId, kind: 'session', clientTimestamp, allocationId, date, startTime, endTime, records, force }
+//   { opId, kind: 'mark', clientTimestamp, studentId, subjectId, type, totalConducted, totalAttended, periodId, force }
+router.post('/', authMiddleware, requireRole(['teacher', 'admin']), async (req, res) => {
+  try {
+    const result = await applySyncBatch(req.user, req.body);
+    const { status, success, ...body } = result;
+
+    if (success && body.applied.length > 0) {
+      await req.io.emitToRole('admin', 'attendance-updated', {
+        source: 'offline-sync',
+        teacherId: req.user.userId,
+        operations: body.applied.length,
+        nodeId: process.env.NODE_ID || 'node-1'
+      });
+    }
+
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Offline sync error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,9 @@ const Attendance = require('../models/Attendance');
 const Student = require('../models/Student');
 const Subject = require('../models/Subject');
 const { authMiddleware, requireRole } = require('../middleware/auth');
+const TimetableSlot = require('../models/TimetableSlot');
+const { loadPeriods, sumStudentTotals } = require('../services/attendanceTotals');
+const { sortSlots, timetableProgress } = require('../services/timetable');
 
 const router = express.Router();
 
@@ -103,15 +106,15 @@ router.get('/attendance-reports', authMiddleware, requireRole(['teacher']), asyn
       }
 
       subjectReports[key].records.push(record);
-      
-      // Aggregate summary data
-      subjectReports[key].stats.totalConducted += record.totalConducted || 0;
-      subjectReports[key].stats.totalAttended += record.totalAttended || 0;
     });
 
-    // Calculate percentages
+    // Aggregate summary data (each student's latest snapshot plus later incremental periods)
+    const periods = await loadPeriods(filteredAttendance);
     Object.keys(subjectReports).forEach(key => {
       const stats = subjectReports[key].stats;
+      const totals = sumStudentTotals(subjectReports[key].records, periods);
+      stats.totalConducted = totals.totalConducted;
+      stats.totalAttended = totals.totalAttended;
       stats.percentage = stats.totalConducted > 0 
         ? (stats.totalAttended / stats.totalConducted) * 100 
         : 0;
@@ -154,4 +157,27 @@ router.get('/allocations/:allocationId/students', authMiddleware, requireRole(['
   }
 });
 
+// Get teacher's weekly timetable with planned vs conducted lectures per allocation
+router.get('/timetable', authMiddleware, requireRole(['teacher']), async (req, res) => {
+  try {
+    const teacherId = req.user.userId;
+
+    const slots = await TimetableSlot.find({ teacherId })
+      .populate('subjectId', 'name code');
+
+    const allocations = await Allocation.find({ teacherId })
+      .populate('subjectId', 'name code')
+      .select('subjectId type division batch totalPlanned totalConducted');
+    const progress = await timetableProgress(allocations);
+
+    res.json({
+      slots: sortSlots(slots),
+      progress
+    });
+  } catch (error) {
+    console.error('Get teacher timetable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
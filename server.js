@@ -6,12 +6,24 @@ const cookieParser = require('cookie-parser');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const FaultToleranceManager = require('./services/faultTolerance');
+const { assertTransactionSupport } = require('./services/transactions');
 require('dotenv').config();
 
 // Create Express app and HTTP server
 const app = express();
 const server = createServer(app);
 
+// req.ip must be the client, not the reverse proxy in front of the app (login throttling keys on it).
+// TRUST_PROXY is a hop count, "true"/"false", or addresses/subnets as Express accepts them.
+// Unset, X-Forwarded-For is ignored: trusting it without a proxy would let clients pick their own IP.
+function trustProxySetting(value = 'false') {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^\d+$/.test(value)) return parseInt(value);
+  return value.split(',').map(entry => entry.trim());
+}
+app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
+
 // Initialize Fault Tolerance Manager
 const faultTolerance = new FaultToleranceManager();
 
@@ -163,12 +175,18 @@ app.use((req, res, next) => {
 // Routes
 // -------------------------
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/attendance/sessions', require('./routes/sessions'));
+app.use('/api/attendance/checkin', require('./routes/checkin'));
+app.use('/api/attendance/amendments', require('./routes/amendments'));
+app.use('/api/attendance/sync', require('./routes/sync'));
 app.use('/api/attendance', require('./routes/attendance'));
 app.use('/api/analytics', require('./routes/analytics'));
 app.use('/api/grievances', require('./routes/grievances'));
+app.use('/api/leaves', require('./routes/leaves'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/teacher', require('./routes/teacher'));
 app.use('/api/student', require('./routes/student'));
+app.use('/api/jobs', require('./routes/jobs'));
 
 // -------------------------
 // Error Handling
@@ -234,6 +252,7 @@ process.on('uncaughtException', async (error) => {
 async function startServer() {
   try {
     await connectDatabase();
+    await assertTransactionSupport();
     const PORT = process.env.PORT || 5000;
 
     server.listen(PORT, () => {
@@ -250,6 +269,10 @@ async function startServer() {
     allocationSyncWorker.startSyncWorker();
     console.log('📋 Allocation sync worker started (runs every 5 minutes)');
 
+    // Start background job worker (large uploads)
+    const jobWorker = require('./workers/jobWorker');
+    jobWorker.startJobWorker(io);
+
     // Leader election status
     if (process.env.IS_LEADER === 'true') {
       faultTolerance.setLeaderStatus(true);
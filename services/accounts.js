@@ -0,0 +1,63 @@
+const Admin = require('../models/Admin');
+const Teacher = require('../models/Teacher');
+const Student = require('../models/Student');
+
+// Where each role keeps its login, password, name and mail address.
+// mustChangePassword marks roles whose accounts are bulk-imported with initial passwords.
+const ACCOUNT_FIELDS = {
+  admin: { model: Admin, login: 'adminId', password: 'adminPassword', name: 'adminName', email: 'adminId', mustChangePassword: false },
+  teacher: { model: Teacher, login: 'teacherEmail', password: 'teacherPassword', name: 'teacherName', email: 'teacherEmail', mustChangePassword: true },
+  student: { model: Student, login: 'email', password: 'password', name: 'name', email: 'email', mustChangePassword: true }
+};
+
+const ROLES = Object.keys(ACCOUNT_FIELDS);
+
+function accountFields(role) {
+  return ACCOUNT_FIELDS[role] || null;
+}
+
+/**
+ * Account of a role by its login (admin id, teacher email or student email)
+ */
+async function findAccountByLogin(role, login) {
+  const fields = accountFields(role);
+  if (!fields || !login) return null;
+  return fields.model.findOne({ [fields.login]: login });
+}
+
+async function findAccountById(role, id) {
+  const fields = accountFields(role);
+  if (!fields) return null;
+  return fields.model.findById(id);
+}
+
+/**
+ * Whether the account behind a token still exists and has not been deactivated
+ * (admins have no status flag)
+ */
+async function isAccountActive(role, id) {
+  const fields = accountFields(role);
+  if (!fields) return false;
+  const account = await fields.model.findById(id).select('isActive').lean();
+  return !!account && account.isActive !== false;
+}
+
+function accountName(role, account) {
+  return account[accountFields(role).name];
+}
+
+// Mail address of an account; admin ids are only used when they are addresses
+function accountEmail(role, account) {
+  const value = account[accountFields(role).email];
+  return value && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? value : null;
+}
+
+module.exports = {
+  ROLES,
+  accountFields,
+  findAccountByLogin,
+  findAccountById,
+  isAccountActive,
+  accountName,
+  accountEmail
+};
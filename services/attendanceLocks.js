@@ -0,0 +1,237 @@
+const Allocation = require('../models/Allocation');
+const Attendance = require('../models/Attendance');
+const AttendanceAmendment = require('../models/AttendanceAmendment');
+const AttendanceLock = require('../models/AttendanceLock');
+const LectureSession = require('../models/LectureSession');
+const Subject = require('../models/Subject');
+const { syncSessionSummary } = require('./sessionAttendance');
+const { withTransaction } = require('./transactions');
+
+/**
+ * The active lock covering a write, if any. A period lock covers writes bound to that period
+ * and dated writes (lecture sessions) that fall inside it; a semester lock covers everything.
+ * @returns {Promise<object|null>}
+ */
+async function findActiveLock({ semesterId, periodId = null, date = null }, dbSession = null) {
+  if (!semesterId) return null;
+
+  const locks = await AttendanceLock.find({
+    semesterId,
+    releasedAt: null,
+    lockedFrom: { $lte: new Date() }
+  })
+    .populate('periodId', 'label startDate endDate')
+    .session(dbSession)
+    .lean();
+
+  return locks.find(lock => {
+    if (!lock.periodId) return true;
+    if (periodId && lock.periodId._id.toString() === periodId.toString()) return true;
+    return !!date && lock.periodId.startDate <= date && date <= lock.periodId.endDate;
+  }) || null;
+}
+
+/**
+ * The active lock covering attendance of a subject
+ */
+async function lockForSubject(subjectId, { periodId = null, date = null } = {}, dbSession = null) {
+  const subject = await Subject.findById(subjectId).select('semesterId').session(dbSession);
+  if (!subject) return null;
+  return findActiveLock({ semesterId: subject.semesterId, periodId, date }, dbSession);
+}
+
+/**
+ * The first active lock covering the semester and period of planned division sheets
+ * @returns {Promise<{lock: object, plan: object}|null>}
+ */
+async function lockForPlans(plans) {
+  for (const plan of plans) {
+    const lock = await findActiveLock({ semesterId: plan.scope && plan.scope.semesterId, periodId: plan.periodId });
+    if (lock) return { lock, plan };
+  }
+  return null;
+}
+
+/**
+ * The 423 result for a write refused by a lock
+ */
+function lockedResult(lock) {
+  const scope = lock.periodId ? `period "${lock.periodId.label}"` : 'this semester';
+  return {
+    success: false,
+    status: 423,
+    message: `Attendance for ${scope} is locked${lock.reason ? ` (${lock.reason})` : ''}. Submit an amendment request instead.`,
+    lockId: lock._id,
+    amendmentUrl: '/api/attendance/amendments'
+  };
+}
+
+async function canAmend(user, subjectId, type) {
+  if (user.role === 'admin') return true;
+  if (user.role !== 'teacher') return false;
+  return !!(await Allocation.exists({ teacherId: user.userId, subjectId, type }));
+}
+
+/**
+ * Validate and record an amendment of locked attendance
+ * @param {object} body - target, attendanceId + totalConducted/totalAttended, or sessionId + studentId + status; reason
+ * @returns {Promise<{success: boolean, status?: number, message?: string, amendment?: object}>}
+ */
+async function requestAmendment(body, user) {
+  const { target } = body;
+  const reason = body.reason ? String(body.reason).trim() : '';
+  if (!['attendance', 'session'].includes(target)) {
+    return { success: false, status: 400, message: 'target must be attendance or session' };
+  }
+  if (!reason) {
+    return { success: false, status: 400, message: 'reason is required' };
+  }
+
+  const fields = { target, reason, requestedBy: user.userId, requesterRole: user.role };
+  let lock;
+  let type;
+
+  if (target === 'attendance') {
+    const record = await Attendance.findById(body.attendanceId);
+    if (!record) {
+      return { success: false, status: 404, message: 'Attendance record not found' };
+    }
+    if (record.source === 'session') {
+      return { success: false, status: 400, message: 'This attendance comes from lecture sessions. Amend the session marks instead.' };
+    }
+
+    const totalConducted = body.totalConducted !== undefined ? Number(body.totalConducted) : record.totalConducted;
+    const totalAttended = Number(body.totalAttended);
+    if (!Number.isInteger(totalConducted) || !Number.isInteger(totalAttended) ||
+      totalAttended < 0 || totalAttended > totalConducted) {
+      return { success: false, status: 400, message: 'totalAttended must be a whole number between 0 and totalConducted' };
+    }
+
+    type = record.type;
+    lock = await lockForSubject(record.subjectId, { periodId: record.periodId });
+    Object.assign(fields, {
+      attendanceId: record._id,
+      studentId: record.studentId,
+      subjectId: record.subjectId,
+      proposed: { totalConducted, totalAttended },
+      before: { totalConducted: record.totalConducted, totalAttended: record.totalAttended, percentage: record.percentage }
+    });
+  } else {
+    const lecture = await LectureSession.findById(body.sessionId);
+    if (!lecture) {
+      return { success: false, status: 404, message: 'Session not found' };
+    }
+    const mark = lecture.records.find(r => r.studentId.toString() === String(body.studentId));
+    if (!mark) {
+      return { success: false, status: 400, message: 'Student is not part of this session' };
+    }
+    if (!['Present', 'Absent', 'Late'].includes(body.status)) {
+      return { success: false, status: 400, message: 'status must be Present, Absent or Late' };
+    }
+
+    type = lecture.type;
+    lock = await lockForSubject(lecture.subjectId, { date: lecture.date });
+    Object.assign(fields, {
+      sessionId: lecture._id,
+      studentId: mark.studentId,
+      subjectId: lecture.subjectId,
+      proposed: { status: body.status },
+      before: { status: mark.status, date: lecture.date }
+    });
+  }
+
+  if (!(await canAmend(user, fields.subjectId, type))) {
+    return { success: false, status: 403, message: 'Insufficient permissions' };
+  }
+  if (!lock) {
+    return { success: false, status: 400, message: 'This attendance is not locked. Change it directly.' };
+  }
+
+  const duplicate = await AttendanceAmendment.exists({
+    status: 'Pending',
+    target,
+    attendanceId: fields.attendanceId,
+    sessionId: fields.sessionId,
+    studentId: fields.studentId
+  });
+  if (duplicate) {
+    return { success: false, status: 409, message: 'An amendment for this record is already pending' };
+  }
+
+  const amendment = await AttendanceAmendment.create({ ...fields, lockId: lock._id });
+  return { success: true, amendment };
+}
+
+/**
+ * Approve or reject an amendment. Approval applies it past the lock and records the values
+ * it replaced; session marks rebuild the derived summary after commit.
+ * @returns {Promise<{success: boolean, status?: number, message?: string, amendment?: object}>}
+ */
+async function reviewAmendment(amendmentId, { reviewerId, status, response }) {
+  if (!['Approved', 'Rejected'].includes(status)) {
+    return { success: false, status: 400, message: 'status must be Approved or Rejected' };
+  }
+
+  let allocationToSync = null;
+  const outcome = await withTransaction(async (dbSession) => {
+    allocationToSync = null;
+    const amendment = await AttendanceAmendment.findById(amendmentId).session(dbSession);
+    if (!amendment) {
+      return { success: false, status: 404, message: 'Amendment not found' };
+    }
+    if (amendment.status !== 'Pending') {
+      return { success: false, status: 400, message: `Amendment is already ${amendment.status.toLowerCase()}` };
+    }
+
+    amendment.status = status;
+    amendment.response = response;
+    amendment.reviewedBy = reviewerId;
+    amendment.reviewedAt = new Date();
+
+    if (status === 'Approved' && amendment.target === 'attendance') {
+      const record = await Attendance.findById(amendment.attendanceId).session(dbSession);
+      if (!record) {
+        return { success: false, status: 404, message: 'Attendance record no longer exists' };
+      }
+      const { totalConducted, totalAttended } = amendment.proposed;
+      amendment.before = { totalConducted: record.totalConducted, totalAttended: record.totalAttended, percentage: record.percentage };
+      record.totalConducted = totalConducted;
+      record.totalAttended = totalAttended;
+      record.percentage = totalConducted > 0 ? (totalAttended / totalConducted) * 100 : 0;
+      record.updatedAt = amendment.reviewedAt;
+      await record.save({ session: dbSession });
+      amendment.after = { totalConducted, totalAttended, percentage: record.percentage };
+    }
+
+    if (status === 'Approved' && amendment.target === 'session') {
+      const lecture = await LectureSession.findById(amendment.sessionId).session(dbSession);
+      const mark = lecture && lecture.records.find(r => r.studentId.toString() === amendment.studentId.toString());
+      if (!mark) {
+        return { success: false, status: 404, message: 'Session mark no longer exists' };
+      }
+      amendment.before = { status: mark.status, date: lecture.date };
+      mark.status = amendment.proposed.status;
+      lecture.updatedAt = amendment.reviewedAt;
+      await lecture.save({ session: dbSession });
+      amendment.after = { status: mark.status, date: lecture.date };
+      allocationToSync = lecture.allocationId;
+    }
+
+    await amendment.save({ session: dbSession });
+    return { success: true, amendment };
+  });
+
+  if (outcome.success && allocationToSync) {
+    await syncSessionSummary(allocationToSync);
+  }
+  return outcome;
+}
+
+module.exports = {
+  findActiveLock,
+  lockForSubject,
+  lockForPlans,
+  lockedResult,
+  requestAmendment,
+  reviewAmendment
+};
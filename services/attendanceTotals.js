@@ -0,0 +1,274 @@
+const Attendance = require('../models/Attendance');
+const Period = require('../models/Period');
+const { normalizeSessionDate } = require('./sessionAttendance');
+const { loadApprovedLeaves } = require('./leaves');
+
+// One rule for turning a student's Attendance records into totals, shared by every endpoint:
+// per subject and type, take the latest cumulative snapshot and add the incremental periods
+// that start after it. Session summaries and marked lectures have no Period; they count
+// lectures held on top of the sheets, so only lectures dated after the snapshot's end date
+// are added. Legacy sheet records (a period label but no Period) count as cumulative
+// snapshots taken at their updatedAt.
+
+/**
+ * Load the Period documents referenced by a set of records
+ * @returns {Promise<Map<string, object>>}
+ */
+async function loadPeriods(records) {
+  const ids = [...new Set(records.filter(r => r.periodId).map(r => r.periodId.toString()))];
+  if (ids.length === 0) return new Map();
+  const periods = await Period.find({ _id: { $in: ids } }).lean();
+  return new Map(periods.map(p => [p._id.toString(), p]));
+}
+
+/**
+ * Load every Period once, for views that compute totals for many students
+ * @returns {Promise<Map<string, object>>}
+ */
+async function loadAllPeriods() {
+  const periods = await Period.find().lean();
+  return new Map(periods.map(p => [p._id.toString(), p]));
+}
+
+function describeRecord(record, periods) {
+  const period = record.periodId ? periods.get(record.periodId.toString()) : null;
+  if (period) {
+    return { record, period, kind: period.kind, startDate: period.startDate, asOf: period.endDate };
+  }
+  if (record.source === 'session' || record.source === 'mark' || !record.period) {
+    // Session summaries list their lectures; any other record is one batch dated when it was recorded
+    const lectures = record.lectures && record.lectures.length > 0
+      ? record.lectures.map(l => ({ date: l.date, conducted: 1, attended: l.attended ? 1 : 0 }))
+      : [{ date: record.updatedAt || new Date(0), conducted: record.totalConducted || 0, attended: record.totalAttended || 0 }];
+    return { record, period: null, kind: 'incremental', startDate: null, asOf: record.updatedAt || new Date(0), lectures };
+  }
+  return { record, period: null, kind: 'cumulative', startDate: null, asOf: record.updatedAt || new Date(0) };
+}
+
+// Conducted/attended counts an item adds, keeping only lectures held after `coveredUntil`
+function countItem(item, coveredUntil) {
+  if (!item.lectures) {
+    return { ...item, conducted: item.record.totalConducted || 0, attended: item.record.totalAttended || 0 };
+  }
+  const lectures = coveredUntil
+    ? item.lectures.filter(l => normalizeSessionDate(l.date) > normalizeSessionDate(coveredUntil))
+    : item.lectures;
+  return {
+    ...item,
+    conducted: lectures.reduce((sum, l) => sum + l.conducted, 0),
+    attended: lectures.reduce((sum, l) => sum + l.attended, 0)
+  };
+}
+
+/**
+ * Combine Attendance records into one entry per subject and type
+ * @param {Array} records - Attendance documents (subjectId may be populated)
+ * @param {Map} periods - From loadPeriods
+ * @returns {Array<{subject, type, totalConducted, totalAttended, percentage, period, periods, division, batch}>}
+ */
+function combineAttendanceRecords(records, periods) {
+  const groups = {};
+  for (const record of records) {
+    if (!record.subjectId) continue;
+    const subjectId = (record.subjectId._id || record.subjectId).toString();
+    const key = `${subjectId}_${record.type}`;
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(describeRecord(record, periods));
+  }
+
+  return Object.values(groups).map(items => {
+    const byAsOf = (a, b) => new Date(b.asOf) - new Date(a.asOf) ||
+      new Date(b.record.updatedAt || 0) - new Date(a.record.updatedAt || 0);
+
+    const snapshot = items.filter(i => i.kind === 'cumulative').sort(byAsOf)[0] || null;
+    // Incremental periods that end before the snapshot, and lectures held up to its end date,
+    // are already part of it
+    const increments = items
+      .filter(i => i.kind === 'incremental')
+      .filter(i => !i.startDate || !snapshot || new Date(i.startDate) > new Date(snapshot.asOf))
+      .map(i => countItem(i, snapshot && snapshot.asOf))
+      .filter(i => !i.lectures || !snapshot || i.conducted > 0)
+      .sort((a, b) => new Date(a.startDate || a.asOf) - new Date(b.startDate || b.asOf));
+
+    const used = snapshot ? [countItem(snapshot), ...increments] : increments;
+    const totalConducted = used.reduce((sum, i) => sum + i.conducted, 0);
+    const totalAttended = used.reduce((sum, i) => sum + i.attended, 0);
+
+    // A lone sheet record keeps the percentage printed on the sheet
+    let percentage = totalConducted > 0 ? (totalAttended / totalConducted) * 100 : 0;
+    if (used.length === 1 && !used[0].lectures && used[0].record.percentage > 0) {
+      percentage = used[0].record.percentage;
+    }
+
+    const latest = used[used.length - 1];
+    return {
+      subject: latest.record.subjectId,
+      type: latest.record.type,
+      totalConducted,
+      totalAttended,
+      percentage,
+      period: latest.period ? latest.period.label : latest.record.period,
+      periods: used.map(i => ({
+        periodId: i.period ? i.period._id : null,
+        label: i.period ? i.period.label : i.record.period,
+        kind: i.kind
+      })),
+      division: latest.record.division,
+      batch: latest.record.batch
+    };
+  });
+}
+
+/**
+ * Add the leave-adjusted figures to combined entries, next to the raw ones.
+ * Medical leave excludes missed lectures from the conducted count, OD credits them as attended.
+ * @param {Array} entries - From combineAttendanceRecords
+ * @param {Array} leaveLectures - One student's entries from loadApprovedLeaves
+ */
+function applyLeaveAdjustments(entries, leaveLectures = []) {
+  return entries.map(entry => {
+    const subjectId = (entry.subject._id || entry.subject).toString();
+    const covered = leaveLectures.filter(l => l.subjectId.toString() === subjectId && l.type === entry.type);
+    const missed = Math.max(entry.totalConducted - entry.totalAttended, 0);
+
+    const excusedLectures = Math.min(
+      covered.filter(l => l.kind === 'Medical').reduce((sum, l) => sum + l.count, 0),
+      missed
+    );
+    const creditedLectures = Math.min(
+      covered.filter(l => l.kind === 'OD').reduce((sum, l) => sum + l.count, 0),
+      missed - excusedLectures
+    );
+
+    const adjustedConducted = entry.totalConducted - excusedLectures;
+    const adjustedAttended = entry.totalAttended + creditedLectures;
+    let adjustedPercentage = entry.percentage;
+    if (excusedLectures + creditedLectures > 0) {
+      // Every lecture excused leaves nothing to fall short on
+      adjustedPercentage = adjustedConducted > 0 ? (adjustedAttended / adjustedConducted) * 100 : 100;
+    }
+
+    return { ...entry, excusedLectures, creditedLectures, adjustedConducted, adjustedAttended, adjustedPercentage };
+  });
+}
+
+/**
+ * Sum the totals of many students' records, combining each student's records first
+ * so no student's periods are double counted
+ * @returns {{totalConducted: number, totalAttended: number}}
+ */
+function sumStudentTotals(records, periods) {
+  const byStudent = {};
+  for (const record of records) {
+    if (!record.studentId) continue;
+    const studentId = (record.studentId._id || record.studentId).toString();
+    if (!byStudent[studentId]) byStudent[studentId] = [];
+    byStudent[studentId].push(record);
+  }
+
+  let totalConducted = 0;
+  let totalAttended = 0;
+  for (const studentRecords of Object.values(byStudent)) {
+    for (const entry of combineAttendanceRecords(studentRecords, periods)) {
+      totalConducted += entry.totalConducted;
+      totalAttended += entry.totalAttended;
+    }
+  }
+  return { totalConducted, totalAttended };
+}
+
+/**
+ * Attendance totals of one student per subject and type, plus the overall figure.
+ * Each figure comes raw and adjusted for approved leave.
+ * @param {object} options - subjectIds restricts subjects; periods and leaves can be preloaded
+ *   (a Map of all periods, a Map from loadApprovedLeaves)
+ * @returns {Promise<{records: Array, subjects: Array, overall: {totalClasses: number, totalAttended: number, percentage: number, adjustedPercentage: number}}>}
+ */
+async function getStudentAttendanceTotals(studentId, { subjectIds = null, periods = null, leaves = null } = {}) {
+  const query = { studentId };
+  if (subjectIds) query.subjectId = { $in: subjectIds };
+
+  const records = await Attendance.find(query)
+    .populate('subjectId', 'name code')
+    .sort({ updatedAt: -1 });
+
+  const leaveMap = leaves || await loadApprovedLeaves([studentId]);
+  const subjects = applyLeaveAdjustments(
+    combineAttendanceRecords(records, periods || await loadPeriods(records)),
+    leaveMap.get(studentId.toString()) || []
+  );
+
+  const totalClasses = subjects.reduce((sum, s) => sum + s.totalConducted, 0);
+  const totalAttended = subjects.reduce((sum, s) => sum + s.totalAttended, 0);
+  const percentage = totalClasses > 0 ? (totalAttended / totalClasses) * 100 : 0;
+
+  const adjustedClasses = subjects.reduce((sum, s) => sum + s.adjustedConducted, 0);
+  const adjustedAttended = subjects.reduce((sum, s) => sum + s.adjustedAttended, 0);
+  const leaveApplied = subjects.some(s => s.excusedLectures + s.creditedLectures > 0);
+  let adjustedPercentage = percentage;
+  if (leaveApplied) {
+    adjustedPercentage = adjustedClasses > 0 ? (adjustedAttended / adjustedClasses) * 100 : 100;
+  }
+
+  return {
+    records,
+    subjects,
+    overall: { totalClasses, totalAttended, percentage, adjustedPercentage }
+  };
+}
+
+/**
+ * Merge the Theory and Practical entries of each subject (defaulter views are per subject).
+ * Expects entries from getStudentAttendanceTotals, which carry the leave adjustments.
+ * @returns {Array<{subject, total: number, present: number, percentage: number, adjustedPercentage: number}>}
+ */
+function totalsBySubject(subjectTotals) {
+  const bySubject = {};
+  for (const entry of subjectTotals) {
+    const id = (entry.subject._id || entry.subject).toString();
+    if (!bySubject[id]) {
+      bySubject[id] = {
+        subject: entry.subject,
+        total: 0,
+        present: 0,
+        adjustedTotal: 0,
+        adjustedPresent: 0,
+        excusedLectures: 0,
+        creditedLectures: 0,
+        entries: 0,
+        percentage: 0,
+        adjustedPercentage: 0
+      };
+    }
+    const stats = bySubject[id];
+    stats.total += entry.totalConducted;
+    stats.present += entry.totalAttended;
+    stats.adjustedTotal += entry.adjustedConducted;
+    stats.adjustedPresent += entry.adjustedAttended;
+    stats.excusedLectures += entry.excusedLectures;
+    stats.creditedLectures += entry.creditedLectures;
+    stats.entries++;
+    stats.percentage = entry.percentage;
+    stats.adjustedPercentage = entry.adjustedPercentage;
+  }
+
+  return Object.values(bySubject).map(({ entries, ...stats }) => {
+    if (entries === 1) return stats;
+    const percentage = stats.total > 0 ? (stats.present / stats.total) * 100 : 0;
+    let adjustedPercentage = percentage;
+    if (stats.excusedLectures + stats.creditedLectures > 0) {
+      adjustedPercentage = stats.adjustedTotal > 0 ? (stats.adjustedPresent / stats.adjustedTotal) * 100 : 100;
+    }
+    return { ...stats, percentage, adjustedPercentage };
+  });
+}
+
+module.exports = {
+  loadPeriods,
+  loadAllPeriods,
+  combineAttendanceRecords,
+  applyLeaveAdjustments,
+  sumStudentTotals,
+  getStudentAttendanceTotals,
+  totalsBySubject
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const AuthSession = require('../models/AuthSession');
+const { isAccountActive } = require('./accounts');
+
+const ACCESS_TOKEN_MINUTES = parseInt(process.env.ACCESS_TOKEN_MINUTES) || 15;
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 7;
+
+function hashRefreshSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Short-lived access token bound to a session
+ */
+function signAccessToken(session) {
+  return jwt.sign(
+    { userId: session.userId, role: session.role, email: session.email, sid: session._id },
+    process.env.JWT_SECRET || 'fallback_secret',
+    { expiresIn: `${ACCESS_TOKEN_MINUTES}m` }
+  );
+}
+
+/**
+ * Start a session after a successful login
+ * @param {object} user - userId, role, email
+ * @param {object} client - ip, userAgent
+ * @returns {Promise<{session: object, accessToken: string, refreshToken: string}>}
+ */
+async function createAuthSession({ userId, role, email }, { ip = null, userAgent = null } = {}) {
+  const secret = crypto.randomBytes(48).toString('hex');
+  const session = await AuthSession.create({
+    userId,
+    role,
+    email,
+    refreshTokenHash: hashRefreshSecret(secret),
+    ip,
+    userAgent,
+    expiresAt: refreshExpiry()
+  });
+
+  return {
+    session,
+    accessToken: signAccessToken(session),
+    refreshToken: `${session._id}.${secret}`
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access and refresh token. Replaying a refresh token that
+ * was already rotated revokes the session, since only a copied token can be presented twice.
+ * @returns {Promise<{success: boolean, status?: number, message?: string, deactivated?: boolean, session?: object, accessToken?: string, refreshToken?: string}>}
+ */
+async function rotateRefreshToken(refreshToken, { ip = null, userAgent = null } = {}) {
+  const invalid = { success: false, status: 401, message: 'Invalid refresh token' };
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return invalid;
+
+  const session = await AuthSession.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return { success: false, status: 401, message: 'Session has expired or been revoked' };
+  }
+
+  const presented = hashRefreshSecret(secret);
+  if (presented === session.previousTokenHash) {
+    await revokeAuthSession(session._id, { reason: 'refresh-token-reuse' });
+    return { success: false, status: 401, message: 'Refresh token was already used. The session has been revoked.' };
+  }
+  if (presented !== session.refreshTokenHash) return invalid;
+
+  // Deactivation revokes sessions, but a refresh must not outlive an account switched off meanwhile
+  if (!(await isAccountActive(session.role, session.userId))) {
+    await revokeAuthSession(session._id, { reason: 'deactivated' });
+    return { success: false, status: 403, message: 'Account is deactivated', deactivated: true };
+  }
+
+  const nextSecret = crypto.randomBytes(48).toString('hex');
+  // Conditional on the presented hash, so two concurrent refreshes cannot both rotate
+  const rotated = await AuthSession.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presented, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashRefreshSecret(nextSecret),
+        previousTokenHash: presented,
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+        ip,
+        userAgent
+      }
+    },
+    { new: true }
+  );
+  if (!rotated) return invalid;
+
+  return {
+    success: true,
+    session: rotated,
+    accessToken: signAccessToken(rotated),
+    refreshToken: `${rotated._id}.${nextSecret}`
+  };
+}
+
+/**
+ * Whether the session an access token belongs to is still active
+ */
+async function isSessionActive(decoded) {
+  if (!decoded || !decoded.sid || !mongoose.Types.ObjectId.isValid(decoded.sid)) return false;
+  const session = await AuthSession.exists({
+    _id: decoded.sid,
+    userId: decoded.userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  return !!session;
+}
+
+/**
+ * Revoke one session; pass userId to restrict it to that user's own sessions
+ * @returns {Promise<object|null>} the revoked session, or null when none matched
+ */
+async function revokeAuthSession(sessionId, { userId = null, reason, revokedBy = null }) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  const filter = { _id: sessionId, revokedAt: null };
+  if (userId) filter.userId = userId;
+  return AuthSession.findOneAndUpdate(
+    filter,
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } },
+    { new: true }
+  );
+}
+
+/**
+ * Revoke every active session of a user, optionally keeping one (the caller's own)
+ * @returns {Promise<string[]>} ids of the revoked sessions
+ */
+async function revokeUserSessions(userId, { reason, revokedBy = null, exceptSessionId = null }) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const sessions = await AuthSession.find(filter).select('_id').lean();
+  if (sessions.length === 0) return [];
+
+  const ids = sessions.map(s => s._id);
+  await AuthSession.updateMany(
+    { _id: { $in: ids }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+  );
+  return ids.map(id => id.toString());
+}
+
+/**
+ * Active sessions of a user, most recently used first (token hashes left out)
+ */
+async function listUserSessions(userId) {
+  return AuthSession.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('-refreshTokenHash -previousTokenHash')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+/**
+ * Close the live sockets opened with the given sessions
+ */
+function disconnectSessionSockets(io, sessionIds) {
+  for (const sessionId of sessionIds) {
+    io.in(`session_${sessionId}`).disconnectSockets(true);
+  }
+}
+
+module.exports = {
+  ACCESS_TOKEN_MINUTES,
+  REFRESH_TOKEN_DAYS,
+  signAccessToken,
+  createAuthSession,
+  rotateRefreshToken,
+  isSessionActive,
+  revokeAuthSession,
+  revokeUserSessions,
+  listUserSessions,
+  disconnectSessionSockets
+};
@@ -0,0 +1,228 @@
+const XLSX = require('xlsx');
+const Allocation = require('../models/Allocation');
+const CalendarEvent = require('../models/CalendarEvent');
+const Semester = require('../models/Semester');
+const Subject = require('../models/Subject');
+const { normalizeSessionDate } = require('./sessionAttendance');
+
+// Semester-wide entries, and entries that apply to one allocation
+const SEMESTER_KINDS = ['holiday', 'exam', 'event'];
+const ALLOCATION_KINDS = ['cancellation', 'reschedule'];
+
+/**
+ * Read a calendar date: an Excel serial number, DD/MM/YYYY or DD-MM-YYYY, or an ISO date
+ * @returns {Date|null} UTC midnight
+ */
+function parseCalendarDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return normalizeSessionDate(value);
+
+  if (typeof value === 'number') {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    return parsed ? new Date(Date.UTC(parsed.y, parsed.m - 1, parsed.d)) : null;
+  }
+
+  const text = String(value).trim();
+  const dayFirst = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  if (dayFirst) {
+    const date = new Date(Date.UTC(parseInt(dayFirst[3]), parseInt(dayFirst[2]) - 1, parseInt(dayFirst[1])));
+    return date.getUTCDate() === parseInt(dayFirst[1]) ? date : null;
+  }
+  return normalizeSessionDate(text);
+}
+
+function covers(event, date) {
+  return new Date(event.startDate) <= date && date <= new Date(event.endDate);
+}
+
+/**
+ * The calendar entry that takes a lecture of an allocation off a day, if any
+ * @param {Array} events - Calendar entries of the semester
+ * @param {string|null} startTime - Lecture start ("HH:MM"); any lecture that day when null
+ * @returns {object|null}
+ */
+function lectureCancelledBy(events, allocationId, date, startTime = null) {
+  return events.find(event => {
+    if (!covers(event, date)) return false;
+    if (SEMESTER_KINDS.includes(event.kind)) return event.suspendsLectures;
+    if (!event.allocationId || event.allocationId.toString() !== allocationId.toString()) return false;
+    return !event.startTime || !startTime || event.startTime === startTime;
+  }) || null;
+}
+
+/**
+ * Validate a calendar entry before saving it. Allocation entries take their semester from the subject.
+ * @returns {Promise<{success: boolean, status?: number, message?: string, fields?: object}>}
+ */
+async function validateCalendarEvent(body) {
+  const { kind } = body;
+  const title = body.title ? String(body.title).trim() : '';
+  const startDate = parseCalendarDate(body.startDate);
+  let endDate = parseCalendarDate(body.endDate || body.startDate);
+
+  if (![...SEMESTER_KINDS, ...ALLOCATION_KINDS].includes(kind)) {
+    return { success: false, status: 400, message: `kind must be one of ${[...SEMESTER_KINDS, ...ALLOCATION_KINDS].join(', ')}` };
+  }
+  if (!title || !startDate || !endDate) {
+    return { success: false, status: 400, message: 'title and startDate are required' };
+  }
+  if (endDate < startDate) {
+    return { success: false, status: 400, message: 'endDate must not be before startDate' };
+  }
+
+  const fields = { kind, title, startDate, endDate, suspendsLectures: true };
+
+  if (SEMESTER_KINDS.includes(kind)) {
+    if (!body.semesterId) {
+      return { success: false, status: 400, message: 'semesterId is required' };
+    }
+    const semester = await Semester.findById(body.semesterId);
+    if (!semester) {
+      return { success: false, status: 404, message: 'Semester not found' };
+    }
+    fields.semesterId = semester._id;
+    // Institute events only suspend lectures when marked so
+    if (kind === 'event') {
+      fields.suspendsLectures = body.suspendsLectures === true || body.suspendsLectures === 'true';
+    }
+    fields.allocationId = undefined;
+    fields.startTime = undefined;
+    fields.rescheduledTo = undefined;
+    return { success: true, fields };
+  }
+
+  if (!body.allocationId) {
+    return { success: false, status: 400, message: `allocationId is required for a ${kind}` };
+  }
+  const allocation = await Allocation.findById(body.allocationId);
+  if (!allocation) {
+    return { success: false, status: 404, message: 'Allocation not found' };
+  }
+  const subject = await Subject.findById(allocation.subjectId).select('semesterId');
+  if (!subject || !subject.semesterId) {
+    return { success: false, status: 400, message: 'The allocation\'s subject has no semester' };
+  }
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (body.startTime && !timePattern.test(body.startTime)) {
+    return { success: false, status: 400, message: 'startTime must be HH:MM' };
+  }
+
+  fields.semesterId = subject.semesterId;
+  fields.allocationId = allocation._id;
+  fields.startTime = body.startTime || undefined;
+  fields.rescheduledTo = undefined;
+
+  if (kind === 'reschedule') {
+    const moved = body.rescheduledTo || {};
+    const date = parseCalendarDate(moved.date);
+    if (!date) {
+      return { success: false, status: 400, message: 'rescheduledTo.date is required for a reschedule' };
+    }
+    if ((moved.startTime && !timePattern.test(moved.startTime)) || (moved.endTime && !timePattern.test(moved.endTime))) {
+      return { success: false, status: 400, message: 'rescheduledTo times must be HH:MM' };
+    }
+    // A reschedule moves the lectures of a single day
+    endDate = startDate;
+    fields.endDate = endDate;
+    fields.rescheduledTo = {
+      date,
+      startTime: moved.startTime || body.startTime || undefined,
+      endTime: moved.endTime || undefined,
+      room: moved.room || undefined
+    };
+  }
+
+  return { success: true, fields };
+}
+
+/**
+ * The calendar entry that rules out recording a lecture of an allocation on a day, if any
+ * @returns {Promise<object|null>}
+ */
+async function findBlockingEvent(allocation, date, startTime = null) {
+  const subject = await Subject.findById(allocation.subjectId).select('semesterId');
+  const scope = [{ allocationId: allocation._id }];
+  if (subject && subject.semesterId) {
+    scope.push({ semesterId: subject.semesterId, kind: { $in: SEMESTER_KINDS } });
+  }
+
+  const events = await CalendarEvent.find({
+    startDate: { $lte: date },
+    endDate: { $gte: date },
+    $or: scope
+  }).lean();
+
+  return lectureCancelledBy(events, allocation._id, date, startTime);
+}
+
+const HEADER_ALIASES = {
+  title: ['title', 'event', 'name', 'description', 'occasion'],
+  kind: ['kind', 'type', 'category'],
+  startDate: ['startdate', 'start', 'from', 'fromdate', 'date'],
+  endDate: ['enddate', 'end', 'to', 'todate'],
+  suspendsLectures: ['nolectures', 'suspendslectures', 'lecturessuspended']
+};
+
+function pickColumn(row, field) {
+  const key = Object.keys(row).find(k => HEADER_ALIASES[field].includes(k.toLowerCase().replace(/[^a-z]/g, '')));
+  return key === undefined ? undefined : row[key];
+}
+
+function kindFromLabel(label) {
+  const text = String(label || '').toLowerCase();
+  if (text.includes('holiday') || text.includes('vacation')) return 'holiday';
+  if (text.includes('exam') || text.includes('test')) return 'exam';
+  return 'event';
+}
+
+/**
+ * Read a calendar workbook (first sheet; one entry per row with Title, Type, Start Date, End Date).
+ * Only semester-wide entries are imported; the Type column is matched loosely (e.g. "Public Holiday").
+ * @returns {{events: Array, errors: Array<{row: number, message: string}>}}
+ */
+function readCalendarSheet(filePath) {
+  const workbook = XLSX.readFile(filePath);
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: '' });
+
+  const events = [];
+  const errors = [];
+  rows.forEach((row, index) => {
+    const title = String(pickColumn(row, 'title') || '').trim();
+    const startDate = parseCalendarDate(pickColumn(row, 'startDate'));
+    const endDate = parseCalendarDate(pickColumn(row, 'endDate')) || startDate;
+    if (!title && !startDate) return; // blank row
+
+    // Sheet row = index + 2 (header row first)
+    if (!title || !startDate) {
+      errors.push({ row: index + 2, message: 'Title and start date are required' });
+      return;
+    }
+    if (endDate < startDate) {
+      errors.push({ row: index + 2, message: 'End date is before start date' });
+      return;
+    }
+
+    const kind = kindFromLabel(pickColumn(row, 'kind'));
+    const flag = String(pickColumn(row, 'suspendsLectures') || '').trim().toLowerCase();
+    events.push({
+      kind,
+      title,
+      startDate,
+      endDate,
+      suspendsLectures: kind !== 'event' || ['yes', 'y', 'true', '1'].includes(flag)
+    });
+  });
+
+  return { events, errors };
+}
+
+module.exports = {
+  SEMESTER_KINDS,
+  ALLOCATION_KINDS,
+  parseCalendarDate,
+  lectureCancelledBy,
+  validateCalendarEvent,
+  findBlockingEvent,
+  readCalendarSheet
+};
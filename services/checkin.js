@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const Allocation = require('../models/Allocation');
+const CheckinSession = require('../models/CheckinSession');
+const LectureSession = require('../models/LectureSession');
+const { syncSessionSummary } = require('./sessionAttendance');
+const { lockForSubject, lockedResult } = require('./attendanceLocks');
+const { withTransaction } = require('./transactions');
+
+const CODE_DIGITS = 6;
+
+// Codes from the previous step are still accepted, so a code read just before it rotates works
+const GRACE_STEPS = 1;
+
+function createCheckinSecret() {
+  return crypto.randomBytes(20).toString('hex');
+}
+
+/**
+ * Step number of a moment, counted in stepSeconds windows since the epoch
+ */
+function checkinStep(stepSeconds, at = new Date()) {
+  return Math.floor(at.getTime() / (stepSeconds * 1000));
+}
+
+/**
+ * Derive the 6-digit code of a step (HOTP-style dynamic truncation of an HMAC-SHA1)
+ */
+function checkinCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac('sha1', Buffer.from(secret, 'hex')).update(counter).digest();
+
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = ((digest[offset] & 0x7f) << 24) |
+    (digest[offset + 1] << 16) |
+    (digest[offset + 2] << 8) |
+    digest[offset + 3];
+
+  return String(binary % (10 ** CODE_DIGITS)).padStart(CODE_DIGITS, '0');
+}
+
+/**
+ * The code currently shown for a check-in session, and when it rotates
+ * @returns {{code: string, step: number, validUntil: Date}}
+ */
+function currentCheckinCode(session, at = new Date()) {
+  const step = checkinStep(session.stepSeconds, at);
+  return {
+    code: checkinCode(session.secret, step),
+    step,
+    validUntil: new Date((step + 1) * session.stepSeconds * 1000)
+  };
+}
+
+/**
+ * Match a submitted code against the current and grace steps of a session
+ * @returns {{valid: boolean, step?: number, message?: string}}
+ */
+function verifyCheckinCode(session, code, at = new Date()) {
+  const submitted = String(code || '').trim();
+  if (!/^\d{6}$/.test(submitted)) {
+    return { valid: false, message: 'Code must be 6 digits' };
+  }
+  if (session.status !== 'open' || at > session.expiresAt) {
+    return { valid: false, message: 'Check-in has closed' };
+  }
+
+  const current = checkinStep(session.stepSeconds, at);
+  const opened = checkinStep(session.stepSeconds, session.openedAt);
+  for (let step = current; step >= Math.max(current - GRACE_STEPS, opened); step--) {
+    const expected = checkinCode(session.secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(submitted))) {
+      return { valid: true, step };
+    }
+  }
+  return { valid: false, message: 'Code is invalid or has expired' };
+}
+
+/**
+ * Lecture day and start time of a moment, in server local time
+ * @returns {{date: Date, startTime: string}}
+ */
+function checkinSlot(at = new Date()) {
+  return {
+    date: new Date(Date.UTC(at.getFullYear(), at.getMonth(), at.getDate())),
+    startTime: `${at.getHours().toString().padStart(2, '0')}:${at.getMinutes().toString().padStart(2, '0')}`
+  };
+}
+
+/**
+ * Socket room the live check-in count is streamed to (the allocation's attendance room)
+ */
+function checkinRoom(session) {
+  return `attendance_${session.subjectId}_${session.allocationId}`;
+}
+
+/**
+ * Close an open check-in and record it as a LectureSession: checked-in students are Present,
+ * the rest of the allocation roster Absent. The summary Attendance is rebuilt after commit.
+ * @returns {Promise<{success: boolean, status?: number, message?: string, checkin?: object, lectureSession?: object, summary?: object}>}
+ */
+async function closeCheckinSession(checkinId, user) {
+  const outcome = await withTransaction(async (dbSession) => {
+    const query = { _id: checkinId };
+    if (user.role === 'teacher') query.teacherId = user.userId;
+
+    const checkin = await CheckinSession.findOne(query).session(dbSession);
+    if (!checkin) {
+      return { success: false, status: 404, message: 'Check-in session not found' };
+    }
+    if (checkin.status !== 'open') {
+      return { success: false, status: 400, message: `Check-in session is already ${checkin.status}` };
+    }
+
+    const allocation = await Allocation.findById(checkin.allocationId).session(dbSession);
+    if (!allocation) {
+      return { success: false, status: 404, message: 'Allocation not found' };
+    }
+
+    const lock = await lockForSubject(allocation.subjectId, { date: checkin.date }, dbSession);
+    if (lock) return lockedResult(lock);
+
+    const existing = await LectureSession.findOne({
+      allocationId: checkin.allocationId,
+      date: checkin.date,
+      startTime: checkin.startTime
+    }).session(dbSession);
+    if (existing) {
+      return {
+        success: false,
+        status: 409,
+        message: 'A session already exists for this allocation, date and start time',
+        sessionId: existing._id
+      };
+    }
+
+    const present = new Set(checkin.checkins.map(c => c.studentId.toString()));
+    const [lectureSession] = await LectureSession.create([{
+      allocationId: allocation._id,
+      subjectId: allocation.subjectId,
+      teacherId: checkin.teacherId,
+      type: allocation.type,
+      division: allocation.division || null,
+      batch: allocation.type === 'Practical' ? allocation.batch : null,
+      date: checkin.date,
+      startTime: checkin.startTime,
+      endTime: checkinSlot().startTime,
+      records: allocation.students.map(studentId => ({
+        studentId,
+        status: present.has(studentId.toString()) ? 'Present' : 'Absent'
+      }))
+    }], { session: dbSession });
+
+    checkin.status = 'closed';
+    checkin.closedAt = new Date();
+    checkin.lectureSessionId = lectureSession._id;
+    await checkin.save({ session: dbSession });
+
+    return { success: true, checkin, lectureSession };
+  });
+
+  if (outcome.success) {
+    outcome.summary = await syncSessionSummary(outcome.checkin.allocationId);
+  }
+  return outcome;
+}
+
+module.exports = {
+  createCheckinSecret,
+  checkinStep,
+  checkinCode,
+  currentCheckinCode,
+  verifyCheckinCode,
+  checkinSlot,
+  checkinRoom,
+  closeCheckinSession
+};
@@ -0,0 +1,161 @@
+const XLSX = require('xlsx');
+const { Parser } = require('json2csv');
+const Department = require('../models/Department');
+const Semester = require('../models/Semester');
+const { DEFAULTER_BANDS } = require('./defaulters');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// The community xlsx build writes no cell fills, so bands are coloured through the number
+// format: red below 50, orange below 75
+const PERCENT_FORMAT = '[Red][<50]0.00;[Color46][<75]0.00;0.00';
+
+const FIXED_COLUMNS = ['Sr', 'UID', 'NAME OF STUDENTS', 'Division', 'Batch'];
+
+/**
+ * Header block values of an export: department, semester, division and month labels
+ * @param {object} filters - departmentId, semesterId, division, month (free text, e.g. "Oct-25")
+ */
+async function loadReportHeader({ departmentId, semesterId, division, month }) {
+  const department = departmentId ? await Department.findById(departmentId).select('name') : null;
+  const semester = semesterId ? await Semester.findById(semesterId).select('semesterNumber academicYear') : null;
+
+  const now = new Date();
+  return {
+    department: department ? department.name : 'All',
+    semester: semester ? `Semester ${semester.semesterNumber} (${semester.academicYear})` : 'All',
+    division: division || 'All',
+    month: month || `${MONTHS[now.getMonth()]}-${String(now.getFullYear()).slice(-2)}`
+  };
+}
+
+function exportFileName(header, extension) {
+  const division = header.division === 'All' ? 'all' : `div-${header.division}`;
+  return `defaulters_${division}_${header.month}.${extension}`.replace(/[^\w.-]+/g, '_');
+}
+
+/**
+ * Report rows in roll order (division, then UID), each with its band label
+ */
+function reportRows(report) {
+  const rows = [];
+  for (const band of DEFAULTER_BANDS) {
+    for (const item of report[band.key]) rows.push({ ...item, band: band.label });
+  }
+  return rows.sort((a, b) =>
+    String(a.student.division || '').localeCompare(String(b.student.division || '')) ||
+    String(a.student.studentId || '').localeCompare(String(b.student.studentId || ''))
+  );
+}
+
+// Every subject that appears in the report, ordered by code
+function reportSubjects(rows) {
+  const subjects = new Map();
+  for (const row of rows) {
+    for (const subject of row.subjects) {
+      const id = subject.subjectId.toString();
+      if (!subjects.has(id)) subjects.set(id, { id, name: subject.name, code: subject.code || subject.name });
+    }
+  }
+  return Array.from(subjects.values()).sort((a, b) => String(a.code).localeCompare(String(b.code)));
+}
+
+function subjectPercent(row, subjectId) {
+  const subject = row.subjects.find(s => s.subjectId.toString() === subjectId);
+  return subject ? subject.adjustedPercentage : null;
+}
+
+/**
+ * Workbook in the exam cell's defaulter-list layout: a header block, one row per student with
+ * leave-adjusted per-subject and overall percentages, and a row counting defaulters per subject
+ */
+function defaulterWorkbook(report, header) {
+  const rows = reportRows(report);
+  const subjects = reportSubjects(rows);
+  const lastColumn = FIXED_COLUMNS.length + subjects.length + 1;
+
+  const aoa = [
+    ['Department', '', header.department, '', 'Semester', header.semester],
+    ['Division', '', header.division, '', 'Month & Year', header.month],
+    [],
+    ['', '', '', '', '', ...subjects.map(s => s.name), '', ''],
+    [...FIXED_COLUMNS, ...subjects.map(s => `${s.code} % attended`), 'Overall %', 'Band']
+  ];
+  const firstDataRow = aoa.length;
+
+  rows.forEach((row, index) => {
+    aoa.push([
+      index + 1,
+      row.student.studentId,
+      row.student.name,
+      row.student.division || '',
+      row.student.batch || '',
+      ...subjects.map(s => subjectPercent(row, s.id)),
+      row.adjustedPercentage,
+      row.band
+    ]);
+  });
+
+  aoa.push([
+    'TOTAL NO OF STUDENTS DEFAULTERS', '', '', '', '',
+    ...subjects.map(s => rows.filter(row => {
+      const percent = subjectPercent(row, s.id);
+      return percent !== null && percent < 75;
+    }).length),
+    rows.length,
+    ''
+  ]);
+
+  const ws = XLSX.utils.aoa_to_sheet(aoa);
+  for (let r = firstDataRow; r < firstDataRow + rows.length; r++) {
+    for (let c = FIXED_COLUMNS.length; c < lastColumn; c++) {
+      const cell = ws[XLSX.utils.encode_cell({ r, c })];
+      if (cell && cell.t === 'n') cell.z = PERCENT_FORMAT;
+    }
+  }
+
+  const totalRow = aoa.length - 1;
+  ws['!merges'] = [
+    { s: { r: 0, c: 0 }, e: { r: 0, c: 1 } },
+    { s: { r: 1, c: 0 }, e: { r: 1, c: 1 } },
+    { s: { r: totalRow, c: 0 }, e: { r: totalRow, c: FIXED_COLUMNS.length - 1 } }
+  ];
+  ws['!cols'] = [
+    { wch: 5 }, { wch: 12 }, { wch: 34 }, { wch: 9 }, { wch: 7 },
+    ...subjects.map(() => ({ wch: 12 })),
+    { wch: 10 }, { wch: 14 }
+  ];
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, ws, header.division === 'All' ? 'Defaulters' : `Division ${header.division}`);
+  return wb;
+}
+
+/**
+ * The same rows as the workbook, as CSV
+ */
+function defaulterCsv(report) {
+  const rows = reportRows(report);
+  const subjects = reportSubjects(rows);
+
+  const fields = [
+    { label: 'UID', value: row => row.student.studentId },
+    { label: 'Name', value: row => row.student.name },
+    { label: 'Division', value: row => row.student.division || '' },
+    { label: 'Batch', value: row => row.student.batch || '' },
+    ...subjects.map(s => ({ label: `${s.code} %`, value: row => subjectPercent(row, s.id) ?? '' })),
+    { label: 'Overall %', value: 'adjustedPercentage' },
+    { label: 'Raw overall %', value: 'percentage' },
+    { label: 'Band', value: 'band' }
+  ];
+
+  return new Parser({ fields }).parse(rows);
+}
+
+module.exports = {
+  loadReportHeader,
+  exportFileName,
+  reportRows,
+  defaulterWorkbook,
+  defaulterCsv
+};
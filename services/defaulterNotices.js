@@ -0,0 +1,265 @@
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+const LetterTemplate = require('../models/LetterTemplate');
+const { RECOVERY_TARGET } = require('./recovery');
+
+// Wording used until an admin stores a default template
+const DEFAULT_TEMPLATE = {
+  name: 'Built-in defaulter notice',
+  letterhead: [],
+  title: 'Notice of Attendance Shortage',
+  salutation: 'Dear {{studentName}} and Parent/Guardian,',
+  body: [
+    'This is to inform you that the attendance of {{studentName}} (UID {{uid}}), Division {{division}}, ' +
+      'for {{month}} is {{overallPercentage}}%, which is below the required {{threshold}}%.',
+    'The subject-wise attendance and the number of consecutive lectures needed to reach {{threshold}}% are listed below.'
+  ],
+  closing: [
+    'Students who do not meet the attendance requirement may not be permitted to appear for the examinations. ' +
+      'Please ensure regular attendance from now on.'
+  ],
+  signatories: [
+    { name: 'Class Teacher', designation: '' },
+    { name: 'Head of Department', designation: '' }
+  ]
+};
+
+const TEMPLATE_TEXT_FIELDS = ['title', 'salutation'];
+const TEMPLATE_LIST_FIELDS = ['letterhead', 'body', 'closing'];
+
+/**
+ * Normalise a letter template payload (list fields accept one paragraph per line)
+ */
+function buildTemplateFields(body) {
+  const list = value => {
+    if (value === undefined || value === null) return [];
+    const items = Array.isArray(value) ? value : String(value).split('\n');
+    return items.map(item => String(item).trim()).filter(Boolean);
+  };
+  const fields = {
+    name: body.name ? String(body.name).trim() : body.name,
+    departmentId: body.departmentId || null,
+    isDefault: body.isDefault === true || body.isDefault === 'true',
+    signatories: (body.signatories || []).map(s => ({
+      name: s.name ? String(s.name).trim() : s.name,
+      designation: s.designation ? String(s.designation).trim() : ''
+    }))
+  };
+  for (const field of TEMPLATE_TEXT_FIELDS) {
+    if (body[field] !== undefined) fields[field] = String(body[field]).trim();
+  }
+  for (const field of TEMPLATE_LIST_FIELDS) fields[field] = list(body[field]);
+  return fields;
+}
+
+/**
+ * @returns {string[]} validation errors
+ */
+function validateLetterTemplate(fields) {
+  const errors = [];
+  if (!fields.name) errors.push('name is required');
+  if (!fields.title) errors.push('title is required');
+  if (fields.body.length === 0) errors.push('body needs at least one paragraph');
+  fields.signatories.forEach((s, i) => {
+    if (!s.name) errors.push(`signatories[${i}].name is required`);
+  });
+  return errors;
+}
+
+/**
+ * The template a notice run uses: the requested one, else the department default,
+ * else the institute-wide default, else the built-in wording
+ * @returns {Promise<{success: boolean, template?: object, status?: number, message?: string}>}
+ */
+async function resolveLetterTemplate(templateId, departmentId = null) {
+  if (templateId) {
+    const template = await LetterTemplate.findById(templateId).lean();
+    if (!template) return { success: false, status: 404, message: 'Letter template not found' };
+    return { success: true, template };
+  }
+
+  const template = (departmentId && await LetterTemplate.findOne({ isDefault: true, departmentId }).lean()) ||
+    await LetterTemplate.findOne({ isDefault: true, departmentId: null }).lean();
+  return { success: true, template: template || DEFAULT_TEMPLATE };
+}
+
+function fillTemplate(text, values) {
+  return String(text || '').replace(/\{\{(\w+)\}\}/g, (match, key) =>
+    (values[key] !== undefined && values[key] !== null ? String(values[key]) : match));
+}
+
+function formatDate(date) {
+  const day = date.getDate().toString().padStart(2, '0');
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  return `${day}/${month}/${date.getFullYear()}`;
+}
+
+function noticeValues(row, header, threshold) {
+  return {
+    studentName: row.student.name,
+    uid: row.student.studentId,
+    division: row.student.division || header.division,
+    batch: row.student.batch || '',
+    department: header.department,
+    semester: header.semester,
+    month: header.month,
+    threshold,
+    overallPercentage: row.adjustedPercentage.toFixed(2),
+    date: formatDate(new Date())
+  };
+}
+
+// Subject-wise table: percentage, lectures needed to recover and lectures still planned
+function writeSubjectTable(doc, subjects) {
+  const left = doc.page.margins.left;
+  const widths = [200, 80, 110, 105];
+  const titles = ['Subject', 'Attendance %', 'Lectures needed', 'Remaining lectures'];
+
+  const writeRow = (cells, bold = false) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    let x = left;
+    let height = 0;
+    cells.forEach((cell, i) => {
+      doc.text(String(cell), x + 4, y + 4, { width: widths[i] - 8 });
+      height = Math.max(height, doc.y - y + 4);
+      x += widths[i];
+    });
+    doc.rect(left, y, widths.reduce((a, b) => a + b, 0), height).stroke();
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  writeRow(titles, true);
+  for (const subject of subjects) {
+    const { recovery } = subject;
+    let needed = recovery.lecturesNeeded;
+    if (recovery.reachable === false) needed = `${needed} (not reachable)`;
+    writeRow([
+      subject.code ? `${subject.name} (${subject.code})` : subject.name,
+      subject.adjustedPercentage.toFixed(2),
+      needed,
+      recovery.remainingLectures === null ? '-' : recovery.remainingLectures
+    ]);
+  }
+  doc.font('Helvetica');
+}
+
+/**
+ * Draw one notice on the current page of a PDFKit document
+ * @param {object} row - A defaulter report entry
+ * @param {object} header - From loadReportHeader
+ */
+function writeNotice(doc, row, template, header, threshold = RECOVERY_TARGET) {
+  const values = noticeValues(row, header, threshold);
+  const left = doc.page.margins.left;
+
+  (template.letterhead || []).forEach((line, i) => {
+    doc.font(i === 0 ? 'Helvetica-Bold' : 'Helvetica').fontSize(i === 0 ? 14 : 10)
+      .text(fillTemplate(line, values), { align: 'center' });
+  });
+  if ((template.letterhead || []).length > 0) doc.moveDown();
+
+  doc.font('Helvetica').fontSize(10).text(`Date: ${values.date}`, { align: 'right' });
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(13).text(fillTemplate(template.title, values), { align: 'center', underline: true });
+  doc.moveDown();
+
+  doc.font('Helvetica').fontSize(11);
+  doc.text(`${values.studentName}  |  UID ${values.uid}  |  Division ${values.division}${values.batch ? `  |  Batch ${values.batch}` : ''}`);
+  doc.text(`${values.department}  |  ${values.semester}  |  ${values.month}`);
+  doc.moveDown();
+
+  doc.text(fillTemplate(template.salutation, values));
+  doc.moveDown(0.5);
+  for (const paragraph of template.body) {
+    doc.text(fillTemplate(paragraph, values), { align: 'justify' });
+    doc.moveDown(0.5);
+  }
+
+  doc.moveDown(0.5);
+  writeSubjectTable(doc, row.subjects);
+  doc.moveDown();
+
+  for (const paragraph of template.closing || []) {
+    doc.text(fillTemplate(paragraph, values), left, doc.y, { align: 'justify' });
+    doc.moveDown(0.5);
+  }
+
+  // Signature block: one column per signatory, with room to sign above the name
+  const signatories = template.signatories || [];
+  if (signatories.length > 0) {
+    doc.moveDown(3);
+    const width = (doc.page.width - doc.page.margins.left - doc.page.margins.right) / signatories.length;
+    const y = doc.y;
+    signatories.forEach((signatory, i) => {
+      const x = left + i * width;
+      doc.moveTo(x + 10, y).lineTo(x + width - 10, y).stroke();
+      doc.font('Helvetica-Bold').text(fillTemplate(signatory.name, values), x, y + 5, { width, align: 'center' });
+      if (signatory.designation) {
+        doc.font('Helvetica').text(fillTemplate(signatory.designation, values), x, doc.y, { width, align: 'center' });
+      }
+    });
+    doc.x = left;
+  }
+}
+
+function renderPdf(draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    draw(doc);
+    doc.end();
+  });
+}
+
+/**
+ * One PDF with a page per student
+ * @returns {Promise<Buffer>}
+ */
+function renderNoticesPdf(rows, template, header, threshold = RECOVERY_TARGET) {
+  return renderPdf(doc => {
+    rows.forEach((row, i) => {
+      if (i > 0) doc.addPage();
+      writeNotice(doc, row, template, header, threshold);
+    });
+  });
+}
+
+function noticeFileName(row) {
+  return `${row.student.studentId}_${row.student.name}`.replace(/[^\w.-]+/g, '_') + '.pdf';
+}
+
+/**
+ * Stream a zip with one notice PDF per student into a writable (e.g. the response)
+ */
+async function streamNoticesZip(rows, template, header, output, threshold = RECOVERY_TARGET) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    output.on('finish', resolve);
+    output.on('error', reject);
+  });
+  archive.pipe(output);
+
+  for (const row of rows) {
+    const pdf = await renderPdf(doc => writeNotice(doc, row, template, header, threshold));
+    archive.append(pdf, { name: noticeFileName(row) });
+  }
+  await archive.finalize();
+  return finished;
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  buildTemplateFields,
+  validateLetterTemplate,
+  resolveLetterTemplate,
+  fillTemplate,
+  writeNotice,
+  renderNoticesPdf,
+  streamNoticesZip
+};
@@ -0,0 +1,156 @@
+const Allocation = require('../models/Allocation');
+const Student = require('../models/Student');
+const { getStudentAttendanceTotals, totalsBySubject, loadAllPeriods } = require('./attendanceTotals');
+const { loadApprovedLeaves } = require('./leaves');
+const { loadRemainingLectures, projectRecovery, remainingFor } = require('./recovery');
+
+// Report bands, keyed as in the /defaulters/report response
+const DEFAULTER_BANDS = [
+  { key: 'below50', label: 'Below 50%' },
+  { key: 'between50to65', label: '50% - 65%' },
+  { key: 'between65_1_to74_99', label: '65% - 74.99%' }
+];
+
+/**
+ * Band of an overall percentage, or null at 75% and above
+ */
+function defaulterBand(percent) {
+  if (percent < 50) return 'below50';
+  if (percent >= 50 && percent <= 65) return 'between50to65';
+  if (percent > 65 && percent <= 74.99) return 'between65_1_to74_99';
+  return null;
+}
+
+/**
+ * Students below the threshold in at least one subject, judged on the leave-adjusted percentage
+ * @param {number} threshold - Percentage cut-off
+ * @param {Array|null} allocatedSubjectIds - Restrict to these subjects (teacher view)
+ */
+async function checkDefaulters(threshold, allocatedSubjectIds = null) {
+  try {
+    const students = await Student.find().select('name studentId email');
+    const periods = await loadAllPeriods();
+    const leaves = await loadApprovedLeaves();
+    const defaulters = [];
+
+    for (const student of students) {
+      // Totals follow the period rules shared with the student views
+      const totals = await getStudentAttendanceTotals(student._id, {
+        subjectIds: allocatedSubjectIds && allocatedSubjectIds.length > 0 ? allocatedSubjectIds : null,
+        periods,
+        leaves
+      });
+
+      // Skip if no attendance records found
+      if (totals.records.length === 0) {
+        continue;
+      }
+
+      const defaulterSubjects = totalsBySubject(totals.subjects)
+        .filter(stats => stats.adjustedPercentage < threshold)
+        .map(stats => ({
+          subject: stats.subject,
+          total: stats.total,
+          present: stats.present,
+          percentage: stats.percentage,
+          adjustedPercentage: stats.adjustedPercentage,
+          excusedLectures: stats.excusedLectures,
+          creditedLectures: stats.creditedLectures
+        }));
+
+      // Only add student if they have defaulter subjects
+      if (defaulterSubjects.length > 0) {
+        defaulters.push({
+          student: {
+            _id: student._id,
+            name: student.name,
+            studentId: student.studentId,
+            email: student.email
+          },
+          defaulterSubjects
+        });
+      }
+    }
+
+    return defaulters;
+  } catch (error) {
+    console.error('Check defaulters error:', error);
+    return [];
+  }
+}
+
+/**
+ * Students bucketed by leave-adjusted overall attendance, shared by the JSON and file exports.
+ * Teachers only see the subjects allocated to them.
+ * @param {object} filters - division, departmentId, semesterId (all optional)
+ * @returns {Promise<{below50: Array, between50to65: Array, between65_1_to74_99: Array, meta: object}>}
+ */
+async function buildDefaulterReport(user, { division, departmentId, semesterId } = {}) {
+  const report = { below50: [], between50to65: [], between65_1_to74_99: [], meta: { division, departmentId, semesterId } };
+
+  let allocatedSubjectIds = null;
+  if (user.role === 'teacher') {
+    const allocations = await Allocation.find({ teacherId: user.userId }).select('subjectId');
+    allocatedSubjectIds = allocations.map(a => a.subjectId);
+    if (allocatedSubjectIds.length === 0) return report;
+  }
+
+  const studentQuery = {};
+  if (division) studentQuery.division = division;
+  if (departmentId) studentQuery.departmentId = departmentId;
+  if (semesterId) studentQuery.semesterId = semesterId;
+
+  const students = await Student.find(studentQuery).select('name studentId email division batch departmentId semesterId');
+
+  const periods = await loadAllPeriods();
+  const leaves = await loadApprovedLeaves(students.map(s => s._id));
+  const remaining = await loadRemainingLectures(students.map(s => s._id));
+
+  for (const student of students) {
+    const totals = await getStudentAttendanceTotals(student._id, { subjectIds: allocatedSubjectIds, periods, leaves });
+    if (totals.records.length === 0) continue;
+    // Buckets follow the leave-adjusted figure; the raw one is reported next to it
+    const percent = totals.overall.adjustedPercentage;
+    const band = defaulterBand(percent);
+    if (!band) continue;
+
+    const subjectList = totalsBySubject(totals.subjects)
+      .map(s => ({
+        subjectId: s.subject._id,
+        name: s.subject.name,
+        code: s.subject.code,
+        percentage: parseFloat(s.percentage.toFixed(2)),
+        adjustedPercentage: parseFloat(s.adjustedPercentage.toFixed(2)),
+        excusedLectures: s.excusedLectures,
+        creditedLectures: s.creditedLectures,
+        // Lectures to attend in a row to reach the target, and whether enough are still planned
+        recovery: projectRecovery(
+          s.adjustedTotal,
+          s.adjustedPresent,
+          remainingFor(remaining.get(student._id.toString()), s.subject._id)
+        )
+      }));
+    report[band].push({
+      student: {
+        _id: student._id,
+        name: student.name,
+        studentId: student.studentId,
+        email: student.email,
+        division: student.division,
+        batch: student.batch
+      },
+      percentage: parseFloat(totals.overall.percentage.toFixed(2)),
+      adjustedPercentage: parseFloat(percent.toFixed(2)),
+      subjects: subjectList
+    });
+  }
+
+  return report;
+}
+
+module.exports = {
+  DEFAULTER_BANDS,
+  defaulterBand,
+  checkDefaulters,
+  buildDefaulterReport
+};
@@ -0,0 +1,1097 @@
+const fs = require('fs');
+const csv = require('csv-parser');
+const XLSX = require('xlsx');
+const Attendance = require('../models/Attendance');
+const Student = require('../models/Student');
+const Allocation = require('../models/Allocation');
+const TimetableSlot = require('../models/TimetableSlot');
+const { resolveSheetScope, matchSheetSubjects } = require('./subjectMatching');
+const { resolveUploadPeriod } = require('./periods');
+
+// Division sheet processing, split into three stages so an upload can be
+// previewed before anything is written:
+//   parseDivisionSheet  - layout detection only, no database access
+//                         (heuristic "auto" layout, or parseWithLayout for a SheetLayout profile)
+//   planDivisionSheet   - subject/student matching and computed totals (reads only);
+//                         subjects resolve through services/subjectMatching within one semester
+//                         (planWorkbookUpload runs it for every tab of a multi-division workbook)
+//   applyDivisionPlan   - writes the planned Attendance and Allocation changes
+
+// Divisions an attendance sheet can belong to
+const DIVISIONS = ['A', 'B', 'C', 'D'];
+
+// Always start at A1 so row/column indexes match the cell references used by layout profiles
+function sheetToRows(sheet) {
+  const range = XLSX.utils.decode_range(sheet['!ref'] || 'A1');
+  range.s = { r: 0, c: 0 };
+
+  return XLSX.utils.sheet_to_json(sheet, {
+    header: 1,
+    defval: '',
+    raw: false,
+    range
+  });
+}
+
+/**
+ * Read every sheet of an uploaded CSV/XLS/XLSX file as arrays of rows (a CSV is one sheet)
+ * @returns {Promise<{success: boolean, sheets?: Array<{name: string, sheetData: Array}>, status?: number, message?: string}>}
+ */
+async function readWorkbookSheets(filePath, originalName) {
+  const fileExtension = originalName.split('.').pop().toLowerCase();
+
+  if (['xlsx', 'xls'].includes(fileExtension)) {
+    const workbook = XLSX.readFile(filePath);
+    const sheets = workbook.SheetNames.map(name => ({
+      name,
+      sheetData: sheetToRows(workbook.Sheets[name])
+    }));
+    return { success: true, sheets };
+  }
+
+  if (fileExtension === 'csv') {
+    // For CSV, read as array of arrays
+    const results = [];
+    await new Promise((resolve, reject) => {
+      fs.createReadStream(filePath)
+        .pipe(csv({ headers: false }))
+        .on('data', (data) => {
+          results.push(Object.values(data));
+        })
+        .on('end', () => {
+          resolve();
+        })
+        .on('error', (error) => {
+          reject(error);
+        });
+    });
+    return { success: true, sheets: [{ name: originalName.replace(/\.csv$/i, ''), sheetData: results }] };
+  }
+
+  return {
+    success: false,
+    status: 400,
+    message: 'Unsupported file format. Please upload CSV, XLS, or XLSX file'
+  };
+}
+
+// Matches "Div C", "DIV-C", "Division: C", "C-Div", "C Division"
+const DIVISION_PATTERNS = [
+  /\bDIV(?:ISION)?[\s\-_.:]*([A-D])\b/i,
+  /\b([A-D])[\s\-_]*DIV(?:ISION)?\b/i
+];
+
+/**
+ * Infer a sheet's division from its tab name ("C", "Div C", "TE-C-Div") or,
+ * failing that, from a "Division: C" style cell in the rows above the student table
+ * @returns {string|null}
+ */
+function inferSheetDivision(sheetName, sheetData) {
+  const name = String(sheetName || '').trim();
+  if (/^[A-D]$/i.test(name)) return name.toUpperCase();
+
+  for (const pattern of DIVISION_PATTERNS) {
+    const match = name.match(pattern);
+    if (match) return match[1].toUpperCase();
+  }
+
+  for (let rowIndex = 0; rowIndex < Math.min(6, sheetData.length); rowIndex++) {
+    for (const cell of sheetData[rowIndex] || []) {
+      const text = String(cell || '').trim();
+      if (!text) continue;
+      for (const pattern of DIVISION_PATTERNS) {
+        const match = text.match(pattern);
+        if (match) return match[1].toUpperCase();
+      }
+    }
+  }
+
+  return null;
+}
+
+// Helper function to parse batch info from string like "A= 10, B= 11            C= 11, D=  10"
+// Also handles: "A=10, B=10 C=10 D=11" or "A= 11, B=10 C=11 D=0"
+function parseBatchInfo(text) {
+  if (!text) return {};
+  
+  const batchInfo = {};
+  // Normalize the text: replace multiple spaces with single space, but preserve structure
+  // This handles cases like "A= 10, B= 11            C= 11, D=  10"
+  const normalized = String(text)
+    .replace(/\s+/g, ' ')  // Replace multiple spaces with single space
+    .replace(/\s*,\s*/g, ' ')  // Normalize commas with spaces
+    .trim();
+  
+  // Match patterns like "A=10", "A= 10", "A:10", "A = 10", etc.
+  // Also handle formats without commas: "A=10 B=11 C=11 D=10"
+  // The pattern matches: letter (A-D), optional spaces, = or :, optional spaces, digits
+  const batchPattern = /([A-D])\s*[=:]\s*(\d+)/gi;
+  let match;
+  
+  while ((match = batchPattern.exec(normalized)) !== null) {
+    const batch = match[1].toUpperCase();
+    const value = parseInt(match[2], 10);
+    if (batch && !isNaN(value) && value >= 0) {
+      batchInfo[batch] = value;
+    }
+  }
+  
+  return batchInfo;
+}
+
+function findLabSubject(subjectRow, subjectRowAbove, startCol, endCol) {
+  let subjectCode = null;
+  let batchInfo = {};
+  let foundCol = -1;
+  for (let c = Math.max(0, startCol); c <= Math.min(subjectRow.length - 1, endCol); c++) {
+    const sr = String(subjectRow[c] || '').toUpperCase();
+    const sa = String(subjectRowAbove[c] || '').toUpperCase();
+    const combined = `${sa} ${sr}`;
+    let match = combined.match(/([A-Z]{2,8})\s*\(LAB\)/i) || sr.match(/([A-Z]{2,8})\s*\(LAB\)/i) || sa.match(/([A-Z]{2,8})\s*\(LAB\)/i) || combined.match(/([A-Z]{2,8})\s*LAB/i);
+    if (match) {
+      subjectCode = match[1];
+      foundCol = c;
+      batchInfo = parseBatchInfo(subjectRow[c]) || {};
+      if (Object.keys(batchInfo).length === 0) batchInfo = parseBatchInfo(combined) || {};
+      if (Object.keys(batchInfo).length === 0) {
+        for (let adj = Math.max(0, c - 4); adj <= Math.min(subjectRow.length - 1, c + 4); adj++) {
+          const adjVal = String(subjectRow[adj] || '').trim();
+          const bi = parseBatchInfo(adjVal);
+          if (Object.keys(bi).length > 0) { batchInfo = bi; break; }
+        }
+      }
+    }
+  }
+  return { subjectCode, batchInfo, foundCol };
+}
+
+/**
+ * Detect the layout of a division sheet: header row, UID column, subject columns and period
+ */
+function parseDivisionSheet(sheetData, division) {
+  // Find header row (Row 5 in 1-based, index 4 in 0-based)
+  // Looking for "Roll", "UID", "NAME OF STUDENTS", "DIV" or "Batch"
+  let headerRowIndex = -1;
+  for (let i = 0; i < Math.min(10, sheetData.length); i++) {
+    const row = sheetData[i];
+    const rowStr = row.join(' ').toUpperCase();
+    if (rowStr.includes('ROLL') && (rowStr.includes('UID') || rowStr.includes('STUDENT'))) {
+      headerRowIndex = i;
+      break;
+    }
+  }
+
+  if (headerRowIndex === -1) {
+    return {
+      success: false,
+      status: 400,
+      message: 'Could not find header row in sheet'
+    };
+  }
+
+  // Find subject header row (Row 4 in 1-based, index 3 in 0-based)
+  // This row contains subject names with totals
+  // Also check row above (Row 3) for subject names in merged cells
+  let subjectHeaderRowIndex = headerRowIndex > 0 ? headerRowIndex - 1 : -1;
+  const subjectRow = sheetData[subjectHeaderRowIndex] || [];
+  const subjectRowAbove = headerRowIndex >= 2 ? sheetData[headerRowIndex - 2] || [] : [];
+
+  // Parse headers
+  const headers = sheetData[headerRowIndex];
+  const rollCol = headers.findIndex(h => h.toString().toUpperCase().includes('ROLL'));
+  const uidCol = headers.findIndex(h => h.toString().toUpperCase().includes('UID'));
+  const nameCol = headers.findIndex(h => h.toString().toUpperCase().includes('NAME') || h.toString().toUpperCase().includes('STUDENT'));
+  // Look for either DIV or BATCH column (Excel format has Batch)
+  const divCol = headers.findIndex(h => {
+    const headerUpper = h.toString().toUpperCase();
+    return headerUpper.includes('DIV') || headerUpper.includes('BATCH');
+  });
+
+  if (rollCol === -1 || uidCol === -1 || nameCol === -1) {
+    return {
+      success: false,
+      status: 400,
+      message: 'Could not find required columns (Roll, UID, Name)'
+    };
+  }
+
+  // Parse subjects from subject row (Row 4) and headers (Row 5)
+  // Subject row contains subject names with totals like "SE (Th) - Total = 32"
+  const subjects = [];
+
+  // First, identify subject boundaries from Row 3 (Theory Subjects / Lab Subjects)
+  let theoryStartCol = -1;
+  let labStartCol = -1;
+  if (headerRowIndex >= 2) {
+    const categoryRow = sheetData[headerRowIndex - 2]; // Row 3
+    if (categoryRow) {
+      const categoryRowStr = categoryRow.join(' ').toUpperCase();
+      for (let col = 0; col < categoryRow.length; col++) {
+        const cell = String(categoryRow[col] || '').toUpperCase();
+        if (cell.includes('THEORY') && theoryStartCol === -1) {
+          theoryStartCol = col;
+        }
+        if (cell.includes('LAB') || cell.includes('PRACTICAL')) {
+          labStartCol = col;
+          break;
+        }
+      }
+    }
+  }
+
+  let currentSubject = null;
+  for (let col = Math.max(divCol + 1, 0); col < headers.length; col++) {
+    const header = String(headers[col] || '').trim().toLowerCase();
+    const subjectRowValue = String(subjectRow[col] || '').trim();
+    const subjectRowUpper = subjectRowValue.toUpperCase();
+    const subjectRowAboveValue = String(subjectRowAbove[col] || '').trim().toUpperCase();
+
+    // Check if this column is "attended" (not percentage)
+    if (header.includes('attended') && !header.includes('%')) {
+      let subjectFound = false;
+      if (labStartCol !== -1 && col >= labStartCol) {
+        const found = findLabSubject(subjectRow, subjectRowAbove, labStartCol, col);
+        if (found.subjectCode) {
+          const batchTotal = found.batchInfo && found.batchInfo[division] ? found.batchInfo[division] : null;
+          const exists = subjects.find(s => s.name === found.subjectCode && s.type === 'Practical' && s.attendedCol === col);
+          if (!exists) {
+            subjects.push({
+              name: found.subjectCode,
+              type: 'Practical',
+              totalLectures: batchTotal,
+              batchInfo: found.batchInfo,
+              attendedCol: col,
+              percentageCol: col + 1 < headers.length && headers[col + 1]?.toString().toLowerCase().includes('%') ? col + 1 : -1
+            });
+            subjectFound = true;
+          }
+        }
+      }
+      
+      if (!subjectFound) for (let backCol = Math.max(0, col - 6); backCol <= Math.min(subjectRow.length - 1, col + 6); backCol++) {
+        // Check subject row (Row 4)
+        const backSubjectRow = String(subjectRow[backCol] || '').trim().toUpperCase();
+        // Check row above (Row 3) for merged cells
+        const backSubjectRowAbove = String(subjectRowAbove[backCol] || '').trim().toUpperCase();
+        
+        // Combine both rows for checking
+        const combinedRow = `${backSubjectRowAbove} ${backSubjectRow}`;
+        
+        // Check for Theory subject pattern: "SE (Th)" or "SE (Th) - Total = 32"
+        if (combinedRow.includes('(TH)') || combinedRow.includes('THEORY') || backSubjectRow.includes('(TH)') || backSubjectRowAbove.includes('(TH)')) {
+          // Try to extract subject code
+          let codeMatch = combinedRow.match(/([A-Z]{2,8})\s*\(TH\)/i) || 
+                         backSubjectRow.match(/([A-Z]{2,8})\s*\(TH\)/i) ||
+                         backSubjectRowAbove.match(/([A-Z]{2,8})\s*\(TH\)/i);
+          
+          if (!codeMatch) {
+            // Try simpler pattern - just look for 2-4 uppercase letters before (Th)
+            codeMatch = combinedRow.match(/([A-Z]{2,8})\s*\(TH/i);
+          }
+          
+          if (codeMatch) {
+            const totalMatch = combinedRow.match(/TOTAL[=\s:]*(\d+)/i) || 
+                              backSubjectRow.match(/TOTAL[=\s:]*(\d+)/i) ||
+                              backSubjectRowAbove.match(/TOTAL[=\s:]*(\d+)/i);
+            
+            const subjectCode = codeMatch[1];
+            
+            // Check if we already added this subject
+            const exists = subjects.find(s => s.name === subjectCode && s.type === 'Theory' && s.attendedCol === col);
+            if (!exists) {
+              subjects.push({
+                name: subjectCode,
+                type: 'Theory',
+                totalLectures: totalMatch ? parseInt(totalMatch[1]) : null,
+                attendedCol: col,
+                percentageCol: col + 1 < headers.length && headers[col + 1]?.toString().toLowerCase().includes('%') ? col + 1 : -1
+              });
+              subjectFound = true;
+              break;
+            }
+          }
+        }
+        
+        // Check for Lab subject pattern: "SE (Lab)" or "SE (Lab) - A=10 B=11"
+        if (combinedRow.includes('(LAB)') || combinedRow.includes('LAB') || backSubjectRow.includes('(LAB)') || backSubjectRowAbove.includes('(LAB)')) {
+          // Try to extract subject code
+          let labMatch = combinedRow.match(/([A-Z]{2,8})\s*\(LAB\)/i) || 
+                        backSubjectRow.match(/([A-Z]{2,8})\s*\(LAB\)/i) ||
+                        backSubjectRowAbove.match(/([A-Z]{2,8})\s*\(LAB\)/i) ||
+                        combinedRow.match(/([A-Z]{2,8})\s*LAB/i);
+          
+          if (labMatch) {
+            const subjectCode = labMatch[1];
+            
+            // Parse batch info - check multiple sources:
+            // Batch data is typically in Row 4 (subjectRow) in the same or adjacent column as subject name
+            let batchInfo = {};
+            let batchText = '';
+            
+            // Strategy 1: Check the actual subjectRow at backCol (where subject name was found)
+            const currentSubjectRowValue = String(subjectRow[backCol] || '').trim();
+            if (currentSubjectRowValue) {
+              batchInfo = parseBatchInfo(currentSubjectRowValue);
+              if (Object.keys(batchInfo).length > 0) {
+                batchText = currentSubjectRowValue;
+              }
+            }
+            
+            // Strategy 2: If not found, check combined row (subjectRow + rowAbove)
+            if (Object.keys(batchInfo).length === 0) {
+              batchText = combinedRow || backSubjectRow || backSubjectRowAbove || '';
+              batchInfo = parseBatchInfo(batchText);
+            }
+            
+            // Strategy 3: Check adjacent columns in subjectRow (within 3 columns)
+            if (Object.keys(batchInfo).length === 0) {
+              for (let adjCol = Math.max(0, backCol - 3); adjCol <= Math.min(subjectRow.length - 1, backCol + 3); adjCol++) {
+                if (adjCol === backCol) continue; // Already checked
+                const adjValue = String(subjectRow[adjCol] || '').trim();
+                if (adjValue) {
+                  const adjBatchInfo = parseBatchInfo(adjValue);
+                  if (Object.keys(adjBatchInfo).length > 0) {
+                    batchInfo = adjBatchInfo;
+                    batchText = adjValue;
+                    break;
+                  }
+                }
+              }
+            }
+            
+            let batchTotal = null;
+            if (Object.keys(batchInfo).length > 0) {
+              batchTotal = batchInfo[division] || null;
+            }
+            
+            // Check if we already added this subject
+            const exists = subjects.find(s => s.name === subjectCode && s.type === 'Practical' && s.attendedCol === col);
+            if (!exists) {
+              subjects.push({
+                name: subjectCode,
+                type: 'Practical',
+                totalLectures: batchTotal,
+                batchInfo,
+                attendedCol: col,
+                percentageCol: col + 1 < headers.length && headers[col + 1]?.toString().toLowerCase().includes('%') ? col + 1 : -1
+              });
+              subjectFound = true;
+              break;
+            }
+          }
+        }
+      }
+
+      // If not found above, try to extract from merged cells or adjacent columns
+      if (!subjectFound && col > 0) {
+        for (let i = 1; i <= 6 && (col - i >= 0 || col + i < subjectRow.length); i++) {
+          const backCol = col - i;
+          const fwdCol = col + i;
+          const testCol = backCol >= 0 ? backCol : fwdCol;
+          const testValue = String(subjectRow[testCol] || '').trim().toUpperCase();
+          const testValueAbove = String(subjectRowAbove[testCol] || '').trim().toUpperCase();
+          const combinedTest = `${testValueAbove} ${testValue}`;
+          
+          // Check for subject code patterns
+          if (combinedTest.match(/[A-Z]{2,8}\s*\(TH\)/i) || combinedTest.match(/[A-Z]{2,8}\s*\(LAB\)/i)) {
+            const codeMatch = combinedTest.match(/([A-Z]{2,8})\s*\(TH\)/i) || combinedTest.match(/([A-Z]{2,8})\s*\(LAB\)/i);
+            if (codeMatch) {
+              const isLab = combinedTest.includes('LAB');
+              const totalMatch = combinedTest.match(/TOTAL[=\s:]*(\d+)/i);
+              
+              let batchInfo = {};
+              if (isLab) {
+                // Parse batch info from the combined test string
+                batchInfo = parseBatchInfo(combinedTest);
+                
+                // If no batch info found, also check the actual subjectRow at testCol
+                if (Object.keys(batchInfo).length === 0) {
+                  const testSubjectRowValue = String(subjectRow[testCol] || '').trim();
+                  batchInfo = parseBatchInfo(testSubjectRowValue);
+                }
+                
+                // If still no batch info, check adjacent columns
+                if (Object.keys(batchInfo).length === 0) {
+                  for (let adjCol = Math.max(0, testCol - 2); adjCol <= Math.min(subjectRow.length - 1, testCol + 2); adjCol++) {
+                    const adjValue = String(subjectRow[adjCol] || '').trim();
+                    const adjBatchInfo = parseBatchInfo(adjValue);
+                    if (Object.keys(adjBatchInfo).length > 0) {
+                      batchInfo = adjBatchInfo;
+                      break;
+                    }
+                  }
+                }
+              }
+              
+              const exists = subjects.find(s => s.name === codeMatch[1] && s.type === (isLab ? 'Practical' : 'Theory') && s.attendedCol === col);
+              if (!exists) {
+                subjects.push({
+                  name: codeMatch[1],
+                  type: isLab ? 'Practical' : 'Theory',
+                  totalLectures: isLab ? (batchInfo[division] || null) : (totalMatch ? parseInt(totalMatch[1]) : null),
+                  batchInfo: isLab ? batchInfo : null,
+                  attendedCol: col,
+                  percentageCol: col + 1 < headers.length && headers[col + 1]?.toString().toLowerCase().includes('%') ? col + 1 : -1
+                });
+                subjectFound = true;
+                break;
+              }
+            }
+          }
+          
+          // Also check for simple subject codes (2-4 uppercase letters)
+          if (!subjectFound && testValue && testValue.match(/^[A-Z]{2,8}$/)) {
+            const isTheory = (theoryStartCol !== -1 && testCol >= theoryStartCol && testCol < (labStartCol !== -1 ? labStartCol : headers.length));
+            const isLab = (labStartCol !== -1 && testCol >= labStartCol);
+            
+            if (isTheory || isLab) {
+              const exists = subjects.find(s => s.name === testValue && s.type === (isLab ? 'Practical' : 'Theory') && s.attendedCol === col);
+              if (!exists) {
+                subjects.push({
+                  name: testValue,
+                  type: isLab ? 'Practical' : 'Theory',
+                  totalLectures: null,
+                  batchInfo: null,
+                  attendedCol: col,
+                  percentageCol: col + 1 < headers.length && headers[col + 1]?.toString().toLowerCase().includes('%') ? col + 1 : -1
+                });
+                subjectFound = true;
+                break;
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  if (subjects.length === 0) {
+    return {
+      success: false,
+      status: 400,
+      message: 'Could not identify any subjects in the sheet. Please ensure the sheet format matches the expected structure with subject names in Row 4 (e.g., "SE (Th)", "CNS (Lab)")'
+    };
+  }
+
+  // Extract period from sheet if available (Row 1)
+  let period = null;
+  if (sheetData.length > 0 && sheetData[0]) {
+    const periodRow = sheetData[0].join(' ');
+    const periodMatch = periodRow.match(/([A-Za-z]{3}-\d{2}\s+to\s+[A-Za-z]{3}-\d{2})/i) ||
+                       periodRow.match(/(\d{4}-\d{2}\s+to\s+\d{4}-\d{2})/i);
+    if (periodMatch) {
+      period = periodMatch[1];
+    }
+  }
+
+  return {
+    success: true,
+    headerRowIndex,
+    firstDataRowIndex: headerRowIndex + 1,
+    uidCol,
+    nameCol,
+    subjects,
+    period
+  };
+}
+
+// Name of the built-in heuristic layout
+const AUTO_LAYOUT = 'auto';
+
+const COLUMN_REF = /^[A-Z]{1,3}$/;
+const CELL_REF = /^[A-Z]{1,3}[1-9]\d*$/;
+
+/**
+ * Validate a layout profile payload
+ * @returns {string[]} error messages, empty when valid
+ */
+function validateLayout(layout) {
+  const errors = [];
+  const checkColumn = (value, label, required = false) => {
+    if (!value) {
+      if (required) errors.push(`${label} is required`);
+    } else if (!COLUMN_REF.test(String(value).toUpperCase())) {
+      errors.push(`${label} must be a column letter like "B"`);
+    }
+  };
+  const checkCell = (value, label) => {
+    if (value && !CELL_REF.test(String(value).toUpperCase())) {
+      errors.push(`${label} must be a cell reference like "E4"`);
+    }
+  };
+
+  if (!layout.name) errors.push('name is required');
+  if (layout.name && layout.name.toLowerCase() === AUTO_LAYOUT) errors.push(`"${AUTO_LAYOUT}" is reserved for the built-in layout`);
+  if (!Number.isInteger(Number(layout.headerRow)) || Number(layout.headerRow) < 1) errors.push('headerRow must be a positive row number');
+
+  checkColumn(layout.columns?.uid, 'columns.uid', true);
+  checkColumn(layout.columns?.name, 'columns.name');
+  checkColumn(layout.columns?.batch, 'columns.batch');
+  checkCell(layout.periodCell, 'periodCell');
+
+  if (!Array.isArray(layout.subjects) || layout.subjects.length === 0) {
+    errors.push('At least one subject column is required');
+  } else {
+    layout.subjects.forEach((subject, i) => {
+      if (!subject.code) errors.push(`subjects[${i}].code is required`);
+      if (!['Theory', 'Practical'].includes(subject.type)) errors.push(`subjects[${i}].type must be Theory or Practical`);
+      checkColumn(subject.attendedColumn, `subjects[${i}].attendedColumn`, true);
+      checkColumn(subject.percentageColumn, `subjects[${i}].percentageColumn`);
+      checkCell(subject.totalCell, `subjects[${i}].totalCell`);
+      checkCell(subject.batchTotalsCell, `subjects[${i}].batchTotalsCell`);
+    });
+  }
+
+  return errors;
+}
+
+function readCell(sheetData, ref) {
+  if (!ref) return '';
+  const { r, c } = XLSX.utils.decode_cell(ref.toUpperCase());
+  return String((sheetData[r] || [])[c] ?? '').trim();
+}
+
+function columnIndex(ref) {
+  return ref ? XLSX.utils.decode_col(ref.toUpperCase()) : -1;
+}
+
+/**
+ * Parse a division sheet using an explicit SheetLayout profile instead of the heuristics.
+ * Returns the same shape as parseDivisionSheet.
+ */
+function parseWithLayout(sheetData, division, layout) {
+  const headerRowIndex = layout.headerRow - 1;
+  if (!sheetData[headerRowIndex]) {
+    return {
+      success: false,
+      status: 400,
+      message: `Layout "${layout.name}" expects the header in row ${layout.headerRow}, but the sheet only has ${sheetData.length} rows`
+    };
+  }
+
+  const subjects = layout.subjects.map(subject => {
+    const totalText = readCell(sheetData, subject.totalCell);
+    const totalMatch = totalText.match(/TOTAL[=\s:]*(\d+)/i) || totalText.match(/^(\d+)$/);
+    const batchInfo = subject.type === 'Practical'
+      ? parseBatchInfo(readCell(sheetData, subject.batchTotalsCell))
+      : null;
+
+    let totalLectures = totalMatch ? parseInt(totalMatch[1]) : null;
+    if (subject.type === 'Practical' && !totalLectures && batchInfo) {
+      totalLectures = batchInfo[division] || null;
+    }
+
+    return {
+      name: subject.code.toUpperCase(),
+      type: subject.type,
+      totalLectures,
+      batchInfo,
+      attendedCol: columnIndex(subject.attendedColumn),
+      percentageCol: columnIndex(subject.percentageColumn)
+    };
+  });
+
+  let period = null;
+  const periodText = readCell(sheetData, layout.periodCell);
+  if (periodText) {
+    const periodMatch = periodText.match(/([A-Za-z]{3}-\d{2}\s+to\s+[A-Za-z]{3}-\d{2})/i) ||
+                       periodText.match(/(\d{4}-\d{2}\s+to\s+\d{4}-\d{2})/i);
+    period = periodMatch ? periodMatch[1] : periodText;
+  }
+
+  return {
+    success: true,
+    headerRowIndex,
+    firstDataRowIndex: headerRowIndex + 1,
+    uidCol: columnIndex(layout.columns.uid),
+    nameCol: columnIndex(layout.columns.name),
+    subjects,
+    period
+  };
+}
+
+/**
+ * Parse with a SheetLayout profile, or with the heuristics when layout is null ("auto")
+ */
+function parseSheetWithLayout(sheetData, division, layout) {
+  return layout ? parseWithLayout(sheetData, division, layout) : parseDivisionSheet(sheetData, division);
+}
+
+/**
+ * Match the parsed sheet against the database and compute every write the upload would make.
+ * Only reads from the database, so the result can be shown as a preview and applied later.
+ * scopeHint may pin semesterId, departmentId and periodId; anything missing is inferred.
+ */
+async function planDivisionSheet(sheetData, parsed, division, scopeHint = {}) {
+  const { firstDataRowIndex, uidCol, subjects, period } = parsed;
+
+  // Subjects (and the period) are only matched within the division's own semester and department
+  const scope = await resolveSheetScope(division, scopeHint);
+  if (!scope.semesterId) {
+    return {
+      success: false,
+      status: 400,
+      message: `Could not determine the semester for division ${division}. Send semesterId (and departmentId) with the upload.`
+    };
+  }
+
+  // Every upload is bound to a Period of that semester
+  const periodMatch = await resolveUploadPeriod({
+    periodId: scopeHint.periodId,
+    sheetPeriod: period,
+    semesterId: scope.semesterId
+  });
+  if (!periodMatch.success) return periodMatch;
+  const uploadPeriod = periodMatch.period;
+
+  const { candidates, matches } = await matchSheetSubjects(subjects, scope);
+  const subjectMap = {};
+  const subjectMatches = [];
+
+  // Map sheet subjects to database subjects
+  const unmatchedSubjects = [];
+  subjects.forEach((sheetSubject, index) => {
+    const match = matches[index];
+    const dbSubject = match ? match.subject : null;
+
+    subjectMatches.push({
+      sheetName: sheetSubject.name,
+      type: sheetSubject.type,
+      column: sheetSubject.attendedCol,
+      totalLectures: sheetSubject.totalLectures,
+      batchInfo: sheetSubject.batchInfo || null,
+      subject: dbSubject ? { _id: dbSubject._id.toString(), name: dbSubject.name, code: dbSubject.code } : null,
+      matchedBy: match ? match.matchedBy : null
+    });
+
+    if (!dbSubject) {
+      unmatchedSubjects.push(sheetSubject);
+      return;
+    }
+
+    subjectMap[sheetSubject.attendedCol] = {
+      subjectId: dbSubject._id.toString(),
+      subjectName: dbSubject.name,
+      type: sheetSubject.type,
+      totalLectures: sheetSubject.totalLectures,
+      batchInfo: sheetSubject.batchInfo || null,
+      percentageCol: sheetSubject.percentageCol
+    };
+  });
+
+  // Everything an admin needs to map an unresolved name: pick a candidate and POST the payload
+  const unresolvedSubjects = unmatchedSubjects.map(s => ({
+    name: s.name,
+    type: s.type,
+    column: s.attendedCol,
+    aliasPayload: { alias: s.name, type: s.type },
+    candidates: candidates.map(c => ({
+      _id: c._id.toString(),
+      name: c.name,
+      code: c.code,
+      mapUrl: `/api/admin/subjects/${c._id}/aliases`
+    }))
+  }));
+
+  if (unmatchedSubjects.length > 0 && Object.keys(subjectMap).length === 0) {
+    return {
+      success: false,
+      status: 400,
+      message: `No matching subjects found. Sheet has: ${subjects.map(s => s.name).join(', ')}, but this semester has: ${candidates.map(s => s.code).join(', ')}. Add subject aliases to map the sheet names.`,
+      scope,
+      sheetSubjects: subjects.map(s => s.name),
+      databaseSubjects: candidates.map(s => ({ code: s.code, name: s.name })),
+      unresolvedSubjects
+    };
+  }
+
+  const studentQuery = { division, semesterId: scope.semesterId };
+  if (scope.departmentId) studentQuery.departmentId = scope.departmentId;
+  const students = await Student.find(studentQuery).select('_id studentId name batch division');
+
+  if (students.length === 0) {
+    return {
+      success: false,
+      status: 400,
+      message: `No students found in database for division ${division}. Please ensure students are created with division = "${division}"`
+    };
+  }
+
+  if (Object.keys(subjectMap).length === 0) {
+    return {
+      success: false,
+      status: 400,
+      message: 'No matching subjects found in database. Please ensure subjects exist with codes matching the sheet (SE, CNS, DC, AISC, TOC, etc.)'
+    };
+  }
+
+  const rows = [];
+  const unmatchedUids = [];
+  const allocationUpdates = {};
+  const allocationStudents = {};
+
+  for (let rowIndex = firstDataRowIndex; rowIndex < sheetData.length; rowIndex++) {
+    const row = sheetData[rowIndex];
+    if (!row || row.length === 0) continue;
+
+    const uid = String(row[uidCol] || '').trim();
+    if (!uid) continue;
+
+    // Find student by UID
+    const student = students.find(s => s.studentId === uid);
+    if (!student) {
+      unmatchedUids.push({
+        row: rowIndex + 1,
+        studentId: uid,
+        error: `Student not found in database for division ${division}. UID: ${uid}`
+      });
+      continue;
+    }
+
+    const entries = [];
+
+    // Process each subject's attendance
+    for (const [colIndex, subjectInfo] of Object.entries(subjectMap)) {
+      const col = parseInt(colIndex);
+      const attendedValue = parseFloat(row[col] || 0);
+      const percentageValue = subjectInfo.percentageCol >= 0 ? parseFloat(row[subjectInfo.percentageCol] || 0) : 0;
+
+      if (isNaN(attendedValue) || attendedValue < 0) continue;
+
+      // The "Total" from the sheet header (e.g. "SE(Th) - Total = 32") is the same for every student;
+      // Practical subjects use the batch-specific total (e.g. "A=10, B=11") when available
+      let totalFromSheetHeader = null;
+      if (subjectInfo.type === 'Practical' && subjectInfo.batchInfo && subjectInfo.batchInfo[student.batch]) {
+        totalFromSheetHeader = subjectInfo.batchInfo[student.batch];
+      } else if (subjectInfo.totalLectures && subjectInfo.totalLectures > 0) {
+        totalFromSheetHeader = subjectInfo.totalLectures;
+      }
+
+      // Calculate total classes - use provided total or calculate from percentage
+      let totalClasses = totalFromSheetHeader;
+      if (!totalClasses || totalClasses === 0) {
+        if (percentageValue > 0) {
+          totalClasses = Math.round((attendedValue / percentageValue) * 100);
+        } else {
+          totalClasses = Math.round(attendedValue); // Fallback: assume all attended
+        }
+      }
+
+      // Ensure we have a valid total
+      if (!totalClasses || totalClasses < attendedValue) {
+        totalClasses = Math.max(Math.round(attendedValue), Math.ceil(attendedValue * 1.2)); // At least attended, or 20% buffer
+      }
+
+      // Calculate percentage
+      const calculatedPercentage = totalClasses > 0 ? (attendedValue / totalClasses) * 100 : 0;
+      const finalPercentage = percentageValue > 0 ? percentageValue : calculatedPercentage;
+
+      entries.push({
+        subjectId: subjectInfo.subjectId,
+        subjectName: subjectInfo.subjectName,
+        type: subjectInfo.type,
+        totalConducted: Math.round(totalClasses),
+        totalAttended: Math.round(attendedValue),
+        percentage: finalPercentage,
+        batch: subjectInfo.type === 'Practical' ? student.batch : null
+      });
+
+      // Track allocation updates
+      // For Theory: key = "subjectId_Theory_division"
+      // For Practical: key = "subjectId_Practical_division_batch"
+      const batchKey = subjectInfo.type === 'Practical' ? (student.batch || '') : '';
+      const allocationKey = `${subjectInfo.subjectId}_${subjectInfo.type}_${division}_${batchKey}`;
+
+      // Allocation totals must come from the sheet header, never from the per-student calculation
+      if (totalFromSheetHeader && totalFromSheetHeader > 0) {
+        allocationUpdates[allocationKey] = {
+          subjectId: subjectInfo.subjectId,
+          type: subjectInfo.type,
+          division,
+          batch: subjectInfo.type === 'Practical' ? batchKey : null,
+          totalPlanned: totalFromSheetHeader,
+          totalConducted: totalFromSheetHeader
+        };
+      }
+
+      if (!allocationStudents[allocationKey]) {
+        allocationStudents[allocationKey] = {
+          subjectId: subjectInfo.subjectId,
+          type: subjectInfo.type,
+          division,
+          batch: subjectInfo.type === 'Practical' ? batchKey : null,
+          students: []
+        };
+      }
+      if (!allocationStudents[allocationKey].students.includes(student._id.toString())) {
+        allocationStudents[allocationKey].students.push(student._id.toString());
+      }
+    }
+
+    rows.push({
+      row: rowIndex + 1,
+      studentId: student._id.toString(),
+      uid,
+      name: student.name,
+      batch: student.batch,
+      entries
+    });
+  }
+
+  return {
+    success: true,
+    division,
+    scope,
+    period: uploadPeriod.label,
+    periodId: uploadPeriod._id.toString(),
+    periodKind: uploadPeriod.kind,
+    sheetPeriod: period,
+    subjects: subjects.map(s => ({
+      name: s.name,
+      type: s.type,
+      column: s.attendedCol,
+      totalLectures: s.totalLectures,
+      batchInfo: s.batchInfo || null
+    })),
+    subjectMatches,
+    unmatchedSubjects: unmatchedSubjects.map(s => ({ name: s.name, type: s.type, column: s.attendedCol })),
+    unresolvedSubjects,
+    rows,
+    unmatchedUids,
+    studentsFound: rows.length,
+    studentsNotFound: unmatchedUids.length,
+    allocationUpdates: Object.values(allocationUpdates),
+    allocationStudents: Object.values(allocationStudents)
+  };
+}
+
+/**
+ * Plan every sheet of an uploaded workbook. Each sheet's division comes from its tab name or
+ * header cells; `division` is only used for single-sheet files. All sheets must plan cleanly
+ * for the import to go ahead, since the workbook is applied as one unit.
+ * @returns {Promise<{success: boolean, plans?: Array, sheets: Array, status?: number, message?: string}>}
+ */
+async function planWorkbookUpload(workbookSheets, { division = null, layout = null, scopeHint = {} } = {}) {
+  const plans = [];
+  const sheets = [];
+  const seenDivisions = {};
+
+  for (const { name, sheetData } of workbookSheets) {
+    // Empty helper tabs are ignored rather than failing the workbook
+    if (!sheetData.some(row => row.some(cell => String(cell).trim() !== ''))) {
+      sheets.push({ sheetName: name, status: 'skipped', message: 'Sheet is empty' });
+      continue;
+    }
+
+    const sheetDivision = workbookSheets.length === 1 && division ? division : inferSheetDivision(name, sheetData);
+    if (!sheetDivision) {
+      sheets.push({
+        sheetName: name,
+        status: 'failed',
+        message: 'Could not infer the division. Name the tab after the division (e.g. "C" or "Div C") or add a "Division: C" cell above the table.'
+      });
+      continue;
+    }
+    if (seenDivisions[sheetDivision]) {
+      sheets.push({
+        sheetName: name,
+        division: sheetDivision,
+        status: 'failed',
+        message: `Division ${sheetDivision} already comes from sheet "${seenDivisions[sheetDivision]}"`
+      });
+      continue;
+    }
+    seenDivisions[sheetDivision] = name;
+
+    const parsed = parseSheetWithLayout(sheetData, sheetDivision, layout);
+    if (!parsed.success) {
+      sheets.push({ sheetName: name, division: sheetDivision, status: 'failed', message: parsed.message });
+      continue;
+    }
+
+    const plan = await planDivisionSheet(sheetData, parsed, sheetDivision, scopeHint);
+    if (!plan.success) {
+      const { success, status, ...details } = plan;
+      sheets.push({ sheetName: name, division: sheetDivision, status: 'failed', ...details });
+      continue;
+    }
+
+    plan.sheetName = name;
+    plan.layout = layout ? layout.name : AUTO_LAYOUT;
+    plans.push(plan);
+    sheets.push({
+      sheetName: name,
+      division: sheetDivision,
+      status: 'ok',
+      period: plan.period,
+      subjectsMatched: plan.subjectMatches.filter(m => m.subject).length,
+      unresolvedSubjects: plan.unresolvedSubjects.length,
+      studentsFound: plan.studentsFound,
+      studentsNotFound: plan.studentsNotFound
+    });
+  }
+
+  const failed = sheets.filter(s => s.status === 'failed');
+  if (failed.length > 0 || plans.length === 0) {
+    return {
+      success: false,
+      status: 400,
+      message: failed.length > 0
+        ? `${failed.length} sheet(s) could not be processed, so nothing was imported: ${failed.map(s => s.sheetName).join(', ')}`
+        : 'The workbook has no attendance sheets',
+      sheets
+    };
+  }
+
+  return { success: true, plans, sheets };
+}
+
+// Fields captured in upload history for each touched document
+const ALLOCATION_SNAPSHOT_FIELDS = 'totalPlanned plannedSource totalConducted students';
+
+/**
+ * Write a plan produced by planDivisionSheet.
+ * Pass a transaction session to make the writes atomic; the returned `changes`
+ * hold the before/after state of every touched document for upload history.
+ * onProgress(processedRows, totalRows) is awaited after each sheet row.
+ * @returns {Promise<{recordsCreated: number, allocationsUpdated: number, changes: Array}>}
+ */
+async function applyDivisionPlan(plan, teacherId, { session = null, onProgress = null } = {}) {
+  let recordsCreated = 0;
+  const attendanceChanges = new Map();
+
+  for (const [rowIndex, row] of plan.rows.entries()) {
+    for (const entry of row.entries) {
+      // One record per student, subject, type and period
+      const query = {
+        studentId: row.studentId,
+        subjectId: entry.subjectId,
+        type: entry.type,
+        periodId: plan.periodId
+      };
+
+      const before = await Attendance.findOne(query).session(session).lean();
+
+      // Use upsert to update if exists, create if not
+      const attendanceRecord = await Attendance.findOneAndUpdate(
+        query,
+        {
+          $set: {
+            totalConducted: entry.totalConducted,
+            totalAttended: entry.totalAttended,
+            percentage: entry.percentage,
+            period: plan.period,
+            periodId: plan.periodId,
+            division: plan.division,
+            batch: entry.batch,
+            recordedBy: teacherId,
+            updatedAt: new Date()
+          }
+        },
+        {
+          upsert: true,
+          new: true,
+          lean: true,
+          session
+        }
+      );
+
+      recordsCreated++;
+      // A repeated UID row keeps the original "before" and the final "after"
+      const docKey = attendanceRecord._id.toString();
+      if (attendanceChanges.has(docKey)) {
+        attendanceChanges.get(docKey).after = attendanceRecord;
+      } else {
+        attendanceChanges.set(docKey, { model: 'Attendance', docId: attendanceRecord._id, before, after: attendanceRecord });
+      }
+
+      // Update student's attendance record reference
+      await Student.findByIdAndUpdate(row.studentId, {
+        $addToSet: { attedanceRecord: attendanceRecord._id }
+      }, { session });
+    }
+
+    if (onProgress) await onProgress(rowIndex + 1, plan.rows.length);
+  }
+
+  // Update Allocation entries with totalPlanned and totalConducted
+  let allocationsUpdated = 0;
+  const allocationBefore = {};
+
+  const allocationQueryFor = (info) => {
+    const query = {
+      subjectId: info.subjectId,
+      type: info.type,
+      division: info.division
+    };
+    // For Practical subjects, include batch in query
+    if (info.type === 'Practical' && info.batch) {
+      query.batch = info.batch;
+    }
+    return query;
+  };
+
+  const snapshotAllocation = async (query) => {
+    const allocation = await Allocation.findOne(query).select(ALLOCATION_SNAPSHOT_FIELDS).session(session).lean();
+    if (allocation && !allocationBefore[allocation._id]) {
+      allocationBefore[allocation._id] = allocation;
+    }
+    return allocation;
+  };
+
+  for (const updateInfo of plan.allocationUpdates) {
+    const allocationQuery = allocationQueryFor(updateInfo);
+    const existing = await snapshotAllocation(allocationQuery);
+
+    if (!existing) {
+      continue;
+    }
+
+    // Allocations with a timetable get totalPlanned from it, not from the sheet header
+    const totals = { totalConducted: updateInfo.totalConducted || 0 };
+    if (!(await TimetableSlot.exists({ allocationId: existing._id }).session(session))) {
+      totals.totalPlanned = updateInfo.totalPlanned || 0;
+      totals.plannedSource = 'sheet';
+    }
+
+    await Allocation.updateOne(
+      { _id: existing._id },
+      { $set: totals },
+      { session }
+    );
+    allocationsUpdated++;
+  }
+
+  for (const info of plan.allocationStudents) {
+    const existing = await snapshotAllocation(allocationQueryFor(info));
+    if (!existing) continue;
+    await Allocation.updateOne(
+      { _id: existing._id },
+      { $addToSet: { students: { $each: info.students } } },
+      { session }
+    );
+  }
+
+  const changes = Array.from(attendanceChanges.values());
+  for (const [allocationId, before] of Object.entries(allocationBefore)) {
+    const after = await Allocation.findById(allocationId).select(ALLOCATION_SNAPSHOT_FIELDS).session(session).lean();
+    changes.push({ model: 'Allocation', docId: allocationId, before, after });
+  }
+
+  return { recordsCreated, allocationsUpdated, changes };
+}
+
+module.exports = {
+  AUTO_LAYOUT,
+  DIVISIONS,
+  readWorkbookSheets,
+  inferSheetDivision,
+  parseBatchInfo,
+  parseDivisionSheet,
+  parseWithLayout,
+  parseSheetWithLayout,
+  validateLayout,
+  planDivisionSheet,
+  planWorkbookUpload,
+  applyDivisionPlan
+};
@@ -0,0 +1,217 @@
+const Allocation = require('../models/Allocation');
+const Attendance = require('../models/Attendance');
+const Grievance = require('../models/Grievance');
+const LectureSession = require('../models/LectureSession');
+const { normalizeSessionDate, syncSessionSummary } = require('./sessionAttendance');
+const { withTransaction } = require('./transactions');
+const { lockForSubject, lockedResult } = require('./attendanceLocks');
+
+/**
+ * Normalise the correction fields of a grievance submission (multipart bodies send strings)
+ * @returns {{success: boolean, correction?: object, status?: number, message?: string}}
+ */
+function parseCorrectionRequest(body) {
+  const { type, periodId } = body;
+  if (!['Theory', 'Practical'].includes(type)) {
+    return { success: false, status: 400, message: 'type must be Theory or Practical' };
+  }
+
+  let sessionDates = body.sessionDates || [];
+  if (typeof sessionDates === 'string') {
+    sessionDates = sessionDates.split(',').map(d => d.trim()).filter(Boolean);
+  }
+  const dates = sessionDates.map(normalizeSessionDate);
+  if (dates.some(d => !d)) {
+    return { success: false, status: 400, message: 'sessionDates must be dates (YYYY-MM-DD)' };
+  }
+
+  const hasClaim = body.claimedAttended !== undefined && body.claimedAttended !== '';
+  const claimedAttended = hasClaim ? Number(body.claimedAttended) : undefined;
+  if (hasClaim && (!Number.isInteger(claimedAttended) || claimedAttended < 0)) {
+    return { success: false, status: 400, message: 'claimedAttended must be a whole number' };
+  }
+
+  if (hasClaim === (dates.length > 0)) {
+    return { success: false, status: 400, message: 'Send either claimedAttended or sessionDates' };
+  }
+
+  return {
+    success: true,
+    correction: {
+      type,
+      periodId: periodId || undefined,
+      claimedAttended,
+      sessionDates: dates
+    }
+  };
+}
+
+/**
+ * The Attendance record a count correction applies to: the chosen period, or the latest record
+ */
+async function findCorrectionRecord(studentId, subjectId, correction, dbSession = null) {
+  const query = { studentId, subjectId, type: correction.type };
+  if (correction.periodId) query.periodId = correction.periodId;
+  return Attendance.findOne(query).sort({ updatedAt: -1 }).session(dbSession);
+}
+
+/**
+ * Whether a user may approve a correction: admins, or a teacher allocated to the subject and type
+ */
+async function canReviewCorrection(user, grievance) {
+  if (user.role === 'admin') return true;
+  if (user.role !== 'teacher') return false;
+  const allocation = await Allocation.exists({
+    teacherId: user.userId,
+    subjectId: grievance.subjectId._id || grievance.subjectId,
+    type: grievance.correction.type
+  });
+  return !!allocation;
+}
+
+/**
+ * Apply an approved attendance-correction grievance and record the change on both sides.
+ * Count claims adjust the Attendance record; session-date claims mark the student Present
+ * in those lecture sessions and rebuild the derived summary.
+ * @param {number} approvedAttended - Optional count the reviewer approves instead of the claim
+ * @param {object} review - Grievance fields (status, response, reviewedBy...) saved with the correction
+ * @returns {Promise<{success: boolean, status?: number, message?: string, resolution?: object}>}
+ */
+async function applyAttendanceCorrection(grievanceId, { reviewerId, approvedAttended, review = {} }) {
+  const affectedAllocations = new Set();
+
+  const outcome = await withTransaction(async (dbSession) => {
+    affectedAllocations.clear();
+    const grievance = await Grievance.findById(grievanceId).session(dbSession);
+    if (!grievance) {
+      return { success: false, status: 404, message: 'Grievance not found' };
+    }
+    if (grievance.category !== 'attendance-correction') {
+      return { success: false, status: 400, message: 'Not an attendance correction grievance' };
+    }
+    if (grievance.resolution && grievance.resolution.appliedAt) {
+      return { success: false, status: 400, message: 'Correction has already been applied' };
+    }
+
+    const { correction } = grievance;
+    const appliedAt = new Date();
+    const resolution = { appliedBy: reviewerId, appliedAt, sessions: [] };
+
+    if (correction.sessionDates && correction.sessionDates.length > 0) {
+      for (const date of correction.sessionDates) {
+        const lock = await lockForSubject(grievance.subjectId, { date }, dbSession);
+        if (lock) return lockedResult(lock);
+      }
+
+      const sessions = await LectureSession.find({
+        subjectId: grievance.subjectId,
+        type: correction.type,
+        date: { $in: correction.sessionDates },
+        'records.studentId': grievance.studentId
+      }).session(dbSession);
+
+      const foundDates = new Set(sessions.map(s => s.date.getTime()));
+      const missing = correction.sessionDates.filter(d => !foundDates.has(d.getTime()));
+      if (missing.length > 0) {
+        return {
+          success: false,
+          status: 400,
+          message: `No lecture session for this student on ${missing.map(d => d.toISOString().slice(0, 10)).join(', ')}`
+        };
+      }
+
+      for (const lecture of sessions) {
+        const mark = lecture.records.find(r => r.studentId.toString() === grievance.studentId.toString());
+        if (mark.status !== 'Absent') continue;
+
+        lecture.corrections.push({
+          studentId: grievance.studentId,
+          from: mark.status,
+          to: 'Present',
+          grievanceId: grievance._id,
+          appliedBy: reviewerId,
+          appliedAt
+        });
+        resolution.sessions.push({ sessionId: lecture._id, date: lecture.date, from: mark.status, to: 'Present' });
+        mark.status = 'Present';
+        lecture.updatedAt = appliedAt;
+        await lecture.save({ session: dbSession });
+        affectedAllocations.add(lecture.allocationId.toString());
+      }
+    } else {
+      const record = await findCorrectionRecord(grievance.studentId, grievance.subjectId, correction, dbSession);
+      if (!record) {
+        return { success: false, status: 404, message: 'No attendance record found for this subject and type' };
+      }
+      const lock = await lockForSubject(grievance.subjectId, { periodId: record.periodId }, dbSession);
+      if (lock) return lockedResult(lock);
+
+      // Session-derived totals are rebuilt from sessions, so an edited count would not stick
+      if (record.source === 'session') {
+        return {
+          success: false,
+          status: 400,
+          message: 'This attendance comes from lecture sessions. The student must list the session dates instead.'
+        };
+      }
+
+      const attended = approvedAttended !== undefined && approvedAttended !== null
+        ? Number(approvedAttended)
+        : correction.claimedAttended;
+      if (!Number.isInteger(attended) || attended < 0 || attended > record.totalConducted) {
+        return {
+          success: false,
+          status: 400,
+          message: `Attended count must be between 0 and ${record.totalConducted}`
+        };
+      }
+
+      const before = {
+        totalConducted: record.totalConducted,
+        totalAttended: record.totalAttended,
+        percentage: record.percentage
+      };
+      record.totalAttended = attended;
+      record.percentage = record.totalConducted > 0 ? (attended / record.totalConducted) * 100 : 0;
+      record.updatedAt = appliedAt;
+      record.corrections.push({
+        grievanceId: grievance._id,
+        before: { totalAttended: before.totalAttended, percentage: before.percentage },
+        after: { totalAttended: record.totalAttended, percentage: record.percentage },
+        appliedBy: reviewerId,
+        appliedAt
+      });
+      await record.save({ session: dbSession });
+
+      resolution.attendanceId = record._id;
+      resolution.before = before;
+      resolution.after = {
+        totalConducted: record.totalConducted,
+        totalAttended: record.totalAttended,
+        percentage: record.percentage
+      };
+    }
+
+    grievance.set(review);
+    grievance.resolution = resolution;
+    await grievance.save({ session: dbSession });
+
+    return { success: true, resolution };
+  });
+
+  // Session summaries are rebuilt once the session changes are committed
+  if (outcome.success) {
+    for (const allocationId of affectedAllocations) {
+      await syncSessionSummary(allocationId);
+    }
+  }
+
+  return outcome;
+}
+
+module.exports = {
+  parseCorrectionRequest,
+  findCorrectionRecord,
+  canReviewCorrection,
+  applyAttendanceCorrection
+};
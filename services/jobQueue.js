@@ -0,0 +1,124 @@
+const { EventEmitter } = require('events');
+const Job = require('../models/Job');
+
+// A running job whose heartbeat is older than this is considered abandoned
+const JOB_LOCK_TIMEOUT = (parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES) || 10) * 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+
+// Sheet data a job no longer needs once it has finished; roster rows carry plaintext initial passwords
+const PAYLOAD_DATA = { 'payload.rows': '', 'payload.plans': '' };
+
+// Lets an in-process worker pick up a new job without waiting for its next poll
+const jobEvents = new EventEmitter();
+
+/**
+ * Queue a job for the background worker
+ * @returns {Promise<object>} The created Job document
+ */
+async function enqueueJob({ type, createdBy, createdByRole, payload, file, total = 0 }) {
+  const job = await Job.create({
+    type,
+    createdBy,
+    createdByRole,
+    payload: payload || {},
+    file: file || undefined,
+    progress: { total }
+  });
+
+  jobEvents.emit('enqueued', job);
+  return job;
+}
+
+/**
+ * Atomically claim the oldest queued job, or one abandoned by a crashed worker
+ * @param {string} workerId - Stored in lockedBy
+ * @returns {Promise<object|null>}
+ */
+async function claimNextJob(workerId) {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued' },
+        { status: 'running', lockedAt: { $lt: new Date(now.getTime() - JOB_LOCK_TIMEOUT) } }
+      ],
+      attempts: { $lt: MAX_ATTEMPTS }
+    },
+    {
+      $set: { status: 'running', lockedBy: workerId, lockedAt: now, startedAt: now, rowErrors: [] },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, new: true, lean: true }
+  );
+}
+
+/**
+ * Record the outcome of a run by the worker holding the job. A failed run goes back to the
+ * queue while attempts remain; otherwise the job is finished and its sheet data dropped.
+ * @returns {Promise<object|null>} The updated job, or null if the worker no longer holds it
+ */
+async function finishJob(job, workerId, { status, progress, rowErrors, result = null, error = null }) {
+  if (status === 'failed' && job.attempts < MAX_ATTEMPTS) {
+    return Job.findOneAndUpdate(
+      { _id: job._id, lockedBy: workerId },
+      { $set: { status: 'queued', progress, rowErrors, error, lockedBy: null, lockedAt: null } },
+      { new: true, lean: true }
+    );
+  }
+
+  return Job.findOneAndUpdate(
+    { _id: job._id, lockedBy: workerId },
+    {
+      $set: { status, progress, rowErrors, result, error, finishedAt: new Date() },
+      $unset: PAYLOAD_DATA
+    },
+    { new: true, lean: true }
+  );
+}
+
+/**
+ * Fail abandoned jobs that have used up their attempts, dropping their sheet data
+ */
+async function failExhaustedJobs() {
+  return Job.updateMany(
+    {
+      status: 'running',
+      lockedAt: { $lt: new Date(Date.now() - JOB_LOCK_TIMEOUT) },
+      attempts: { $gte: MAX_ATTEMPTS }
+    },
+    {
+      $set: { status: 'failed', error: 'Job was abandoned by its worker too many times', finishedAt: new Date() },
+      $unset: PAYLOAD_DATA
+    }
+  );
+}
+
+/**
+ * Public view of a job (payload rows are internal)
+ */
+function serializeJob(job) {
+  return {
+    _id: job._id,
+    type: job.type,
+    status: job.status,
+    file: job.file,
+    progress: job.progress,
+    errorCount: job.rowErrors.length,
+    rowErrors: job.rowErrors,
+    result: job.result,
+    error: job.error,
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt
+  };
+}
+
+module.exports = {
+  jobEvents,
+  enqueueJob,
+  claimNextJob,
+  finishJob,
+  failExhaustedJobs,
+  serializeJob
+};
@@ -0,0 +1,207 @@
+const Allocation = require('../models/Allocation');
+const LeaveRequest = require('../models/LeaveRequest');
+const LectureSession = require('../models/LectureSession');
+const { normalizeSessionDate } = require('./sessionAttendance');
+const { withTransaction } = require('./transactions');
+
+// Leave rules: lectures covered by approved Medical leave are excluded from the conducted
+// count, lectures covered by approved OD are credited as attended. Only lectures the student
+// missed can be excused or credited.
+
+/**
+ * Validate a leave submission (multipart bodies send strings)
+ * @returns {{success: boolean, leave?: object, status?: number, message?: string}}
+ */
+function parseLeaveRequest(body) {
+  const { kind } = body;
+  const reason = body.reason ? String(body.reason).trim() : '';
+  if (!['Medical', 'OD'].includes(kind)) {
+    return { success: false, status: 400, message: 'kind must be Medical or OD' };
+  }
+  if (!reason) {
+    return { success: false, status: 400, message: 'reason is required' };
+  }
+
+  const fromDate = normalizeSessionDate(body.fromDate);
+  const toDate = normalizeSessionDate(body.toDate || body.fromDate);
+  if (!fromDate || !toDate) {
+    return { success: false, status: 400, message: 'fromDate and toDate must be dates (YYYY-MM-DD)' };
+  }
+  if (toDate < fromDate) {
+    return { success: false, status: 400, message: 'toDate must not be before fromDate' };
+  }
+
+  return { success: true, leave: { kind, reason, fromDate, toDate } };
+}
+
+/**
+ * Validate reviewer-entered lecture counts, for subjects whose attendance comes from sheets
+ * @returns {{success: boolean, lectures?: Array, status?: number, message?: string}}
+ */
+function parseLectureCounts(lectures = []) {
+  if (typeof lectures === 'string') {
+    try {
+      lectures = JSON.parse(lectures);
+    } catch (error) {
+      return { success: false, status: 400, message: 'lectures must be a JSON array' };
+    }
+  }
+  if (!Array.isArray(lectures)) {
+    return { success: false, status: 400, message: 'lectures must be an array' };
+  }
+
+  const parsed = [];
+  for (const entry of lectures) {
+    const count = Number(entry && entry.count);
+    if (!entry || !entry.subjectId || !['Theory', 'Practical'].includes(entry.type)) {
+      return { success: false, status: 400, message: 'Each lecture entry needs subjectId and type (Theory or Practical)' };
+    }
+    if (!Number.isInteger(count) || count < 0) {
+      return { success: false, status: 400, message: 'Each lecture count must be a whole number' };
+    }
+    parsed.push({ subjectId: entry.subjectId, type: entry.type, count, source: 'manual' });
+  }
+  return { success: true, lectures: parsed };
+}
+
+/**
+ * Whether a user may review a leave: admins, or a teacher allocated to the student
+ */
+async function canReviewLeave(user, leave) {
+  if (user.role === 'admin') return true;
+  if (user.role !== 'teacher') return false;
+  const allocation = await Allocation.exists({
+    teacherId: user.userId,
+    students: leave.studentId._id || leave.studentId
+  });
+  return !!allocation;
+}
+
+/**
+ * Count the lecture sessions in the leave range the student was marked absent in
+ * @returns {Promise<Array<{subjectId, type, count, source: string}>>}
+ */
+async function countMissedSessions(leave, dbSession = null) {
+  const studentId = leave.studentId._id || leave.studentId;
+  const sessions = await LectureSession.find({
+    date: { $gte: leave.fromDate, $lte: leave.toDate },
+    records: { $elemMatch: { studentId, status: 'Absent' } }
+  }).select('subjectId type').session(dbSession);
+
+  const counts = {};
+  for (const lecture of sessions) {
+    const key = `${lecture.subjectId}_${lecture.type}`;
+    if (!counts[key]) counts[key] = { subjectId: lecture.subjectId, type: lecture.type, count: 0, source: 'sessions' };
+    counts[key].count++;
+  }
+  return Object.values(counts);
+}
+
+/**
+ * An approved leave of the student whose range shares a day with this one. Overlapping
+ * approvals would excuse or credit the same lectures twice.
+ */
+async function findOverlappingApprovedLeave(leave, dbSession = null) {
+  return LeaveRequest.findOne({
+    _id: { $ne: leave._id },
+    studentId: leave.studentId,
+    status: 'Approved',
+    fromDate: { $lte: leave.toDate },
+    toDate: { $gte: leave.fromDate }
+  }).select('kind fromDate toDate').session(dbSession);
+}
+
+function formatLeaveDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Approve a leave and record the lectures it covers. Missed lecture sessions in the range are
+ * counted automatically; reviewer-entered counts add subjects without sessions or override them.
+ * The leave only moves from Pending to Approved if no other review got there first, and never
+ * when it overlaps a leave that is already approved.
+ * @param {Array} lectures - Optional [{subjectId, type, count}] from the reviewer
+ * @returns {Promise<{success: boolean, status?: number, message?: string, leave?: object}>}
+ */
+async function approveLeave(leaveId, { reviewer, response, lectures }) {
+  const manual = parseLectureCounts(lectures);
+  if (!manual.success) return manual;
+
+  return withTransaction(async (dbSession) => {
+    const leave = await LeaveRequest.findById(leaveId).session(dbSession);
+    if (!leave) {
+      return { success: false, status: 404, message: 'Leave request not found' };
+    }
+    if (leave.status !== 'Pending') {
+      return { success: false, status: 400, message: `Leave request is already ${leave.status.toLowerCase()}` };
+    }
+
+    const overlapping = await findOverlappingApprovedLeave(leave, dbSession);
+    if (overlapping) {
+      return {
+        success: false,
+        status: 409,
+        message: `Overlaps the approved ${overlapping.kind} leave from ${formatLeaveDate(overlapping.fromDate)} to ${formatLeaveDate(overlapping.toDate)}`
+      };
+    }
+
+    const covered = {};
+    for (const entry of await countMissedSessions(leave, dbSession)) {
+      covered[`${entry.subjectId}_${entry.type}`] = entry;
+    }
+    for (const entry of manual.lectures) {
+      covered[`${entry.subjectId}_${entry.type}`] = entry;
+    }
+
+    const approved = await LeaveRequest.findOneAndUpdate(
+      { _id: leave._id, status: 'Pending' },
+      {
+        $set: {
+          lectures: Object.values(covered).filter(entry => entry.count > 0),
+          status: 'Approved',
+          response,
+          reviewedBy: reviewer.userId,
+          reviewerRole: reviewer.role,
+          reviewedAt: new Date()
+        }
+      },
+      { new: true, runValidators: true, session: dbSession }
+    );
+    if (!approved) {
+      return { success: false, status: 409, message: 'Leave request was reviewed by someone else meanwhile' };
+    }
+
+    return { success: true, leave: approved };
+  });
+}
+
+/**
+ * Load the lectures covered by approved leaves, grouped by student
+ * @param {Array|null} studentIds - Restrict to these students
+ * @returns {Promise<Map<string, Array<{subjectId, type, count, kind}>>>}
+ */
+async function loadApprovedLeaves(studentIds = null) {
+  const query = { status: 'Approved' };
+  if (studentIds) query.studentId = { $in: studentIds };
+
+  const leaves = await LeaveRequest.find(query).select('studentId kind lectures').lean();
+  const byStudent = new Map();
+  for (const leave of leaves) {
+    const key = leave.studentId.toString();
+    if (!byStudent.has(key)) byStudent.set(key, []);
+    for (const entry of leave.lectures || []) {
+      byStudent.get(key).push({ subjectId: entry.subjectId, type: entry.type, count: entry.count, kind: leave.kind });
+    }
+  }
+  return byStudent;
+}
+
+module.exports = {
+  parseLeaveRequest,
+  parseLectureCounts,
+  canReviewLeave,
+  countMissedSessions,
+  findOverlappingApprovedLeave,
+  approveLeave,
+  loadApprovedLeaves
+};
@@ -0,0 +1,181 @@
+const Allocation = require('../models/Allocation');
+const LectureSession = require('../models/LectureSession');
+const LiveMark = require('../models/LiveMark');
+const { START_TIME_PATTERN, normalizeSessionDate, syncSessionSummary } = require('./sessionAttendance');
+const { withTransaction } = require('./transactions');
+const { lockForSubject, lockedResult } = require('./attendanceLocks');
+
+const LIVE_STATUSES = ['Present', 'Absent', 'Late'];
+
+/**
+ * Lecture day of a live mark: the date the client sends, or today in server local time
+ */
+function liveMarkDate(value) {
+  if (value) return normalizeSessionDate(value);
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+}
+
+/**
+ * Load an allocation the user may mark live. Teachers may mark their own allocations
+ * and the allocations they co-teach (same subject and division).
+ * @returns {Promise<{success: boolean, status?: number, message?: string, allocation?: object}>}
+ */
+async function findMarkableAllocation(user, { subjectId, classId }) {
+  if (!['teacher', 'admin'].includes(user.role)) {
+    return { success: false, status: 403, message: 'Insufficient permissions' };
+  }
+
+  const allocation = await Allocation.findById(classId).select('subjectId teacherId type division batch students').lean();
+  if (!allocation || allocation.subjectId.toString() !== String(subjectId)) {
+    return { success: false, status: 404, message: 'Allocation not found for this subject' };
+  }
+
+  if (user.role === 'teacher' && allocation.teacherId.toString() !== user.userId) {
+    const coTeacher = await Allocation.exists({
+      teacherId: user.userId,
+      subjectId: allocation.subjectId,
+      division: allocation.division
+    });
+    if (!coTeacher) {
+      return { success: false, status: 403, message: 'Insufficient permissions' };
+    }
+  }
+
+  return { success: true, allocation };
+}
+
+/**
+ * Check a live mark against the allocation roster
+ * @returns {Promise<{success: boolean, message?: string, allocation?: object}>}
+ */
+async function validateLiveMark(user, { subjectId, classId, studentId, status, startTime }) {
+  if (!LIVE_STATUSES.includes(status)) {
+    return { success: false, message: `Status must be one of ${LIVE_STATUSES.join(', ')}` };
+  }
+  if (startTime && !START_TIME_PATTERN.test(startTime)) {
+    return { success: false, message: 'startTime must be HH:MM (24h)' };
+  }
+
+  const found = await findMarkableAllocation(user, { subjectId, classId });
+  if (!found.success) return found;
+  if (!found.allocation.students.some(id => id.toString() === String(studentId))) {
+    return { success: false, message: 'Student is not part of this allocation' };
+  }
+
+  return found;
+}
+
+/**
+ * Store a live mark unless a newer one (by lamportTime, then nodeId) is already stored.
+ * The conditional upsert keeps this correct when nodes of a cluster write concurrently.
+ * @returns {Promise<{applied: boolean, mark: object}>} mark is the stored winner either way
+ */
+async function recordLiveMark({ allocationId, subjectId, date, startTime = null, studentId, status, lamportTime, nodeId, markedBy }) {
+  const key = { allocationId, date, startTime: startTime || null, studentId };
+
+  try {
+    const mark = await LiveMark.findOneAndUpdate(
+      {
+        ...key,
+        $or: [
+          { lamportTime: { $lt: lamportTime } },
+          { lamportTime, nodeId: { $lt: nodeId } }
+        ]
+      },
+      { $set: { subjectId, status, lamportTime, nodeId, markedBy, updatedAt: new Date() } },
+      { upsert: true, new: true }
+    ).lean();
+    return { applied: true, mark };
+  } catch (error) {
+    // The upsert collides with the stored mark when that one is newer
+    if (error.code !== 11000) throw error;
+    const mark = await LiveMark.findOne(key).lean();
+    return { applied: false, mark };
+  }
+}
+
+/**
+ * Current live roster of a lecture, one mark per student
+ */
+async function getLiveRoster(allocationId, date, startTime = null) {
+  return LiveMark.find({ allocationId, date, startTime: startTime || null })
+    .select('studentId status lamportTime nodeId markedBy updatedAt')
+    .lean();
+}
+
+/**
+ * Close a live lecture and record its roster as a LectureSession: each student keeps their
+ * winning live mark, unmarked roster students are Absent. The live marks are removed and the
+ * summary Attendance is rebuilt after commit. Only marks sent with the same startTime belong
+ * to the lecture, since a LectureSession needs one.
+ * @returns {Promise<{success: boolean, status?: number, message?: string, lectureSession?: object, summary?: object}>}
+ */
+async function closeLiveLecture(user, { subjectId, classId, date: dateValue, startTime }) {
+  const date = liveMarkDate(dateValue);
+  if (!date) {
+    return { success: false, status: 400, message: 'date must be a date (YYYY-MM-DD)' };
+  }
+  if (!START_TIME_PATTERN.test(startTime || '')) {
+    return { success: false, status: 400, message: 'startTime must be HH:MM (24h)' };
+  }
+
+  const found = await findMarkableAllocation(user, { subjectId, classId });
+  if (!found.success) return found;
+  const { allocation } = found;
+
+  const outcome = await withTransaction(async (dbSession) => {
+    const lock = await lockForSubject(allocation.subjectId, { date }, dbSession);
+    if (lock) return lockedResult(lock);
+
+    const existing = await LectureSession.findOne({ allocationId: allocation._id, date, startTime }).session(dbSession);
+    if (existing) {
+      return {
+        success: false,
+        status: 409,
+        message: 'A session already exists for this allocation, date and start time',
+        sessionId: existing._id
+      };
+    }
+
+    const key = { allocationId: allocation._id, date, startTime };
+    const marks = await LiveMark.find(key).session(dbSession);
+    if (marks.length === 0) {
+      return { success: false, status: 400, message: 'No live marks for this lecture' };
+    }
+
+    const statuses = new Map(marks.map(m => [m.studentId.toString(), m.status]));
+    const [lectureSession] = await LectureSession.create([{
+      allocationId: allocation._id,
+      subjectId: allocation.subjectId,
+      teacherId: user.role === 'teacher' ? user.userId : allocation.teacherId,
+      type: allocation.type,
+      division: allocation.division || null,
+      batch: allocation.type === 'Practical' ? allocation.batch : null,
+      date,
+      startTime,
+      records: allocation.students.map(studentId => ({
+        studentId,
+        status: statuses.get(studentId.toString()) || 'Absent'
+      }))
+    }], { session: dbSession });
+
+    await LiveMark.deleteMany(key).session(dbSession);
+
+    return { success: true, lectureSession };
+  });
+
+  if (outcome.success) {
+    outcome.summary = await syncSessionSummary(allocation._id);
+  }
+  return outcome;
+}
+
+module.exports = {
+  LIVE_STATUSES,
+  liveMarkDate,
+  validateLiveMark,
+  recordLiveMark,
+  getLiveRoster,
+  closeLiveLecture
+};
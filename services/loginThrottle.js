@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const LoginAttempt = require('../models/LoginAttempt');
+
+// Per account: after LOGIN_DELAY_AFTER failures each further attempt must wait, starting at
+// LOGIN_DELAY_BASE_SECONDS and doubling up to LOGIN_DELAY_MAX_SECONDS; LOGIN_MAX_FAILURES locks
+// the account for LOGIN_LOCKOUT_MINUTES. Per IP: after LOGIN_IP_DELAY_AFTER failures the address
+// is slowed down the same way but never locked, since a whole campus can share one address.
+// Counters reset after LOGIN_ATTEMPT_WINDOW_MINUTES without a failure.
+const LOGIN_DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER) || 3;
+const LOGIN_DELAY_BASE_SECONDS = parseInt(process.env.LOGIN_DELAY_BASE_SECONDS) || 1;
+const LOGIN_DELAY_MAX_SECONDS = parseInt(process.env.LOGIN_DELAY_MAX_SECONDS) || 30;
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 10;
+const LOGIN_IP_DELAY_AFTER = parseInt(process.env.LOGIN_IP_DELAY_AFTER) || 20;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_ATTEMPT_WINDOW_MINUTES = parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+
+function normaliseLogin(login) {
+  return String(login || '').trim().toLowerCase();
+}
+
+function accountKey(role, login) {
+  return `account:${role}:${normaliseLogin(login)}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip}`;
+}
+
+function minutesFrom(date, minutes) {
+  return new Date(date.getTime() + minutes * 60 * 1000);
+}
+
+function secondsUntil(date, now) {
+  return Math.max(1, Math.ceil((date.getTime() - now.getTime()) / 1000));
+}
+
+// The strictest lockout or delay among these counters
+async function checkKeys(keys) {
+  const now = new Date();
+  const records = await LoginAttempt.find({ key: { $in: keys } }).lean();
+
+  const locked = records
+    .filter(record => record.scope === 'account' && record.lockedUntil && record.lockedUntil > now)
+    .sort((a, b) => b.lockedUntil - a.lockedUntil)[0];
+  if (locked) {
+    const retryAfter = secondsUntil(locked.lockedUntil, now);
+    return {
+      allowed: false,
+      status: 423,
+      message: `Too many failed login attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).`,
+      retryAfter
+    };
+  }
+
+  const delayed = records
+    .filter(record => record.nextAttemptAt && record.nextAttemptAt > now)
+    .sort((a, b) => b.nextAttemptAt - a.nextAttemptAt)[0];
+  if (delayed) {
+    const retryAfter = secondsUntil(delayed.nextAttemptAt, now);
+    return {
+      allowed: false,
+      status: 429,
+      message: `Too many failed login attempts. Try again in ${retryAfter} second(s).`,
+      retryAfter
+    };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Whether a login attempt may go ahead; call before checking the password
+ * @returns {Promise<{allowed: boolean, status?: number, message?: string, retryAfter?: number}>}
+ */
+async function checkLoginAllowed({ role, login, ip }) {
+  return checkKeys([accountKey(role, login), ipKey(ip)]);
+}
+
+/**
+ * Whether a password reset may be requested from this address. Only the address counts:
+ * a reset is how a locked-out owner gets back in, and the answer must not depend on the account.
+ */
+async function checkResetAllowed({ ip }) {
+  return checkKeys([ipKey(ip)]);
+}
+
+// Count one failure atomically; the counter starts over once the quiet window has passed
+async function incrementFailures(key, fields, now) {
+  const windowStart = minutesFrom(now, -LOGIN_ATTEMPT_WINDOW_MINUTES);
+  // Client-supplied values are wrapped so a login like "$failures" is stored, not evaluated
+  const literals = Object.fromEntries(Object.entries(fields).map(([field, value]) => [field, { $literal: value }]));
+  return LoginAttempt.findOneAndUpdate(
+    { key },
+    [{
+      $set: {
+        ...literals,
+        failures: {
+          $cond: [
+            { $lt: ['$lastFailureAt', windowStart] },
+            1,
+            { $add: [{ $ifNull: ['$failures', 0] }, 1] }
+          ]
+        },
+        lastFailureAt: now,
+        lockCount: { $ifNull: ['$lockCount', 0] },
+        expiresAt: { $max: [{ $ifNull: ['$lockedUntil', now] }, minutesFrom(now, LOGIN_ATTEMPT_WINDOW_MINUTES)] },
+        createdAt: { $ifNull: ['$createdAt', now] }
+      }
+    }],
+    { upsert: true, new: true }
+  );
+}
+
+// Lock a counter that reached its limit; only the request that actually locks it gets the record back
+async function lockRecord(record, now) {
+  const lockedUntil = minutesFrom(now, LOGIN_LOCKOUT_MINUTES);
+  return LoginAttempt.findOneAndUpdate(
+    { _id: record._id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    {
+      $set: {
+        failures: 0,
+        nextAttemptAt: null,
+        lockedUntil,
+        expiresAt: minutesFrom(lockedUntil, LOGIN_ATTEMPT_WINDOW_MINUTES)
+      },
+      $inc: { lockCount: 1 }
+    },
+    { new: true }
+  );
+}
+
+function progressiveDelaySeconds(failures, delayAfter) {
+  if (failures < delayAfter) return 0;
+  return Math.min(LOGIN_DELAY_BASE_SECONDS * 2 ** (failures - delayAfter), LOGIN_DELAY_MAX_SECONDS);
+}
+
+async function delayNextAttempt(record, delayAfter, now) {
+  const delay = progressiveDelaySeconds(record.failures, delayAfter);
+  if (delay === 0) return;
+  await LoginAttempt.updateOne(
+    { _id: record._id },
+    { $set: { nextAttemptAt: new Date(now.getTime() + delay * 1000) } }
+  );
+}
+
+async function countAddressFailure(ip, now) {
+  const address = await incrementFailures(ipKey(ip), { scope: 'ip', role: null, login: null, ip }, now);
+  await delayNextAttempt(address, LOGIN_IP_DELAY_AFTER, now);
+}
+
+/**
+ * Record a failed login for the account and the client IP. Unknown accounts are counted too,
+ * so the responses do not reveal which logins exist.
+ * @returns {Promise<object[]>} account lockouts started by this failure (for the operation log)
+ */
+async function recordLoginFailure({ role, login, ip }) {
+  const now = new Date();
+  const lockouts = [];
+
+  const account = await incrementFailures(
+    accountKey(role, login),
+    { scope: 'account', role, login: normaliseLogin(login), ip },
+    now
+  );
+  if (account.failures >= LOGIN_MAX_FAILURES) {
+    const locked = await lockRecord(account, now);
+    if (locked) lockouts.push(locked);
+  } else {
+    await delayNextAttempt(account, LOGIN_DELAY_AFTER, now);
+  }
+
+  await countAddressFailure(ip, now);
+
+  return lockouts.map(record => ({
+    scope: record.scope,
+    role: record.role,
+    login: record.login,
+    ip: record.ip,
+    lockedUntil: record.lockedUntil,
+    lockCount: record.lockCount
+  }));
+}
+
+/**
+ * Count a password reset request against the client IP like a failed login, so mailing reset
+ * links in bulk is slowed down the same way as guessing passwords
+ */
+async function recordResetRequest({ ip }) {
+  await countAddressFailure(ip, new Date());
+}
+
+/**
+ * Forget an account's failures after a successful login or password reset
+ */
+async function clearLoginFailures({ role, login }) {
+  await LoginAttempt.deleteOne({ key: accountKey(role, login) });
+}
+
+/**
+ * Accounts and addresses that are locked or being delayed right now
+ */
+async function listLoginLockouts() {
+  const now = new Date();
+  return LoginAttempt.find({ $or: [{ lockedUntil: { $gt: now } }, { nextAttemptAt: { $gt: now } }] })
+    .sort({ lockedUntil: -1, lastFailureAt: -1 })
+    .lean();
+}
+
+/**
+ * Lift a lockout or delay by record id, or for an account (role + login) or an IP
+ * @returns {Promise<object|null>} the removed record, or null when nothing matched
+ */
+async function unlockLogin({ id, role, login, ip }) {
+  let filter;
+  if (id) {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    filter = { _id: id };
+  } else if (role && login) {
+    filter = { key: accountKey(role, login) };
+  } else if (ip) {
+    filter = { key: ipKey(ip) };
+  } else {
+    return null;
+  }
+  return LoginAttempt.findOneAndDelete(filter).lean();
+}
+
+module.exports = {
+  checkLoginAllowed,
+  checkResetAllowed,
+  recordLoginFailure,
+  recordResetRequest,
+  clearLoginFailures,
+  listLoginLockouts,
+  unlockLogin
+};
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const OutboxMail = require('../models/OutboxMail');
+
+// MAIL_TRANSPORT picks how mail leaves the server:
+//   smtp - deliver through SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+//   file - write each mail as JSON into MAIL_OUTBOX_DIR (default outbox/)
+//   db   - store each mail in the OutboxMail collection
+// Without MAIL_TRANSPORT, smtp is used when SMTP_HOST is set and file otherwise.
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@localhost';
+
+let smtpTransport = null;
+
+const transports = {
+  smtp: async (message) => {
+    if (!smtpTransport) {
+      smtpTransport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      });
+    }
+    const info = await smtpTransport.sendMail(message);
+    return { messageId: info.messageId };
+  },
+
+  file: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || 'outbox';
+    await fs.promises.mkdir(dir, { recursive: true });
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.promises.writeFile(
+      path.join(dir, `${messageId}.json`),
+      JSON.stringify({ ...message, createdAt: new Date().toISOString() }, null, 2)
+    );
+    return { messageId };
+  },
+
+  db: async (message) => {
+    const mail = await OutboxMail.create(message);
+    return { messageId: mail._id.toString() };
+  }
+};
+
+function transportName() {
+  return (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'file')).toLowerCase();
+}
+
+/**
+ * Add or replace a transport; `send(message)` resolves to { messageId }
+ */
+function registerMailTransport(name, send) {
+  transports[name] = send;
+}
+
+/**
+ * Send a mail through the configured transport
+ * @param {object} message - to, subject, text, html, category (what the mail is about)
+ * @returns {Promise<{transport: string, messageId: string}>}
+ */
+async function sendMail({ to, subject, text, html, category = null }) {
+  const name = transportName();
+  const send = transports[name];
+  if (!send) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+
+  const message = { from: MAIL_FROM, to, subject, text, html };
+  // Only the stored transports keep the category; SMTP would send it as an unknown option
+  const { messageId } = await send(name === 'smtp' ? message : { ...message, category });
+  return { transport: name, messageId };
+}
+
+module.exports = {
+  registerMailTransport,
+  sendMail
+};
@@ -0,0 +1,446 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Allocation = require('../models/Allocation');
+const Attendance = require('../models/Attendance');
+const LectureSession = require('../models/LectureSession');
+const Period = require('../models/Period');
+const Student = require('../models/Student');
+const SyncOperation = require('../models/SyncOperation');
+const { normalizeSessionDate, syncSessionSummary, validateMarks } = require('./sessionAttendance');
+const { findBlockingEvent } = require('./calendar');
+const { lockForSubject, lockedResult } = require('./attendanceLocks');
+
+const SYNC_KINDS = ['session', 'mark'];
+const MAX_SYNC_OPERATIONS = 500;
+// New attendance records beyond this count go through the bulk worker, as in /mark
+const BULK_THRESHOLD = 10;
+// A pending claim this old belongs to a request that died; a retry may take it over
+const SYNC_CLAIM_TIMEOUT = (parseInt(process.env.SYNC_CLAIM_TIMEOUT_MINUTES) || 5) * 60 * 1000;
+
+/**
+ * Sign the token a client sends back on its next sync
+ */
+function issueSyncToken(userId, syncedAt) {
+  return jwt.sign(
+    { userId, syncedAt: syncedAt.toISOString(), purpose: 'sync' },
+    process.env.JWT_SECRET || 'fallback_secret'
+  );
+}
+
+/**
+ * Time of the client's last sync; a first sync (no token) starts from the epoch
+ * @returns {{success: boolean, since?: Date, status?: number, message?: string}}
+ */
+function readSyncToken(token, userId) {
+  if (!token) return { success: true, since: new Date(0) };
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+    if (decoded.purpose !== 'sync' || decoded.userId !== userId) {
+      return { success: false, status: 400, message: 'Invalid sync token' };
+    }
+    return { success: true, since: new Date(decoded.syncedAt) };
+  } catch (error) {
+    return { success: false, status: 400, message: 'Invalid sync token' };
+  }
+}
+
+function failure(op, status, message, extra = {}) {
+  return { outcome: 'failed', failed: { opId: op.opId, kind: op.kind, status, message, ...extra } };
+}
+
+// A server document changed since the client's last sync, unless this batch changed it itself
+function changedSince(doc, since, touched) {
+  return doc.updatedAt > since && !touched.has(doc._id.toString());
+}
+
+async function applySessionOperation(op, user, ctx) {
+  const sessionDate = normalizeSessionDate(op.date);
+  if (!op.allocationId || !sessionDate || !op.startTime) {
+    return failure(op, 400, 'allocationId, date and startTime are required');
+  }
+
+  const query = { _id: op.allocationId };
+  if (user.role === 'teacher') query.teacherId = user.userId;
+  const allocation = await Allocation.findOne(query);
+  if (!allocation) return failure(op, 404, 'Allocation not found');
+
+  const lock = await lockForSubject(allocation.subjectId, { date: sessionDate });
+  if (lock) {
+    const { status, success, message, ...extra } = lockedResult(lock);
+    return failure(op, status, message, extra);
+  }
+
+  const blocking = await findBlockingEvent(allocation, sessionDate, op.startTime);
+  if (blocking) {
+    return failure(op, 400, `No lecture on this day: ${blocking.title} (${blocking.kind})`);
+  }
+
+  const { marks, errors } = validateMarks(allocation, op.records);
+  if (errors.length > 0) return failure(op, 400, 'Invalid attendance records', { errors });
+
+  const existing = await LectureSession.findOne({ allocationId: op.allocationId, date: sessionDate, startTime: op.startTime });
+
+  if (!existing) {
+    // Roster students without a mark are recorded as Absent
+    for (const studentId of allocation.students) {
+      if (!marks.has(studentId.toString())) marks.set(studentId.toString(), 'Absent');
+    }
+    const session = await LectureSession.create({
+      allocationId: allocation._id,
+      subjectId: allocation.subjectId,
+      teacherId: user.role === 'teacher' ? user.userId : allocation.teacherId,
+      type: allocation.type,
+      division: allocation.division || null,
+      batch: allocation.type === 'Practical' ? allocation.batch : null,
+      date: sessionDate,
+      startTime: op.startTime,
+      endTime: op.endTime || null,
+      records: Array.from(marks, ([studentId, status]) => ({ studentId, status }))
+    });
+    ctx.touched.add(session._id.toString());
+    ctx.allocations.add(allocation._id.toString());
+    return { outcome: 'applied', result: { sessionId: session._id, action: 'created' } };
+  }
+
+  const changes = existing.records.filter(r => marks.has(r.studentId.toString()) && marks.get(r.studentId.toString()) !== r.status);
+  const endTimeChanged = op.endTime !== undefined && (op.endTime || null) !== existing.endTime;
+
+  if (!op.force && (changes.length > 0 || endTimeChanged) && changedSince(existing, ctx.since, ctx.touched)) {
+    return {
+      outcome: 'conflict',
+      conflict: {
+        opId: op.opId,
+        kind: op.kind,
+        sessionId: existing._id,
+        server: { records: existing.records, endTime: existing.endTime, updatedAt: existing.updatedAt },
+        client: { records: op.records, endTime: op.endTime }
+      }
+    };
+  }
+
+  for (const record of changes) record.status = marks.get(record.studentId.toString());
+  if (endTimeChanged) existing.endTime = op.endTime || null;
+  existing.updatedAt = new Date();
+  await existing.save();
+
+  ctx.touched.add(existing._id.toString());
+  ctx.allocations.add(existing.allocationId.toString());
+  return { outcome: 'applied', result: { sessionId: existing._id, action: 'updated', changed: changes.length } };
+}
+
+async function applyMarkOperation(op, user, ctx) {
+  const { studentId, subjectId, type } = op;
+  const totalConducted = Number(op.totalConducted);
+  const totalAttended = Number(op.totalAttended);
+  const periodId = op.periodId || null;
+
+  if (!studentId || !subjectId || !['Theory', 'Practical'].includes(type)) {
+    return failure(op, 400, 'studentId, subjectId and type (Theory or Practical) are required');
+  }
+  if (!Number.isInteger(totalConducted) || !Number.isInteger(totalAttended) ||
+      totalConducted < 0 || totalAttended < 0 || totalAttended > totalConducted) {
+    return failure(op, 400, 'totalConducted and totalAttended must be whole numbers with attended <= conducted');
+  }
+
+  if (user.role === 'teacher') {
+    const allocated = await Allocation.exists({ teacherId: user.userId, subjectId, type, students: studentId });
+    if (!allocated) return failure(op, 403, 'Insufficient permissions');
+  }
+
+  const lockKey = `${subjectId}_${periodId || ''}`;
+  if (!ctx.locks.has(lockKey)) {
+    ctx.locks.set(lockKey, await lockForSubject(subjectId, { periodId }));
+  }
+  const lock = ctx.locks.get(lockKey);
+  if (lock) {
+    const { status, success, message, ...extra } = lockedResult(lock);
+    return failure(op, status, message, extra);
+  }
+
+  let period = null;
+  if (periodId) {
+    period = await Period.findById(periodId).select('label');
+    if (!period) return failure(op, 404, 'Period not found');
+  }
+
+  const percentage = totalConducted > 0 ? (totalAttended / totalConducted) * 100 : 0;
+  const key = `${studentId}_${subjectId}_${type}_${periodId || ''}`;
+
+  // A second operation on a record created earlier in this batch replaces its totals
+  const pending = ctx.creates.get(key);
+  if (pending) {
+    Object.assign(pending.record, { totalConducted, totalAttended, percentage });
+    pending.opIds.push(op.opId);
+    return { outcome: 'deferred' };
+  }
+
+  // Session summaries are rebuilt from lecture sessions, so only upload records are synced here
+  const existing = await Attendance.findOne({
+    studentId,
+    subjectId,
+    type,
+    periodId,
+    source: { $ne: 'session' }
+  }).sort({ updatedAt: -1 });
+
+  if (!existing) {
+    const record = {
+      _id: new mongoose.Types.ObjectId().toString(),
+      studentId: String(studentId),
+      subjectId: String(subjectId),
+      type,
+      totalConducted,
+      totalAttended,
+      percentage,
+      periodId: periodId ? String(periodId) : null,
+      period: period ? period.label : null
+    };
+    ctx.creates.set(key, { record, opIds: [op.opId] });
+    return { outcome: 'deferred' };
+  }
+
+  const differs = existing.totalConducted !== totalConducted || existing.totalAttended !== totalAttended;
+  if (!op.force && differs && changedSince(existing, ctx.since, ctx.touched)) {
+    return {
+      outcome: 'conflict',
+      conflict: {
+        opId: op.opId,
+        kind: op.kind,
+        attendanceId: existing._id,
+        server: {
+          totalConducted: existing.totalConducted,
+          totalAttended: existing.totalAttended,
+          updatedAt: existing.updatedAt
+        },
+        client: { totalConducted, totalAttended }
+      }
+    };
+  }
+
+  existing.totalConducted = totalConducted;
+  existing.totalAttended = totalAttended;
+  existing.percentage = percentage;
+  existing.updatedAt = new Date();
+  await existing.save();
+
+  ctx.touched.add(existing._id.toString());
+  return { outcome: 'applied', result: { attendanceId: existing._id, action: 'updated' } };
+}
+
+/**
+ * Create the attendance records deferred by mark operations; large batches use the bulk worker
+ * @returns {Promise<Map<string, string>>} error message per failed record _id
+ */
+async function createDeferredRecords(records, teacherId) {
+  const failures = new Map();
+  if (records.length === 0) return failures;
+
+  if (records.length > BULK_THRESHOLD) {
+    const attendanceProcessor = require('../workers/attendanceProcessor');
+    let result;
+    try {
+      result = await attendanceProcessor.processBulkAttendance(records, { teacherId, startTime: Date.now() });
+    } catch (error) {
+      // The worker crashed or exited; none of its records can be trusted as created
+      console.error('Sync bulk worker error:', error);
+      result = { success: false, error: error.message };
+    }
+
+    if (!result.success) {
+      for (const record of records) failures.set(record._id, result.error || 'Bulk processing failed');
+      return failures;
+    }
+    for (const detail of result.errorDetails) {
+      failures.set(String(detail.record._id), detail.error);
+    }
+    return failures;
+  }
+
+  for (const record of records) {
+    try {
+      const attendance = await new Attendance({ ...record, recordedBy: teacherId, source: 'mark' }).save();
+      await Student.findByIdAndUpdate(
+        record.studentId,
+        { $push: { attedanceRecord: attendance._id } }
+      );
+    } catch (error) {
+      failures.set(record._id, error.message);
+    }
+  }
+  return failures;
+}
+
+/**
+ * Claim (user, opId) before applying an operation. An operation that was already applied is
+ * reported as a duplicate; one pending in another request is refused unless its claim is stale.
+ * @returns {Promise<boolean>} whether this request now owns the operation
+ */
+async function claimOperation(userId, op, duplicates, failed) {
+  try {
+    await SyncOperation.create({ opId: op.opId, userId, kind: op.kind, clientTimestamp: op.clientTimestamp });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  // Claims from requests that died mid-batch (or predate claimedAt) can be taken over
+  const now = new Date();
+  const reclaimed = await SyncOperation.findOneAndUpdate(
+    {
+      userId,
+      opId: op.opId,
+      status: 'pending',
+      $or: [{ claimedAt: { $lt: new Date(now.getTime() - SYNC_CLAIM_TIMEOUT) } }, { claimedAt: null }]
+    },
+    { $set: { claimedAt: now, kind: op.kind, clientTimestamp: op.clientTimestamp } },
+    { new: true }
+  );
+  if (reclaimed) return true;
+
+  const previous = await SyncOperation.findOne({ userId, opId: op.opId }).lean();
+  if (previous && previous.status === 'applied') {
+    duplicates.push({ opId: op.opId, kind: previous.kind, result: previous.result });
+  } else {
+    failed.push({ opId: op.opId, kind: op.kind, status: 409, message: 'Operation is already being applied' });
+  }
+  return false;
+}
+
+/**
+ * Apply a batch of offline operations in client-timestamp order.
+ * Each operation is claimed by (user, opId) first, so replays return the stored result.
+ * If the batch throws, its unfinished claims are released so the same opIds can be retried.
+ * Operations that conflict with server changes made since the sync token are not applied
+ * (send them again with force: true to overwrite) and can be retried with the same opId.
+ * @param {object} body - syncToken, operations[{opId, kind, clientTimestamp, force, ...fields}]
+ * @returns {Promise<{success: boolean, status: number, message?: string, syncToken?: string, ...}>}
+ */
+async function applySyncBatch(user, { syncToken, operations }) {
+  const token = readSyncToken(syncToken, user.userId);
+  if (!token.success) return token;
+
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return { success: false, status: 400, message: 'operations must be a non-empty array' };
+  }
+  if (operations.length > MAX_SYNC_OPERATIONS) {
+    return { success: false, status: 400, message: `A sync batch can hold at most ${MAX_SYNC_OPERATIONS} operations` };
+  }
+
+  const applied = [];
+  const duplicates = [];
+  const conflicts = [];
+  const failed = [];
+
+  const valid = [];
+  for (const op of operations) {
+    if (!op || typeof op.opId !== 'string' || !op.opId.trim()) {
+      failed.push({ opId: op?.opId ?? null, kind: op?.kind ?? null, status: 400, message: 'opId is required' });
+    } else if (!SYNC_KINDS.includes(op.kind)) {
+      failed.push({ opId: op.opId, kind: op.kind, status: 400, message: `kind must be one of ${SYNC_KINDS.join(', ')}` });
+    } else {
+      const clientTimestamp = op.clientTimestamp ? new Date(op.clientTimestamp) : null;
+      valid.push({ ...op, opId: op.opId.trim(), clientTimestamp: clientTimestamp && !isNaN(clientTimestamp) ? clientTimestamp : null });
+    }
+  }
+  // Replay in the order the client recorded the operations; undated ones keep their position last
+  const recordedAt = op => (op.clientTimestamp ? op.clientTimestamp.getTime() : Infinity);
+  valid.sort((a, b) => (recordedAt(a) === recordedAt(b) ? 0 : recordedAt(a) - recordedAt(b)));
+
+  const ctx = {
+    since: token.since,
+    touched: new Set(),
+    allocations: new Set(),
+    locks: new Map(),
+    creates: new Map()
+  };
+
+  const finish = (op, result) => SyncOperation.updateOne(
+    { userId: user.userId, opId: op.opId },
+    { status: 'applied', result, appliedAt: new Date() }
+  );
+  const release = op => SyncOperation.deleteOne({ userId: user.userId, opId: op.opId, status: 'pending' });
+
+  // Operations claimed by this request and not yet finished or released
+  const claimed = new Map();
+  const deferredOps = new Map();
+
+  try {
+    for (const op of valid) {
+      if (!(await claimOperation(user.userId, op, duplicates, failed))) continue;
+      claimed.set(op.opId, op);
+
+      let outcome;
+      try {
+        outcome = op.kind === 'session'
+          ? await applySessionOperation(op, user, ctx)
+          : await applyMarkOperation(op, user, ctx);
+      } catch (error) {
+        console.error('Sync operation error:', error);
+        outcome = failure(op, 500, error.message);
+      }
+
+      if (outcome.outcome === 'applied') {
+        await finish(op, outcome.result);
+        claimed.delete(op.opId);
+        applied.push({ opId: op.opId, kind: op.kind, result: outcome.result });
+      } else if (outcome.outcome === 'deferred') {
+        deferredOps.set(op.opId, op);
+      } else {
+        await release(op);
+        claimed.delete(op.opId);
+        if (outcome.outcome === 'conflict') conflicts.push(outcome.conflict);
+        else failed.push(outcome.failed);
+      }
+    }
+
+    const creates = Array.from(ctx.creates.values());
+    const createFailures = await createDeferredRecords(creates.map(c => c.record), user.userId);
+    for (const { record, opIds } of creates) {
+      const error = createFailures.get(record._id);
+      for (const opId of opIds) {
+        const op = deferredOps.get(opId);
+        if (error) {
+          await release(op);
+          failed.push({ opId, kind: op.kind, status: 400, message: error });
+        } else {
+          const result = { attendanceId: record._id, action: 'created' };
+          await finish(op, result);
+          applied.push({ opId, kind: op.kind, result });
+        }
+        claimed.delete(opId);
+      }
+    }
+  } catch (error) {
+    // Unfinished claims are released so the client can retry them with the same opIds
+    await SyncOperation.deleteMany({
+      userId: user.userId,
+      opId: { $in: Array.from(claimed.keys()) },
+      status: 'pending'
+    }).catch(releaseError => console.error('Sync claim release error:', releaseError));
+    throw error;
+  }
+
+  for (const allocationId of ctx.allocations) {
+    await syncSessionSummary(allocationId);
+  }
+
+  const syncedAt = new Date();
+  return {
+    success: true,
+    status: 200,
+    syncToken: issueSyncToken(user.userId, syncedAt),
+    syncedAt,
+    applied,
+    duplicates,
+    conflicts,
+    failed
+  };
+}
+
+module.exports = {
+  SYNC_KINDS,
+  MAX_SYNC_OPERATIONS,
+  issueSyncToken,
+  readSyncToken,
+  applySyncBatch
+};
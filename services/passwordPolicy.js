@@ -0,0 +1,48 @@
+// Password strength rules, configurable through the environment:
+//   PASSWORD_MIN_LENGTH (default 8)
+//   PASSWORD_REQUIRE_UPPERCASE / _LOWERCASE / _DIGIT (default true), PASSWORD_REQUIRE_SYMBOL (default false)
+function flag(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return fallback;
+  return value === 'true';
+}
+
+function passwordPolicy() {
+  return {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+    requireUppercase: flag('PASSWORD_REQUIRE_UPPERCASE', true),
+    requireLowercase: flag('PASSWORD_REQUIRE_LOWERCASE', true),
+    requireDigit: flag('PASSWORD_REQUIRE_DIGIT', true),
+    requireSymbol: flag('PASSWORD_REQUIRE_SYMBOL', false)
+  };
+}
+
+/**
+ * Check a new password against the policy
+ * @param {object} context - login and name of the account; the password may not contain them
+ * @returns {string[]} what the password is missing (empty when it passes)
+ */
+function checkPasswordPolicy(password, { login = null, name = null } = {}) {
+  if (typeof password !== 'string' || password.length === 0) return ['Password is required'];
+
+  const policy = passwordPolicy();
+  const errors = [];
+  if (password.length < policy.minLength) errors.push(`Password must be at least ${policy.minLength} characters`);
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) errors.push('Password must contain an uppercase letter');
+  if (policy.requireLowercase && !/[a-z]/.test(password)) errors.push('Password must contain a lowercase letter');
+  if (policy.requireDigit && !/\d/.test(password)) errors.push('Password must contain a digit');
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) errors.push('Password must contain a symbol');
+
+  const lower = password.toLowerCase();
+  const loginPart = login ? String(login).toLowerCase().split('@')[0] : '';
+  if (loginPart.length >= 3 && lower.includes(loginPart)) errors.push('Password must not contain your login');
+  const nameParts = name ? String(name).toLowerCase().split(/\s+/).filter(part => part.length >= 3) : [];
+  if (nameParts.some(part => lower.includes(part))) errors.push('Password must not contain your name');
+
+  return errors;
+}
+
+module.exports = {
+  passwordPolicy,
+  checkPasswordPolicy
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { ROLES, accountFields, findAccountByLogin, findAccountById, accountName, accountEmail } = require('./accounts');
+const { sendMail } = require('./mailer');
+const { checkPasswordPolicy } = require('./passwordPolicy');
+const { revokeUserSessions } = require('./authSessions');
+const { clearLoginFailures } = require('./loginThrottle');
+
+const RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Mail a reset link to the account with this login, replacing earlier unused links.
+ * Unknown logins and accounts without a mail address are ignored silently, so callers
+ * must answer the same way either way, and should do so before this runs so the response
+ * time does not tell either.
+ * @returns {Promise<{sent: boolean}>}
+ */
+async function requestPasswordReset({ role, login, ip = null }) {
+  if (!ROLES.includes(role)) return { sent: false };
+
+  const account = await findAccountByLogin(role, login);
+  const email = account ? accountEmail(role, account) : null;
+  if (!email) return { sent: false };
+
+  await PasswordResetToken.deleteMany({ userId: account._id, role, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await PasswordResetToken.create({
+    userId: account._id,
+    role,
+    tokenHash: hashResetToken(token),
+    expiresAt: new Date(Date.now() + RESET_TTL_MINUTES * 60 * 1000),
+    requestedIp: ip
+  });
+
+  const link = `${process.env.CLIENT_URL || 'http://localhost:5173'}/reset-password?token=${token}`;
+  const name = accountName(role, account) || 'there';
+  await sendMail({
+    to: email,
+    subject: 'Reset your attendance portal password',
+    text: `Hello ${name},\n\nUse this link to choose a new password. It works once and expires in ${RESET_TTL_MINUTES} minutes:\n${link}\n\nIf you did not ask for a reset, you can ignore this mail.`,
+    // Names come from imported rosters, so they are escaped like the link before going into markup
+    html: `<p>Hello ${escapeHtml(name)},</p><p>Use this link to choose a new password. It works once and expires in ${RESET_TTL_MINUTES} minutes:</p><p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p><p>If you did not ask for a reset, you can ignore this mail.</p>`,
+    category: 'password-reset'
+  });
+
+  return { sent: true };
+}
+
+/**
+ * Redeem a reset token and set the new password. The token is claimed atomically,
+ * so it cannot be used twice even by concurrent requests.
+ * @returns {Promise<{success: boolean, status: number, message: string, errors?: string[], revokedSessions?: string[]}>}
+ */
+async function resetPassword({ token, password }) {
+  if (!token || typeof password !== 'string') {
+    return { success: false, status: 400, message: 'token and password are required' };
+  }
+  const now = new Date();
+  const claimed = await PasswordResetToken.findOneAndUpdate(
+    { tokenHash: hashResetToken(token), usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { success: false, status: 400, message: 'Reset link is invalid or has expired' };
+  }
+
+  const account = await findAccountById(claimed.role, claimed.userId);
+  if (!account) {
+    return { success: false, status: 400, message: 'Reset link is invalid or has expired' };
+  }
+
+  const fields = accountFields(claimed.role);
+  const errors = checkPasswordPolicy(password, { login: account[fields.login], name: account[fields.name] });
+  if (errors.length > 0) {
+    // The link stays usable for a second attempt
+    await PasswordResetToken.updateOne({ _id: claimed._id }, { $set: { usedAt: null } });
+    return { success: false, status: 400, message: errors[0], errors };
+  }
+
+  account[fields.password] = await bcrypt.hash(password, 10);
+  // A reset replaces an imported initial password as well
+  if (fields.mustChangePassword) {
+    account.mustChangePassword = false;
+    account.passwordChangedAt = new Date();
+  }
+  await account.save();
+
+  // Any other outstanding link of this account stops working too
+  await PasswordResetToken.deleteMany({ userId: claimed.userId, role: claimed.role, _id: { $ne: claimed._id } });
+
+  // Sessions opened with the old password end as well
+  const revokedSessions = await revokeUserSessions(claimed.userId, { reason: 'password-reset' });
+  // Proving control of the mailbox also lifts a lockout on the account
+  await clearLoginFailures({ role: claimed.role, login: account[fields.login] });
+
+  return { success: true, status: 200, message: 'Password has been reset. You can log in now.', revokedSessions };
+}
+
+module.exports = {
+  RESET_TTL_MINUTES,
+  hashResetToken,
+  requestPasswordReset,
+  resetPassword
+};
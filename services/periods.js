@@ -0,0 +1,139 @@
+const Period = require('../models/Period');
+const Semester = require('../models/Semester');
+const { normalizeSessionDate } = require('./sessionAttendance');
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * Turn a sheet period like "Aug-25 to Oct-25" or "2025-08 to 2025-10" into whole-month UTC dates
+ * @returns {{startDate: Date, endDate: Date}|null}
+ */
+function parsePeriodLabel(label) {
+  if (!label) return null;
+  const text = String(label).trim();
+
+  let from = null;
+  let to = null;
+
+  const monthYear = text.match(/^([A-Za-z]{3})-(\d{2})\s+to\s+([A-Za-z]{3})-(\d{2})$/i);
+  if (monthYear) {
+    from = { month: MONTHS.indexOf(monthYear[1].toUpperCase()), year: 2000 + parseInt(monthYear[2]) };
+    to = { month: MONTHS.indexOf(monthYear[3].toUpperCase()), year: 2000 + parseInt(monthYear[4]) };
+  }
+
+  const isoMonths = text.match(/^(\d{4})-(\d{2})\s+to\s+(\d{4})-(\d{2})$/i);
+  if (isoMonths) {
+    from = { month: parseInt(isoMonths[2]) - 1, year: parseInt(isoMonths[1]) };
+    to = { month: parseInt(isoMonths[4]) - 1, year: parseInt(isoMonths[3]) };
+  }
+
+  if (!from || from.month < 0 || from.month > 11 || to.month < 0 || to.month > 11) return null;
+
+  return {
+    startDate: new Date(Date.UTC(from.year, from.month, 1)),
+    // Day 0 of the following month is the last day of the end month
+    endDate: new Date(Date.UTC(to.year, to.month + 1, 0))
+  };
+}
+
+/**
+ * Check a period before saving it. Incremental periods of a semester may not overlap,
+ * otherwise the same lectures would be counted twice when totals are added up.
+ * @param {object} fields - label, startDate, endDate, semesterId, kind
+ * @param {string|null} excludeId - Period being updated
+ * @returns {Promise<{success: boolean, status?: number, message?: string, conflicts?: Array, fields?: object}>}
+ */
+async function validatePeriod(fields, excludeId = null) {
+  const label = fields.label ? String(fields.label).trim() : '';
+  const startDate = normalizeSessionDate(fields.startDate);
+  const endDate = normalizeSessionDate(fields.endDate);
+  const { semesterId, kind } = fields;
+
+  if (!label || !startDate || !endDate || !semesterId || !kind) {
+    return { success: false, status: 400, message: 'label, startDate, endDate, semesterId and kind are required' };
+  }
+  if (!['cumulative', 'incremental'].includes(kind)) {
+    return { success: false, status: 400, message: 'kind must be cumulative or incremental' };
+  }
+  if (endDate < startDate) {
+    return { success: false, status: 400, message: 'endDate must not be before startDate' };
+  }
+
+  const semester = await Semester.findById(semesterId);
+  if (!semester) {
+    return { success: false, status: 404, message: 'Semester not found' };
+  }
+
+  const sameLabel = await Period.findOne({ semesterId, label, _id: { $ne: excludeId } });
+  if (sameLabel) {
+    return { success: false, status: 400, message: `Period "${label}" already exists in this semester` };
+  }
+
+  if (kind === 'incremental') {
+    const conflicts = await Period.find({
+      _id: { $ne: excludeId },
+      semesterId,
+      kind: 'incremental',
+      startDate: { $lte: endDate },
+      endDate: { $gte: startDate }
+    }).select('label startDate endDate');
+
+    if (conflicts.length > 0) {
+      return {
+        success: false,
+        status: 409,
+        message: `Incremental period overlaps ${conflicts.map(p => `"${p.label}"`).join(', ')}`,
+        conflicts
+      };
+    }
+  }
+
+  return { success: true, fields: { label, startDate, endDate, semesterId, kind } };
+}
+
+/**
+ * Find the period an upload belongs to: the chosen periodId, or the semester's period
+ * whose label or month range matches the period printed on the sheet
+ * @returns {Promise<{success: boolean, period?: object, status?: number, message?: string, availablePeriods?: Array}>}
+ */
+async function resolveUploadPeriod({ periodId, sheetPeriod, semesterId }) {
+  if (periodId) {
+    const period = await Period.findById(periodId);
+    if (!period) {
+      return { success: false, status: 404, message: 'Period not found' };
+    }
+    if (semesterId && period.semesterId.toString() !== String(semesterId)) {
+      return { success: false, status: 400, message: `Period "${period.label}" belongs to a different semester` };
+    }
+    return { success: true, period };
+  }
+
+  const periods = await Period.find({ semesterId }).sort({ startDate: 1 });
+
+  if (sheetPeriod) {
+    const label = String(sheetPeriod).trim().toUpperCase();
+    const byLabel = periods.find(p => p.label.toUpperCase() === label);
+    if (byLabel) return { success: true, period: byLabel };
+
+    const range = parsePeriodLabel(sheetPeriod);
+    const byDates = range && periods.find(p =>
+      p.startDate.getTime() === range.startDate.getTime() && p.endDate.getTime() === range.endDate.getTime()
+    );
+    if (byDates) return { success: true, period: byDates };
+  }
+
+  return {
+    success: false,
+    status: 400,
+    message: sheetPeriod
+      ? `No period matches "${sheetPeriod}" in this semester. Choose a periodId or ask an admin to create the period.`
+      : 'The sheet has no period. Choose a periodId for this upload.',
+    availablePeriods: periods.map(p => ({ _id: p._id, label: p.label, kind: p.kind, startDate: p.startDate, endDate: p.endDate }))
+  };
+}
+
+module.exports = {
+  parsePeriodLabel,
+  validatePeriod,
+  resolveUploadPeriod
+};
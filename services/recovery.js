@@ -0,0 +1,89 @@
+const Allocation = require('../models/Allocation');
+const LectureSession = require('../models/LectureSession');
+
+// Attendance a student must reach to stop being a defaulter; also the default defaulter threshold
+const RECOVERY_TARGET = parseInt(process.env.DEFAULTER_THRESHOLD) || 75;
+
+/**
+ * Consecutive lectures a student must attend to reach the target:
+ * the smallest n with (attended + n) / (conducted + n) >= target / 100
+ */
+function lecturesNeeded(conducted, attended, target = RECOVERY_TARGET) {
+  if (attended * 100 >= target * conducted) return 0;
+  return Math.ceil((target * conducted - 100 * attended) / (100 - target));
+}
+
+/**
+ * Lectures still to be held per student, subject and type: planned minus conducted of the
+ * student's allocations. Conducted is the larger of the allocation's total (set by sheet uploads)
+ * and its recorded lecture sessions, as a cumulative sheet already includes earlier sessions.
+ * Only timetable plans (which follow the academic calendar) count; other allocations are left
+ * out, so their remaining lectures stay unknown.
+ * @returns {Promise<Map<string, Map<string, number>>>} studentId -> `${subjectId}_${type}` -> remaining
+ */
+async function loadRemainingLectures(studentIds) {
+  const allocations = await Allocation.find({
+    students: { $in: studentIds },
+    plannedSource: 'timetable',
+    totalPlanned: { $gt: 0 }
+  })
+    .select('subjectId type students totalPlanned totalConducted')
+    .lean();
+
+  const sessionCounts = await LectureSession.aggregate([
+    { $match: { allocationId: { $in: allocations.map(a => a._id) } } },
+    { $group: { _id: '$allocationId', count: { $sum: 1 } } }
+  ]);
+  const sessionsHeld = new Map(sessionCounts.map(c => [c._id.toString(), c.count]));
+
+  const wanted = new Set(studentIds.map(id => id.toString()));
+  const remaining = new Map();
+  for (const allocation of allocations) {
+    const conducted = Math.max(allocation.totalConducted || 0, sessionsHeld.get(allocation._id.toString()) || 0);
+    const left = Math.max(allocation.totalPlanned - conducted, 0);
+    const key = `${allocation.subjectId}_${allocation.type}`;
+    for (const studentId of allocation.students) {
+      const id = studentId.toString();
+      if (!wanted.has(id)) continue;
+      if (!remaining.has(id)) remaining.set(id, new Map());
+      const byKey = remaining.get(id);
+      byKey.set(key, (byKey.get(key) || 0) + left);
+    }
+  }
+  return remaining;
+}
+
+/**
+ * Recovery projection for one subject (or subject and type).
+ * reachable is null when no planned count is known for the remaining lectures.
+ * @param {number|null} remainingLectures - From loadRemainingLectures; null when unknown
+ */
+function projectRecovery(conducted, attended, remainingLectures, target = RECOVERY_TARGET) {
+  const needed = lecturesNeeded(conducted, attended, target);
+  return {
+    target,
+    lecturesNeeded: needed,
+    remainingLectures,
+    reachable: needed === 0 ? true : (remainingLectures === null ? null : needed <= remainingLectures)
+  };
+}
+
+/**
+ * Remaining lectures of a subject across the given types, or null when none are planned
+ * @param {Map<string, number>|undefined} studentRemaining - One student's entry of loadRemainingLectures
+ */
+function remainingFor(studentRemaining, subjectId, types = ['Theory', 'Practical']) {
+  if (!studentRemaining) return null;
+  const counts = types
+    .map(type => studentRemaining.get(`${subjectId}_${type}`))
+    .filter(count => count !== undefined);
+  return counts.length > 0 ? counts.reduce((sum, count) => sum + count, 0) : null;
+}
+
+module.exports = {
+  RECOVERY_TARGET,
+  lecturesNeeded,
+  loadRemainingLectures,
+  projectRecovery,
+  remainingFor
+};
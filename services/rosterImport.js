@@ -0,0 +1,213 @@
+const bcrypt = require('bcryptjs');
+const Admin = require('../models/Admin');
+const Teacher = require('../models/Teacher');
+const Student = require('../models/Student');
+const Allocation = require('../models/Allocation');
+const { withTransaction } = require('./transactions');
+
+// Roster imports run row by row from the job worker. Each row reports one outcome
+// through onRow({ row, status: 'inserted' | 'skipped' | 'failed', identifier, message })
+// so the job can keep counts and a row-level error report. One bad row never stops the import.
+// Each row is written in its own transaction, so a retried import skips the rows an earlier
+// attempt finished and never finds one half written.
+
+// Sheet rows come from sheet_to_json, so data row i is spreadsheet row i + 2 (row 1 is the header)
+const sheetRowNumber = (index) => index + 2;
+
+// Helper function to generate email
+function generateEmail(fullName, type) {
+  const parts = fullName.trim().split(" ");
+  const firstName = parts[0];
+  const lastName = parts.slice(1).join("").replace(/\s+/g, "");
+  const year = type?.toUpperCase() === "R" ? "23" : "24";
+  return `${firstName.toLowerCase()}.${lastName.toLowerCase()}${year}@spit.ac.in`;
+}
+
+/**
+ * Create students from the admin student sheet and link them to their allocations
+ * @returns {Promise<{inserted: number, skipped: number, failed: number, students: Array}>}
+ */
+async function importStudents(rows, { departmentId, semesterId }, { onRow = async () => {} } = {}) {
+  const summary = { inserted: 0, skipped: 0, failed: 0, students: [] };
+
+  for (let i = 0; i < rows.length; i++) {
+    const {
+      UID,
+      "NAME OF STUDENTS": name,
+      PASSWORD: password,
+      DIVISION: division,
+      BATCH: batch,
+      GENDER: genderCode,
+      "REGULAR/DSY": type,
+      CONTACT: contactNumber,
+    } = rows[i];
+    const row = sheetRowNumber(i);
+    const identifier = UID ? String(UID) : '';
+
+    try {
+      if (!UID || !name || password === undefined || password === null || password === '') {
+        summary.failed++;
+        await onRow({ row, status: 'failed', identifier, message: 'UID, NAME OF STUDENTS and PASSWORD are required' });
+        continue;
+      }
+
+      // Map gender from M/F to enum values
+      const gender = genderCode === "M" ? "Male" : genderCode === "F" ? "Female" : "Other";
+
+      // Check if student already exists
+      const existing = await Student.findOne({ studentId: String(UID) });
+      if (existing) {
+        summary.skipped++;
+        await onRow({ row, status: 'skipped', identifier, message: 'Student already exists' });
+        continue;
+      }
+
+      // Generate email
+      const email = generateEmail(name, type);
+
+      // Hash password
+      const hashedPassword = await bcrypt.hash(String(password), 10);
+
+      // Push to allocations with new logic
+      const cleanDivision = division?.trim();
+      const cleanBatch = batch?.trim() || null;
+
+      const student = await withTransaction(async (session) => {
+        // Create student
+        const [created] = await Student.create([{
+          name,
+          studentId: String(UID),
+          email,
+          password: hashedPassword,
+          mustChangePassword: true,
+          division,
+          batch,
+          contactNumber: contactNumber === "NA" ? "" : contactNumber,
+          gender,
+          departmentId,
+          semesterId,
+        }], { session });
+
+        // Always link to Theory
+        await Allocation.updateMany(
+          { division: cleanDivision, type: "Theory" },
+          { $addToSet: { students: created._id } },
+          { session }
+        );
+
+        // Link to Practical if batch is given
+        if (cleanBatch) {
+          await Allocation.updateMany(
+            { division: cleanDivision, batch: cleanBatch, type: "Practical" },
+            { $addToSet: { students: created._id } },
+            { session }
+          );
+        }
+
+        return created;
+      });
+
+      summary.inserted++;
+      summary.students.push({ _id: student._id, studentId: student.studentId, name: student.name, email: student.email });
+      await onRow({ row, status: 'inserted', identifier });
+    } catch (error) {
+      summary.failed++;
+      await onRow({ row, status: 'failed', identifier, message: error.message });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Create teachers from the admin teacher sheet and link them to the creating admin
+ * @returns {Promise<{inserted: number, skipped: number, failed: number, teachers: Array}>}
+ */
+async function importTeachers(rows, { createdBy }, { onRow = async () => {} } = {}) {
+  const summary = { inserted: 0, skipped: 0, failed: 0, teachers: [] };
+
+  for (let i = 0; i < rows.length; i++) {
+    const {
+      UID,
+      "NAME OF TEACHERS": teacherName,
+      PASSWORD: plainPassword,
+      GENDER: rawGender,
+      DEPARTMENT: department,
+      CONTACT: teacherNumber
+    } = rows[i];
+    const row = sheetRowNumber(i);
+    const identifier = teacherName ? String(teacherName) : (UID ? String(UID) : '');
+
+    try {
+      // Incomplete rows are reported instead of silently dropped
+      if (!teacherName || !plainPassword || !department) {
+        summary.failed++;
+        await onRow({ row, status: 'failed', identifier, message: 'NAME OF TEACHERS, PASSWORD and DEPARTMENT are required' });
+        continue;
+      }
+
+      // Generate email from name → name.surname@spit.ac.in
+      const nameParts = teacherName.trim().toLowerCase().split(/\s+/);
+      let teacherEmail = "";
+      if (nameParts.length >= 2) {
+        teacherEmail = `${nameParts[0]}.${nameParts[nameParts.length - 1]}@spit.ac.in`;
+      } else {
+        teacherEmail = `${nameParts[0]}@spit.ac.in`;
+      }
+
+      // Map gender codes to full form
+      let teacherGender = null;
+      if (rawGender) {
+        const g = rawGender.toString().trim().toUpperCase();
+        if (g === "M") teacherGender = "Male";
+        else if (g === "F") teacherGender = "Female";
+        else if (g === "O") teacherGender = "Other";
+      }
+
+      // Avoid duplicates
+      const existing = await Teacher.findOne({ teacherEmail });
+      if (existing) {
+        summary.skipped++;
+        await onRow({ row, status: 'skipped', identifier, message: `Teacher ${teacherEmail} already exists` });
+        continue;
+      }
+
+      const hashedPassword = await bcrypt.hash(String(plainPassword), 10);
+
+      const savedTeacher = await withTransaction(async (session) => {
+        const [created] = await Teacher.create([{
+          teacherName,
+          teacherEmail,
+          teacherPassword: hashedPassword,
+          mustChangePassword: true,
+          teacherGender,
+          teacherNumber: teacherNumber && teacherNumber !== "NA" ? teacherNumber : null,
+          department,
+          createdBy,
+        }], { session });
+
+        // Update teacher id in admin record
+        await Admin.findByIdAndUpdate(createdBy, {
+          $push: { Teachers: created._id },
+        }, { session });
+
+        return created;
+      });
+
+      summary.inserted++;
+      summary.teachers.push({ _id: savedTeacher._id, teacherName: savedTeacher.teacherName, teacherEmail });
+      await onRow({ row, status: 'inserted', identifier });
+    } catch (error) {
+      summary.failed++;
+      await onRow({ row, status: 'failed', identifier, message: error.message });
+    }
+  }
+
+  return summary;
+}
+
+module.exports = {
+  generateEmail,
+  importStudents,
+  importTeachers
+};
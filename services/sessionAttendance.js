@@ -0,0 +1,141 @@
+const Allocation = require('../models/Allocation');
+const Attendance = require('../models/Attendance');
+const LectureSession = require('../models/LectureSession');
+const Student = require('../models/Student');
+
+// Period label used for summary records derived from lecture sessions
+const SESSION_PERIOD = 'Lecture sessions';
+
+// Lecture start times are "HH:MM" (24h)
+const START_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const SESSION_STATUSES = ['Present', 'Absent', 'Late'];
+
+/**
+ * Parse a "YYYY-MM-DD" (or any Date-parsable) value into UTC midnight
+ * @returns {Date|null}
+ */
+function normalizeSessionDate(value) {
+  if (!value) return null;
+  const parsed = new Date(value);
+  if (isNaN(parsed.getTime())) return null;
+  return new Date(Date.UTC(parsed.getUTCFullYear(), parsed.getUTCMonth(), parsed.getUTCDate()));
+}
+
+/**
+ * Rebuild the summary Attendance records of an allocation's subject and type from its lecture sessions.
+ * Summaries are per student, subject and type, so the sessions of every allocation sharing the
+ * subject and type (other divisions, batches or teachers) are counted together.
+ * A student's conducted count is the number of sessions they have a record in;
+ * Present and Late both count as attended.
+ */
+async function syncSessionSummary(allocationId) {
+  const allocation = await Allocation.findById(allocationId);
+  if (!allocation) return { recordsUpdated: 0, recordsRemoved: 0 };
+
+  const allocations = await Allocation.find({ subjectId: allocation.subjectId, type: allocation.type })
+    .select('students division batch');
+  const allocationsById = new Map(allocations.map(a => [a._id.toString(), a]));
+
+  const sessions = await LectureSession.find({ allocationId: { $in: allocations.map(a => a._id) } })
+    .select('allocationId date records teacherId updatedAt')
+    .sort({ updatedAt: 1 });
+
+  const stats = {};
+  for (const session of sessions) {
+    for (const record of session.records) {
+      const key = record.studentId.toString();
+      if (!stats[key]) stats[key] = { conducted: 0, attended: 0, lectures: [] };
+      const attended = record.status === 'Present' || record.status === 'Late';
+      stats[key].conducted++;
+      if (attended) {
+        stats[key].attended++;
+      }
+      stats[key].lectures.push({ date: session.date, attended });
+      // The latest session decides the division, batch and recorder shown on the summary
+      stats[key].allocation = allocationsById.get(session.allocationId.toString());
+      stats[key].recordedBy = session.teacherId;
+    }
+  }
+
+  let recordsUpdated = 0;
+
+  for (const [studentId, { conducted, attended, lectures, allocation: latestAllocation, recordedBy }] of Object.entries(stats)) {
+    const attendanceRecord = await Attendance.findOneAndUpdate(
+      {
+        studentId,
+        subjectId: allocation.subjectId,
+        type: allocation.type,
+        period: SESSION_PERIOD
+      },
+      {
+        $set: {
+          totalConducted: conducted,
+          totalAttended: attended,
+          percentage: conducted > 0 ? (attended / conducted) * 100 : 0,
+          lectures: lectures.sort((a, b) => a.date - b.date),
+          division: latestAllocation.division || null,
+          batch: allocation.type === 'Practical' ? latestAllocation.batch : null,
+          recordedBy,
+          source: 'session',
+          updatedAt: new Date()
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    await Student.findByIdAndUpdate(studentId, {
+      $addToSet: { attedanceRecord: attendanceRecord._id }
+    });
+    recordsUpdated++;
+  }
+
+  // Students who no longer appear in any session lose their derived record
+  const stale = await Attendance.find({
+    subjectId: allocation.subjectId,
+    type: allocation.type,
+    source: 'session',
+    studentId: { $in: allocations.flatMap(a => a.students), $nin: Object.keys(stats) }
+  }).select('_id studentId');
+
+  for (const record of stale) {
+    await Attendance.deleteOne({ _id: record._id });
+    await Student.findByIdAndUpdate(record.studentId, { $pull: { attedanceRecord: record._id } });
+  }
+
+  return { recordsUpdated, recordsRemoved: stale.length };
+}
+
+/**
+ * Validate submitted marks against the allocation roster
+ * @returns {{marks: Map<string, string>, errors: Array<{studentId, error: string}>}}
+ */
+function validateMarks(allocation, submitted = []) {
+  const roster = new Set(allocation.students.map(id => id.toString()));
+  const marks = new Map();
+  const errors = [];
+
+  for (const entry of submitted) {
+    const studentId = entry?.studentId?.toString();
+    if (!studentId || !roster.has(studentId)) {
+      errors.push({ studentId: studentId || null, error: 'Student is not part of this allocation' });
+      continue;
+    }
+    if (!SESSION_STATUSES.includes(entry.status)) {
+      errors.push({ studentId, error: `Status must be one of ${SESSION_STATUSES.join(', ')}` });
+      continue;
+    }
+    marks.set(studentId, entry.status);
+  }
+
+  return { marks, errors };
+}
+
+module.exports = {
+  SESSION_PERIOD,
+  SESSION_STATUSES,
+  START_TIME_PATTERN,
+  normalizeSessionDate,
+  syncSessionSummary,
+  validateMarks
+};
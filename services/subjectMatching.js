@@ -0,0 +1,92 @@
+const Student = require('../models/Student');
+const Subject = require('../models/Subject');
+const SubjectAlias = require('../models/SubjectAlias');
+
+/**
+ * Split a sheet label like "CNS (Lab)" into a normalised alias and an optional type
+ * @returns {{alias: string, type: string|null}}
+ */
+function parseAliasLabel(label) {
+  let alias = String(label || '').toUpperCase().replace(/\s+/g, ' ').trim();
+  let type = null;
+
+  const typeMatch = alias.match(/\s*\((TH|THEORY|LAB|PR|PRACTICAL)\)$/);
+  if (typeMatch) {
+    type = ['TH', 'THEORY'].includes(typeMatch[1]) ? 'Theory' : 'Practical';
+    alias = alias.slice(0, typeMatch.index).trim();
+  }
+
+  return { alias, type };
+}
+
+/**
+ * Work out which department and semester a division upload belongs to.
+ * Explicit ids win; otherwise the most common values among the division's students are used.
+ * @returns {Promise<{departmentId: string|null, semesterId: string|null}>}
+ */
+async function resolveSheetScope(division, { departmentId, semesterId } = {}) {
+  if (departmentId && semesterId) {
+    return { departmentId: String(departmentId), semesterId: String(semesterId) };
+  }
+
+  const match = { division };
+  if (departmentId) match.departmentId = departmentId;
+  if (semesterId) match.semesterId = semesterId;
+
+  const students = await Student.find(match).select('departmentId semesterId');
+  const mostCommon = (field) => {
+    const counts = {};
+    for (const s of students) {
+      if (!s[field]) continue;
+      const key = s[field].toString();
+      counts[key] = (counts[key] || 0) + 1;
+    }
+    const sorted = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return sorted.length > 0 ? sorted[0][0] : null;
+  };
+
+  return {
+    departmentId: departmentId ? String(departmentId) : mostCommon('departmentId'),
+    semesterId: semesterId ? String(semesterId) : mostCommon('semesterId')
+  };
+}
+
+/**
+ * Resolve sheet subjects to database subjects of one semester/department.
+ * Order: type-specific alias, any-type alias, exact code, exact name. No substring guessing.
+ * @returns {Promise<{candidates: Array, matches: Array<object|null>}>} matches[i] belongs to sheetSubjects[i]
+ */
+async function matchSheetSubjects(sheetSubjects, scope) {
+  const subjectQuery = { semesterId: scope.semesterId };
+  if (scope.departmentId) subjectQuery.departmentId = scope.departmentId;
+
+  const candidates = await Subject.find(subjectQuery).select('_id name code');
+  const aliases = await SubjectAlias.find({ semesterId: scope.semesterId });
+  const byId = new Map(candidates.map(s => [s._id.toString(), s]));
+
+  const matches = sheetSubjects.map(sheetSubject => {
+    const { alias } = parseAliasLabel(sheetSubject.name);
+
+    const aliasHit = aliases.find(a => a.alias === alias && a.type === sheetSubject.type) ||
+                     aliases.find(a => a.alias === alias && !a.type);
+    if (aliasHit && byId.has(aliasHit.subjectId.toString())) {
+      return { subject: byId.get(aliasHit.subjectId.toString()), matchedBy: 'alias' };
+    }
+
+    const byCode = candidates.find(s => (s.code || '').toUpperCase() === alias);
+    if (byCode) return { subject: byCode, matchedBy: 'code' };
+
+    const byName = candidates.find(s => (s.name || '').toUpperCase().replace(/\s+/g, ' ').trim() === alias);
+    if (byName) return { subject: byName, matchedBy: 'name' };
+
+    return null;
+  });
+
+  return { candidates, matches };
+}
+
+module.exports = {
+  parseAliasLabel,
+  resolveSheetScope,
+  matchSheetSubjects
+};
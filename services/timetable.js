@@ -0,0 +1,251 @@
+const Allocation = require('../models/Allocation');
+const CalendarEvent = require('../models/CalendarEvent');
+const LectureSession = require('../models/LectureSession');
+const Semester = require('../models/Semester');
+const Subject = require('../models/Subject');
+const TimetableSlot = require('../models/TimetableSlot');
+const { lectureCancelledBy } = require('./calendar');
+
+// Index matches Date#getUTCDay
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+function monthIndex(name) {
+  const text = String(name || '').trim().toLowerCase();
+  if (text.length < 3) return -1;
+  return MONTH_NAMES.findIndex(m => m.startsWith(text.slice(0, 3)));
+}
+
+/**
+ * Teaching dates of a semester from its startMonth/endMonth ("August" to "December").
+ * academicYear is the calendar year of the start month; an end month before it rolls into the next year.
+ * @returns {{startDate: Date, endDate: Date}|null}
+ */
+function semesterDateRange(semester) {
+  const start = monthIndex(semester.startMonth);
+  const end = monthIndex(semester.endMonth);
+  const year = parseInt(semester.academicYear);
+  if (start < 0 || end < 0 || !year) return null;
+
+  return {
+    startDate: new Date(Date.UTC(year, start, 1)),
+    endDate: new Date(Date.UTC(end < start ? year + 1 : year, end + 1, 0))
+  };
+}
+
+/**
+ * Dates a weekday falls on between two dates (inclusive, UTC days)
+ */
+function weekdayDates(weekday, startDate, endDate) {
+  const target = WEEKDAYS.indexOf(weekday);
+  const dates = [];
+  if (target < 0) return dates;
+
+  const date = new Date(startDate);
+  date.setUTCDate(date.getUTCDate() + ((target - date.getUTCDay() + 7) % 7));
+  while (date <= endDate) {
+    dates.push(new Date(date));
+    date.setUTCDate(date.getUTCDate() + 7);
+  }
+  return dates;
+}
+
+/**
+ * Planned lectures of a set of weekly slots over a semester, optionally only up to a date.
+ * Days the calendar takes off are skipped and rescheduled lectures count on their new day.
+ * @param {Array} slots - TimetableSlot documents (allocationId, weekday, startTime)
+ * @param {Array} events - CalendarEvent entries of the semester
+ */
+function countPlannedLectures(slots, range, until = null, events = []) {
+  if (!range) return 0;
+  const endDate = until && until < range.endDate ? until : range.endDate;
+
+  let planned = 0;
+  for (const slot of slots) {
+    for (const date of weekdayDates(slot.weekday, range.startDate, endDate)) {
+      if (!lectureCancelledBy(events, slot.allocationId, date, slot.startTime)) planned++;
+    }
+  }
+
+  const allocationIds = new Set(slots.map(slot => slot.allocationId.toString()));
+  for (const event of events) {
+    if (event.kind !== 'reschedule' || !allocationIds.has(event.allocationId.toString())) continue;
+    const moved = event.rescheduledTo && event.rescheduledTo.date;
+    if (!moved || moved < range.startDate || moved > endDate) continue;
+    if (!lectureCancelledBy(events, event.allocationId, moved, event.rescheduledTo.startTime)) planned++;
+  }
+  return planned;
+}
+
+function sortSlots(slots) {
+  const order = day => (WEEKDAYS.indexOf(day) + 6) % 7; // Monday first
+  return slots.sort((a, b) => order(a.weekday) - order(b.weekday) || a.startTime.localeCompare(b.startTime));
+}
+
+/**
+ * Check a slot before saving it. The teacher, the room and the division (or, for practicals,
+ * the batch) cannot be in two places at once.
+ * @param {object} fields - allocationId, weekday, startTime, endTime, room
+ * @param {string|null} excludeId - Slot being updated
+ * @returns {Promise<{success: boolean, status?: number, message?: string, conflicts?: Array, fields?: object}>}
+ */
+async function validateSlot(fields, excludeId = null) {
+  const { allocationId, weekday, startTime, endTime } = fields;
+  const room = fields.room ? String(fields.room).trim() : undefined;
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+  if (!allocationId || !weekday || !startTime || !endTime) {
+    return { success: false, status: 400, message: 'allocationId, weekday, startTime and endTime are required' };
+  }
+  if (!WEEKDAYS.includes(weekday)) {
+    return { success: false, status: 400, message: `weekday must be one of ${WEEKDAYS.join(', ')}` };
+  }
+  if (!timePattern.test(startTime) || !timePattern.test(endTime) || endTime <= startTime) {
+    return { success: false, status: 400, message: 'startTime and endTime must be HH:MM with endTime after startTime' };
+  }
+
+  const allocation = await Allocation.findById(allocationId);
+  if (!allocation) {
+    return { success: false, status: 404, message: 'Allocation not found' };
+  }
+  const subject = await Subject.findById(allocation.subjectId).select('semesterId');
+  if (!subject || !subject.semesterId) {
+    return { success: false, status: 400, message: 'The allocation\'s subject has no semester' };
+  }
+
+  const slotFields = {
+    allocationId: allocation._id,
+    subjectId: allocation.subjectId,
+    teacherId: allocation.teacherId,
+    semesterId: subject.semesterId,
+    type: allocation.type,
+    division: allocation.division || null,
+    batch: allocation.type === 'Practical' ? allocation.batch || null : null,
+    weekday,
+    startTime,
+    endTime,
+    room
+  };
+
+  const sameGroup = { semesterId: slotFields.semesterId, division: slotFields.division };
+  if (slotFields.type === 'Practical') {
+    // Other batches of the division may run their practicals at the same time
+    sameGroup.$or = [{ type: 'Theory' }, { batch: slotFields.batch }];
+  }
+
+  const overlapping = {
+    _id: { $ne: excludeId },
+    weekday,
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime }
+  };
+  const clashes = [{ teacherId: slotFields.teacherId }, sameGroup];
+  if (room) clashes.push({ room });
+
+  const conflicts = await TimetableSlot.find({ ...overlapping, $or: clashes })
+    .populate('subjectId', 'name code')
+    .select('subjectId division batch weekday startTime endTime room teacherId');
+
+  if (conflicts.length > 0) {
+    return {
+      success: false,
+      status: 409,
+      message: `Slot clashes with ${conflicts.length} existing slot(s)`,
+      conflicts
+    };
+  }
+
+  return { success: true, fields: slotFields };
+}
+
+/**
+ * Recompute Allocation.totalPlanned from the timetable. Allocations without slots keep their total,
+ * which from then on counts as entered by hand.
+ * @returns {Promise<number|null>} The new total, or null when the allocation has no timetable
+ */
+async function refreshPlannedLectures(allocationId) {
+  const slots = await TimetableSlot.find({ allocationId }).select('allocationId weekday startTime semesterId');
+  if (slots.length === 0) {
+    await Allocation.updateOne({ _id: allocationId, plannedSource: 'timetable' }, { $set: { plannedSource: 'manual' } });
+    return null;
+  }
+
+  const semester = await Semester.findById(slots[0].semesterId);
+  const events = await CalendarEvent.find({ semesterId: slots[0].semesterId }).lean();
+  const planned = countPlannedLectures(slots, semester ? semesterDateRange(semester) : null, null, events);
+  await Allocation.updateOne({ _id: allocationId }, { $set: { totalPlanned: planned, plannedSource: 'timetable' } });
+  return planned;
+}
+
+/**
+ * Recompute the planned totals of every allocation with slots in a semester (after calendar changes)
+ * @returns {Promise<number>} Allocations refreshed
+ */
+async function refreshSemesterPlans(semesterId) {
+  const allocationIds = await TimetableSlot.distinct('allocationId', { semesterId });
+  for (const allocationId of allocationIds) {
+    await refreshPlannedLectures(allocationId);
+  }
+  return allocationIds.length;
+}
+
+/**
+ * Planned against conducted lectures for each allocation that has a timetable
+ * @returns {Promise<Array<{allocationId, subject, type, division, batch, slotsPerWeek, planned, plannedToDate, conducted, sessionsRecorded, shortfall}>>}
+ */
+async function timetableProgress(allocations, today = new Date()) {
+  const ids = allocations.map(a => a._id);
+  const slots = await TimetableSlot.find({ allocationId: { $in: ids } }).select('allocationId weekday startTime semesterId');
+  const semesterIds = [...new Set(slots.map(s => s.semesterId.toString()))];
+  const semesters = await Semester.find({ _id: { $in: semesterIds } });
+  const ranges = new Map(semesters.map(s => [s._id.toString(), semesterDateRange(s)]));
+  const events = await CalendarEvent.find({ semesterId: { $in: semesterIds } }).lean();
+
+  const sessionCounts = await LectureSession.aggregate([
+    { $match: { allocationId: { $in: ids } } },
+    { $group: { _id: '$allocationId', count: { $sum: 1 } } }
+  ]);
+  const sessions = new Map(sessionCounts.map(c => [c._id.toString(), c.count]));
+
+  const progress = [];
+  for (const allocation of allocations) {
+    const own = slots.filter(s => s.allocationId.toString() === allocation._id.toString());
+    if (own.length === 0) continue;
+
+    const semesterId = own[0].semesterId.toString();
+    const range = ranges.get(semesterId);
+    const calendar = events.filter(e => e.semesterId.toString() === semesterId);
+    const planned = countPlannedLectures(own, range, null, calendar);
+    const plannedToDate = countPlannedLectures(own, range, today, calendar);
+    const sessionsRecorded = sessions.get(allocation._id.toString()) || 0;
+    const conducted = Math.max(allocation.totalConducted || 0, sessionsRecorded);
+
+    progress.push({
+      allocationId: allocation._id,
+      subject: allocation.subjectId,
+      type: allocation.type,
+      division: allocation.division,
+      batch: allocation.batch,
+      slotsPerWeek: own.length,
+      planned,
+      plannedToDate,
+      conducted,
+      sessionsRecorded,
+      shortfall: Math.max(plannedToDate - conducted, 0)
+    });
+  }
+  return progress;
+}
+
+module.exports = {
+  WEEKDAYS,
+  semesterDateRange,
+  weekdayDates,
+  countPlannedLectures,
+  sortSlots,
+  validateSlot,
+  refreshPlannedLectures,
+  refreshSemesterPlans,
+  timetableProgress
+};
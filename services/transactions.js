@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * Run `work(session)` inside a MongoDB transaction (requires a replica set, e.g. Atlas).
+ * The driver may retry `work` on transient errors, so it must not keep state between attempts.
+ */
+async function withTransaction(work) {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+/**
+ * Fail startup on a standalone MongoDB server, where every withTransaction call
+ * (sheet uploads, rollbacks) would be rejected at request time
+ */
+async function assertTransactionSupport(connection = mongoose.connection) {
+  const hello = await connection.db.admin().command({ hello: 1 });
+  // Replica set members report setName; mongos routers answer "isdbgrid"
+  if (hello.setName || hello.msg === 'isdbgrid') return;
+  throw new Error(
+    'MongoDB is running as a standalone server. Sheet uploads and rollbacks use transactions, ' +
+    'which need a replica set: start mongod with --replSet (and run rs.initiate()) or use Atlas.'
+  );
+}
+
+module.exports = { withTransaction, assertTransactionSupport };
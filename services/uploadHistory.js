@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const Attendance = require('../models/Attendance');
+const Allocation = require('../models/Allocation');
+const Period = require('../models/Period');
+const Student = require('../models/Student');
+const Subject = require('../models/Subject');
+const SheetUpload = require('../models/SheetUpload');
+const { applyDivisionPlan } = require('./divisionSheet');
+const { withTransaction } = require('./transactions');
+const { findActiveLock, lockedResult } = require('./attendanceLocks');
+
+// Values compared when checking whether a document still looks like the upload left it
+const TRACKED_VALUES = {
+  Attendance: ['totalConducted', 'totalAttended', 'percentage'],
+  Allocation: ['totalPlanned', 'totalConducted']
+};
+
+// Semester and department an upload's version sequence belongs to
+function uploadScope(plan) {
+  return {
+    semesterId: plan.scope?.semesterId || null,
+    departmentId: plan.scope?.departmentId || null
+  };
+}
+
+/**
+ * Apply the division plans of one workbook and record each as the next upload version
+ * of its division (within the division's semester and department), atomically: either every sheet is applied or none is.
+ * onProgress(processedRows, totalRows) covers the rows of all sheets.
+ * @returns {Promise<{importId: string, committed: Array<{plan: object, upload: object, result: object}>}>}
+ */
+async function commitDivisionUploads(plans, { uploadedBy, uploaderRole, file, onProgress }) {
+  const importId = crypto.randomBytes(12).toString('hex');
+  const totalRows = plans.reduce((sum, plan) => sum + plan.rows.length, 0);
+
+  return withTransaction(async (session) => {
+    const committed = [];
+    let rowsDone = 0;
+
+    for (const plan of plans) {
+      const result = await applyDivisionPlan(plan, uploadedBy, {
+        session,
+        onProgress: onProgress ? (processed) => onProgress(rowsDone + processed, totalRows) : null
+      });
+      rowsDone += plan.rows.length;
+
+      const scope = uploadScope(plan);
+      const latest = await SheetUpload.findOne({ ...scope, division: plan.division })
+        .sort({ version: -1 })
+        .select('version')
+        .session(session);
+
+      const [upload] = await SheetUpload.create([{
+        ...scope,
+        division: plan.division,
+        version: latest ? latest.version + 1 : 1,
+        file: file || {},
+        sheetName: plan.sheetName || null,
+        importId,
+        period: plan.period || null,
+        periodId: plan.periodId || null,
+        uploadedBy,
+        uploaderRole,
+        recordsCreated: result.recordsCreated,
+        allocationsUpdated: result.allocationsUpdated,
+        changes: result.changes
+      }], { session });
+
+      committed.push({ plan, upload, result });
+    }
+
+    return { importId, committed };
+  });
+}
+
+/**
+ * Response summary of an applied division upload
+ */
+function summariseDivisionUpload(plan, result, upload) {
+  const errors = plan.unmatchedUids;
+  return {
+    success: true,
+    message: `Successfully processed attendance sheet for division ${plan.division}`,
+    sheetName: plan.sheetName,
+    division: plan.division,
+    recordsCreated: result.recordsCreated,
+    subjectsProcessed: plan.subjectMatches.filter(m => m.subject).length,
+    studentsFound: plan.studentsFound,
+    studentsNotFound: plan.studentsNotFound,
+    totalStudentsInSheet: plan.studentsFound + plan.studentsNotFound,
+    allocationsUpdated: result.allocationsUpdated,
+    uploadId: upload._id,
+    version: upload.version,
+    errors: errors.length > 0 ? errors.slice(0, 10) : undefined, // Limit errors to first 10
+    errorCount: errors.length
+  };
+}
+
+function attendanceKey(doc) {
+  return `${doc.studentId}_${doc.subjectId}_${doc.type}_${doc.periodId || doc.period || ''}`;
+}
+
+function pickValues(model, doc) {
+  const values = {};
+  for (const field of TRACKED_VALUES[model]) values[field] = doc ? doc[field] : null;
+  return values;
+}
+
+/**
+ * Compare the attendance values written by two uploads of the same division.
+ * Records are matched per student, subject, type and period.
+ */
+async function diffUploads(fromUpload, toUpload) {
+  const collect = (upload) => {
+    const map = new Map();
+    for (const change of upload.changes) {
+      if (change.model === 'Attendance' && change.after) {
+        map.set(attendanceKey(change.after), change.after);
+      }
+    }
+    return map;
+  };
+
+  const fromMap = collect(fromUpload);
+  const toMap = collect(toUpload);
+  const keys = new Set([...fromMap.keys(), ...toMap.keys()]);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const key of keys) {
+    const before = fromMap.get(key);
+    const after = toMap.get(key);
+    const ref = after || before;
+    const entry = {
+      studentId: ref.studentId,
+      subjectId: ref.subjectId,
+      type: ref.type,
+      periodId: ref.periodId || null,
+      period: ref.period || null
+    };
+
+    if (!before) {
+      added.push({ ...entry, to: pickValues('Attendance', after) });
+    } else if (!after) {
+      removed.push({ ...entry, from: pickValues('Attendance', before) });
+    } else {
+      const fromValues = pickValues('Attendance', before);
+      const toValues = pickValues('Attendance', after);
+      if (TRACKED_VALUES.Attendance.some(f => fromValues[f] !== toValues[f])) {
+        changed.push({ ...entry, from: fromValues, to: toValues });
+      } else {
+        unchanged++;
+      }
+    }
+  }
+
+  // Resolve readable student UIDs and subject codes
+  const all = [...added, ...removed, ...changed];
+  const students = await Student.find({ _id: { $in: all.map(e => e.studentId) } }).select('name studentId');
+  const subjects = await Subject.find({ _id: { $in: all.map(e => e.subjectId) } }).select('name code');
+  const studentById = new Map(students.map(s => [s._id.toString(), s]));
+  const subjectById = new Map(subjects.map(s => [s._id.toString(), s]));
+  for (const entry of all) {
+    const student = studentById.get(entry.studentId.toString());
+    const subject = subjectById.get(entry.subjectId.toString());
+    entry.student = student ? { name: student.name, studentId: student.studentId } : null;
+    entry.subject = subject ? { name: subject.name, code: subject.code } : null;
+  }
+
+  return { added, removed, changed, unchanged };
+}
+
+/**
+ * Restore every document touched by an upload to its state before the upload, atomically.
+ * Documents changed again since the upload are reported as conflicts unless `force` is set.
+ * @returns {Promise<{success: boolean, status?: number, message?: string, conflicts?: Array, restored?: number}>}
+ */
+async function rollbackUpload(uploadId, { rolledBackBy, force = false }) {
+  return withTransaction(async (session) => {
+    const upload = await SheetUpload.findById(uploadId).session(session);
+    if (!upload) {
+      return { success: false, status: 404, message: 'Upload not found' };
+    }
+    if (upload.status === 'rolled-back') {
+      return { success: false, status: 400, message: 'Upload has already been rolled back' };
+    }
+
+    if (upload.periodId) {
+      const period = await Period.findById(upload.periodId).session(session);
+      const lock = period && await findActiveLock({ semesterId: period.semesterId, periodId: period._id }, session);
+      if (lock) return lockedResult(lock);
+    }
+
+    const models = { Attendance, Allocation };
+    const conflicts = [];
+    const current = new Map();
+
+    for (const change of upload.changes) {
+      const doc = await models[change.model].findById(change.docId).session(session).lean();
+      current.set(change.docId.toString(), doc);
+
+      const expected = pickValues(change.model, change.after);
+      const actual = pickValues(change.model, doc);
+      if (TRACKED_VALUES[change.model].some(f => expected[f] !== actual[f])) {
+        conflicts.push({ model: change.model, docId: change.docId, expected, actual: doc ? actual : null });
+      }
+    }
+
+    if (conflicts.length > 0 && !force) {
+      return {
+        success: false,
+        status: 409,
+        message: 'Some records were changed after this upload. Roll back later uploads first or pass force=true.',
+        conflicts
+      };
+    }
+
+    let restored = 0;
+    for (const change of [...upload.changes].reverse()) {
+      if (change.model === 'Attendance') {
+        if (!change.before) {
+          // The upload created this record
+          await Attendance.deleteOne({ _id: change.docId }, { session });
+          await Student.updateOne(
+            { _id: change.after.studentId },
+            { $pull: { attedanceRecord: change.docId } },
+            { session }
+          );
+        } else {
+          const { _id, __v, ...values } = change.before;
+          await Attendance.replaceOne({ _id: change.docId }, values, { session });
+        }
+      } else {
+        // Only drop the students this upload added; later roster syncs stay intact
+        const beforeStudents = new Set((change.before.students || []).map(id => id.toString()));
+        const addedStudents = (change.after?.students || []).filter(id => !beforeStudents.has(id.toString()));
+        await Allocation.updateOne(
+          { _id: change.docId },
+          {
+            $set: {
+              totalPlanned: change.before.totalPlanned,
+              plannedSource: change.before.plannedSource ?? null,
+              totalConducted: change.before.totalConducted
+            },
+            $pull: { students: { $in: addedStudents } }
+          },
+          { session }
+        );
+      }
+      restored++;
+    }
+
+    upload.status = 'rolled-back';
+    upload.rolledBackAt = new Date();
+    upload.rolledBackBy = rolledBackBy;
+    await upload.save({ session });
+
+    return { success: true, restored, forced: conflicts.length > 0, conflicts };
+  });
+}
+
+module.exports = {
+  commitDivisionUploads,
+  summariseDivisionUpload,
+  diffUploads,
+  rollbackUpload
+};
@@ -1,5 +1,10 @@
 const jwt = require('jsonwebtoken');
 const EventEmitter = require('events');
+const { liveMarkDate, validateLiveMark, recordLiveMark, getLiveRoster, closeLiveLecture } = require('../services/liveAttendance');
+const { tokenRevocation } = require('../middleware/auth');
+
+// How far a client's Lamport time may move the server clock ahead in one message
+const MAX_CLOCK_SKEW = parseInt(process.env.LAMPORT_MAX_CLOCK_SKEW) || 1000;
 
 // Distributed message queue for reliability
 class DistributedMessageQueue extends EventEmitter {
@@ -79,8 +84,9 @@ class LamportClock {
     return this.time;
   }
 
+  // A client clock far ahead of ours would let its marks win every later conflict, so the jump is bounded
   update(receivedTime) {
-    this.time = Math.max(this.time, receivedTime) + 1;
+    this.time = Math.max(this.time, Math.min(receivedTime, this.time + MAX_CLOCK_SKEW)) + 1;
     return this.time;
   }
 
@@ -94,6 +100,29 @@ module.exports = (io) => {
   const lamportClock = new LamportClock();
   const connectedUsers = new Map(); // Track connected users for leader election
 
+  // Send the stored live roster of a lecture to one socket
+  async function sendLiveRoster(socket, data) {
+    if (!['teacher', 'admin'].includes(socket.user.role)) return;
+    try {
+      const { subjectId, classId, startTime } = data;
+      const date = liveMarkDate(data.date);
+      if (!date) return;
+
+      const marks = await getLiveRoster(classId, date, startTime);
+      socket.emit('attendance-roster', {
+        subjectId,
+        classId,
+        date,
+        startTime: startTime || null,
+        marks,
+        lamportTime: lamportClock.tick(),
+        nodeId: process.env.NODE_ID || 'node-1'
+      });
+    } catch (error) {
+      console.error('Live roster error:', error);
+    }
+  }
+
   // Clean up old messages every 5 minutes
   setInterval(() => messageQueue.cleanup(), 300000);
 
@@ -110,7 +139,7 @@ module.exports = (io) => {
   });
 
   // Socket authentication middleware
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     try {
       const token = socket.handshake.auth.token;
       if (!token) {
@@ -118,6 +147,14 @@ module.exports = (io) => {
       }
 
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+      // Sync tokens and restricted password-change tokens do not open a socket session
+      if (decoded.purpose || decoded.scope) {
+        return next(new Error('Authentication error'));
+      }
+      // Revoked sessions and deactivated accounts cannot reconnect with an unexpired access token
+      if (await tokenRevocation(decoded)) {
+        return next(new Error('Authentication error'));
+      }
       socket.user = decoded;
       socket.lamportTime = 0;
       next();
@@ -141,6 +178,8 @@ module.exports = (io) => {
     // Join role-based rooms
     socket.join(socket.user.role);
     socket.join(`user_${socket.user.userId}`);
+    // Lets a revoked session's sockets be closed without touching the user's other devices
+    socket.join(`session_${socket.user.sid}`);
 
     // Perform leader election for admin users
     if (socket.user.role === 'admin') {
@@ -148,7 +187,7 @@ module.exports = (io) => {
     }
 
     // Enhanced attendance room management
-    socket.on('join-attendance-room', (data) => {
+    socket.on('join-attendance-room', async (data) => {
       const { subjectId, classId } = data;
       const roomName = `attendance_${subjectId}_${classId}`;
       socket.join(roomName);
@@ -159,6 +198,14 @@ module.exports = (io) => {
         userName: socket.user.email,
         lamportTime: lamportClock.tick()
       });
+
+      // Late joiners start from the stored live roster
+      await sendLiveRoster(socket, data);
+    });
+
+    // Ask for the stored live roster again (e.g. after reconnecting)
+    socket.on('sync-attendance-roster', async (data) => {
+      await sendLiveRoster(socket, data);
     });
 
     socket.on('leave-attendance-room', (data) => {
@@ -172,23 +219,76 @@ module.exports = (io) => {
       });
     });
 
-    // Enhanced real-time attendance marking with distributed coordination
+    // Live attendance marking: marks are stored per lecture, and concurrent marks of the same
+    // student resolve to the higher (lamportTime, nodeId). The stored winner is broadcast to the
+    // whole room, the sender included, so every client converges on the same roster.
     socket.on('mark-attendance-live', async (data) => {
-      const { subjectId, classId, studentId, status, clientLamportTime } = data;
-      
+      const { subjectId, classId, studentId, status, clientLamportTime, startTime } = data;
+
+      if (clientLamportTime !== undefined && !(Number.isSafeInteger(clientLamportTime) && clientLamportTime >= 0)) {
+        socket.emit('attendance-mark-rejected', {
+          subjectId,
+          classId,
+          studentId,
+          message: 'clientLamportTime must be a non-negative integer',
+          lamportTime: lamportClock.tick()
+        });
+        return;
+      }
+
       // Update Lamport clock
       const currentTime = lamportClock.update(clientLamportTime || 0);
-      
+      const nodeId = process.env.NODE_ID || 'node-1';
+
+      let resolved;
+      try {
+        const check = await validateLiveMark(socket.user, { subjectId, classId, studentId, status, startTime });
+        const date = liveMarkDate(data.date);
+        if (!check.success || !date) {
+          socket.emit('attendance-mark-rejected', {
+            subjectId,
+            classId,
+            studentId,
+            message: check.success ? 'date must be a date (YYYY-MM-DD)' : check.message,
+            lamportTime: lamportClock.tick()
+          });
+          return;
+        }
+
+        resolved = await recordLiveMark({
+          allocationId: classId,
+          subjectId,
+          date,
+          startTime,
+          studentId,
+          status,
+          lamportTime: currentTime,
+          nodeId,
+          markedBy: socket.user.userId
+        });
+      } catch (error) {
+        console.error('Live attendance mark error:', error);
+        socket.emit('attendance-mark-rejected', { subjectId, classId, studentId, message: 'Server error' });
+        return;
+      }
+
+      const { mark } = resolved;
       const attendanceUpdate = {
         subjectId,
         classId,
         studentId,
-        status,
-        markedBy: socket.user.userId,
-        markerName: socket.user.email,
+        status: mark.status,
+        date: mark.date,
+        startTime: mark.startTime,
+        markedBy: mark.markedBy,
+        markerName: resolved.applied ? socket.user.email : undefined,
+        applied: resolved.applied,
         timestamp: new Date().toISOString(),
+        // Ordering stamp of the winning mark; clients keep the higher (markLamportTime, markNodeId)
+        markLamportTime: mark.lamportTime,
+        markNodeId: mark.nodeId,
         lamportTime: currentTime,
-        nodeId: process.env.NODE_ID || 'node-1'
+        nodeId
       };
 
       // Broadcast to attendance room with retry mechanism
@@ -196,19 +296,20 @@ module.exports = (io) => {
       const roomSockets = await io.in(roomName).fetchSockets();
       
       for (const roomSocket of roomSockets) {
-        if (roomSocket.id !== socket.id) {
-          try {
-            await messageQueue.sendWithRetry(
-              roomSocket.id,
-              'attendance-marked-live',
-              attendanceUpdate
-            );
-          } catch (error) {
-            console.error(`Failed to send attendance update to ${roomSocket.id}:`, error);
-          }
+        try {
+          await messageQueue.sendWithRetry(
+            roomSocket.id,
+            'attendance-marked-live',
+            attendanceUpdate
+          );
+        } catch (error) {
+          console.error(`Failed to send attendance update to ${roomSocket.id}:`, error);
         }
       }
 
+      // Admins only hear about marks that took effect
+      if (!resolved.applied) return;
+
       // Also broadcast to all admin users for monitoring
       const adminSockets = await io.in('admin').fetchSockets();
       for (const adminSocket of adminSockets) {
@@ -224,6 +325,43 @@ module.exports = (io) => {
       }
     });
 
+    // End a live lecture: its marks are recorded as a LectureSession, which feeds the
+    // student's Attendance like any other session. Marks never closed stay live only.
+    socket.on('close-live-attendance', async (data) => {
+      const { subjectId, classId } = data;
+      let result;
+      try {
+        result = await closeLiveLecture(socket.user, data);
+      } catch (error) {
+        console.error('Close live attendance error:', error);
+        result = { success: false, message: 'Server error' };
+      }
+
+      if (!result.success) {
+        socket.emit('live-attendance-close-rejected', {
+          subjectId,
+          classId,
+          message: result.message,
+          sessionId: result.sessionId,
+          lamportTime: lamportClock.tick()
+        });
+        return;
+      }
+
+      const closed = {
+        subjectId,
+        classId,
+        sessionId: result.lectureSession._id,
+        date: result.lectureSession.date,
+        startTime: result.lectureSession.startTime,
+        summary: result.summary,
+        lamportTime: lamportClock.tick(),
+        nodeId: process.env.NODE_ID || 'node-1'
+      };
+      io.to(`attendance_${subjectId}_${classId}`).emit('live-attendance-closed', closed);
+      await emitToRoleWithRetry('admin', 'attendance-updated', { ...closed, action: 'created', teacherId: socket.user.userId });
+    });
+
     // Enhanced grievance notifications with distributed delivery
     socket.on('join-grievance-room', (grievanceId) => {
       socket.join(`grievance_${grievanceId}`);
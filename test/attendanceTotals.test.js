@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { combineAttendanceRecords } = require('../services/attendanceTotals');
+
+const studentId = new mongoose.Types.ObjectId();
+const subjectId = new mongoose.Types.ObjectId();
+
+const sheetPeriod = {
+  _id: new mongoose.Types.ObjectId(),
+  label: 'Aug-25 to Oct-25',
+  kind: 'cumulative',
+  startDate: new Date('2025-08-01'),
+  endDate: new Date('2025-10-31')
+};
+const novemberPeriod = {
+  _id: new mongoose.Types.ObjectId(),
+  label: 'Nov-25',
+  kind: 'incremental',
+  startDate: new Date('2025-11-01'),
+  endDate: new Date('2025-11-30')
+};
+const periods = new Map([sheetPeriod, novemberPeriod].map(p => [p._id.toString(), p]));
+
+function record(fields) {
+  return {
+    studentId,
+    subjectId,
+    type: 'Theory',
+    periodId: null,
+    period: null,
+    source: 'upload',
+    percentage: 0,
+    updatedAt: new Date('2025-11-05'),
+    ...fields
+  };
+}
+
+const sheet = record({
+  totalConducted: 40,
+  totalAttended: 20,
+  percentage: 50,
+  period: sheetPeriod.label,
+  periodId: sheetPeriod._id,
+  updatedAt: new Date('2025-11-01')
+});
+
+test('a lecture session recorded after a sheet upload adds to the sheet totals', () => {
+  const session = record({
+    totalConducted: 1,
+    totalAttended: 1,
+    percentage: 100,
+    period: 'Lecture sessions',
+    source: 'session',
+    updatedAt: new Date('2025-11-10')
+  });
+
+  const [entry] = combineAttendanceRecords([sheet, session], periods);
+
+  assert.strictEqual(entry.totalConducted, 41);
+  assert.strictEqual(entry.totalAttended, 21);
+  assert.strictEqual(entry.percentage, (21 / 41) * 100);
+});
+
+test('lectures a later cumulative sheet already covers are not added twice', () => {
+  const session = record({
+    totalConducted: 3,
+    totalAttended: 2,
+    period: 'Lecture sessions',
+    source: 'session',
+    lectures: [
+      { date: new Date('2025-10-20'), attended: true },
+      { date: new Date('2025-10-31'), attended: false },
+      { date: new Date('2025-11-03'), attended: true }
+    ],
+    updatedAt: new Date('2025-11-03')
+  });
+  const earlyMark = record({ totalConducted: 1, totalAttended: 1, source: 'mark', updatedAt: new Date('2025-10-15T10:30:00Z') });
+
+  const [entry] = combineAttendanceRecords([session, earlyMark, sheet], periods);
+
+  assert.strictEqual(entry.totalConducted, 41);
+  assert.strictEqual(entry.totalAttended, 21);
+  assert.deepStrictEqual(entry.periods.map(p => p.kind), ['cumulative', 'incremental']);
+});
+
+test('marked lectures add to the sheet snapshot and its later incremental periods', () => {
+  const november = record({
+    totalConducted: 8,
+    totalAttended: 6,
+    period: novemberPeriod.label,
+    periodId: novemberPeriod._id
+  });
+  const mark = record({ totalConducted: 1, totalAttended: 0, source: 'mark' });
+
+  const [entry] = combineAttendanceRecords([mark, november, sheet], periods);
+
+  assert.strictEqual(entry.totalConducted, 49);
+  assert.strictEqual(entry.totalAttended, 26);
+  assert.deepStrictEqual(entry.periods.map(p => p.kind), ['cumulative', 'incremental', 'incremental']);
+});
+
+test('a legacy sheet record without a Period still counts as a snapshot', () => {
+  const older = record({ totalConducted: 10, totalAttended: 9, period: 'Aug-25', updatedAt: new Date('2025-09-01') });
+  const newer = record({ totalConducted: 30, totalAttended: 24, period: 'Aug-25 to Sep-25', updatedAt: new Date('2025-10-01') });
+
+  const [entry] = combineAttendanceRecords([older, newer], new Map());
+
+  assert.strictEqual(entry.totalConducted, 30);
+  assert.strictEqual(entry.totalAttended, 24);
+});
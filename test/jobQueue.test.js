@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Job = require('../models/Job');
+const { claimNextJob, finishJob, failExhaustedJobs } = require('../services/jobQueue');
+
+// In-memory stand-in for the jobs collection, covering the operators the queue uses
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(branch => matches(doc, branch));
+    const value = doc[key];
+    if (condition && typeof condition === 'object' && !(condition instanceof Date) && !condition._bsontype) {
+      if ('$lt' in condition && !(value < condition.$lt)) return false;
+      if ('$gte' in condition && !(value >= condition.$gte)) return false;
+      return true;
+    }
+    return String(value) === String(condition);
+  });
+}
+
+function applyUpdate(doc, update) {
+  Object.assign(doc, update.$set || {});
+  for (const [key, amount] of Object.entries(update.$inc || {})) doc[key] = (doc[key] || 0) + amount;
+  for (const path of Object.keys(update.$unset || {})) {
+    const [parent, child] = path.split('.');
+    if (doc[parent]) delete doc[parent][child];
+  }
+}
+
+function useJobStore(t, jobs) {
+  t.mock.method(Job, 'findOneAndUpdate', async (filter, update) => {
+    const doc = jobs
+      .filter(job => matches(job, filter))
+      .sort((a, b) => a.createdAt - b.createdAt)[0];
+    if (!doc) return null;
+    applyUpdate(doc, update);
+    return { ...doc, payload: { ...doc.payload } };
+  });
+  t.mock.method(Job, 'updateMany', async (filter, update) => {
+    const docs = jobs.filter(job => matches(job, filter));
+    docs.forEach(doc => applyUpdate(doc, update));
+    return { modifiedCount: docs.length };
+  });
+}
+
+function queuedJob(id, minutesAgo, overrides = {}) {
+  return {
+    _id: id,
+    type: 'upload-students',
+    status: 'queued',
+    attempts: 0,
+    payload: { rows: [{ UID: id }] },
+    createdAt: new Date(Date.now() - minutesAgo * 60 * 1000),
+    ...overrides
+  };
+}
+
+const longAgo = () => new Date(Date.now() - 60 * 60 * 1000);
+
+test('claimNextJob takes the oldest claimable job and locks it', async (t) => {
+  const jobs = [
+    queuedJob('newer', 1),
+    queuedJob('older', 5),
+    queuedJob('busy', 10, { status: 'running', lockedBy: 'other', lockedAt: new Date(), attempts: 1 }),
+    queuedJob('done', 20, { status: 'completed', attempts: 1 })
+  ];
+  useJobStore(t, jobs);
+
+  const first = await claimNextJob('worker-a');
+  assert.strictEqual(first._id, 'older');
+  assert.strictEqual(first.status, 'running');
+  assert.strictEqual(first.lockedBy, 'worker-a');
+  assert.strictEqual(first.attempts, 1);
+
+  const second = await claimNextJob('worker-b');
+  assert.strictEqual(second._id, 'newer');
+  assert.strictEqual(await claimNextJob('worker-c'), null);
+});
+
+test('claimNextJob reclaims a job abandoned by a crashed worker until it runs out of attempts', async (t) => {
+  const jobs = [
+    queuedJob('abandoned', 5, { status: 'running', lockedBy: 'crashed', lockedAt: longAgo(), attempts: 1 }),
+    queuedJob('exhausted', 10, { status: 'running', lockedBy: 'crashed', lockedAt: longAgo(), attempts: 3 })
+  ];
+  useJobStore(t, jobs);
+
+  const claimed = await claimNextJob('worker-a');
+  assert.strictEqual(claimed._id, 'abandoned');
+  assert.strictEqual(claimed.attempts, 2);
+  assert.strictEqual(await claimNextJob('worker-a'), null);
+});
+
+test('finishJob completes a job for the worker holding it and drops its rows', async (t) => {
+  const jobs = [queuedJob('job', 1)];
+  useJobStore(t, jobs);
+  const claimed = await claimNextJob('worker-a');
+
+  const outcome = { status: 'completed', progress: { processed: 1 }, rowErrors: [], result: { count: 1 } };
+  assert.strictEqual(await finishJob(claimed, 'worker-b', outcome), null);
+
+  const finished = await finishJob(claimed, 'worker-a', outcome);
+  assert.strictEqual(finished.status, 'completed');
+  assert.ok(finished.finishedAt);
+  assert.strictEqual(jobs[0].payload.rows, undefined);
+});
+
+test('finishJob queues a failed run again until the last attempt, then fails the job', async (t) => {
+  const jobs = [queuedJob('job', 1)];
+  useJobStore(t, jobs);
+  const failure = { status: 'failed', progress: { processed: 0 }, rowErrors: [], error: 'connection reset' };
+
+  for (let attempt = 1; attempt < 3; attempt++) {
+    const claimed = await claimNextJob('worker-a');
+    assert.strictEqual(claimed.attempts, attempt);
+    const requeued = await finishJob(claimed, 'worker-a', failure);
+    assert.strictEqual(requeued.status, 'queued');
+    assert.strictEqual(requeued.lockedBy, null);
+    assert.deepStrictEqual(jobs[0].payload.rows, [{ UID: 'job' }]);
+  }
+
+  const last = await claimNextJob('worker-a');
+  const failed = await finishJob(last, 'worker-a', failure);
+  assert.strictEqual(failed.status, 'failed');
+  assert.strictEqual(failed.error, 'connection reset');
+  assert.strictEqual(jobs[0].payload.rows, undefined);
+  assert.strictEqual(await claimNextJob('worker-a'), null);
+});
+
+test('failExhaustedJobs fails abandoned jobs without attempts left and drops their rows', async (t) => {
+  const jobs = [
+    queuedJob('exhausted', 10, { status: 'running', lockedBy: 'crashed', lockedAt: longAgo(), attempts: 3 }),
+    queuedJob('retryable', 5, { status: 'running', lockedBy: 'crashed', lockedAt: longAgo(), attempts: 1 })
+  ];
+  useJobStore(t, jobs);
+
+  await failExhaustedJobs();
+
+  assert.strictEqual(jobs[0].status, 'failed');
+  assert.strictEqual(jobs[0].payload.rows, undefined);
+  assert.strictEqual(jobs[1].status, 'running');
+  assert.deepStrictEqual(jobs[1].payload.rows, [{ UID: 'retryable' }]);
+});
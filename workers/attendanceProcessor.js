@@ -121,6 +121,7 @@ if (isMainThread) {
             status: row.status,
             type,
             recordedBy: teacherId,
+            source: 'mark',
             createdAtDate: row.date || (() => {
               const currentDate = new Date();
               const day = currentDate.getDate().toString().padStart(2, "0");
@@ -204,7 +205,8 @@ if (isMainThread) {
         try {
           const attendance = new Attendance({
             ...record,
-            recordedBy: teacherId
+            recordedBy: teacherId,
+            source: 'mark'
           });
 
           await attendance.save();
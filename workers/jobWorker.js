@@ -0,0 +1,268 @@
+const Job = require('../models/Job');
+const { jobEvents, claimNextJob, finishJob, failExhaustedJobs } = require('../services/jobQueue');
+const { importStudents, importTeachers } = require('../services/rosterImport');
+const { commitDivisionUploads, summariseDivisionUpload } = require('../services/uploadHistory');
+const { checkDefaulters } = require('../services/defaulters');
+const { lockForPlans, lockedResult } = require('../services/attendanceLocks');
+
+// Configuration
+const POLL_INTERVAL = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 5000;
+const PROGRESS_FLUSH_INTERVAL = 1000; // Persist/emit progress at most once per second
+const WORKER_ID = `${process.env.NODE_ID || 'node-1'}:${process.pid}`;
+
+let pollInterval = null;
+let isRunning = false;
+let io = null;
+
+/**
+ * Push a job update to the user who queued it
+ */
+async function emitJobUpdate(job, state, event) {
+  if (!io || !io.emitToUser) return;
+  try {
+    await io.emitToUser(job.createdBy.toString(), event, {
+      jobId: job._id,
+      type: job.type,
+      status: state.status,
+      progress: state.progress,
+      errorCount: state.rowErrors.length
+    });
+  } catch (error) {
+    console.error(`Error emitting ${event} for job ${job._id}:`, error);
+  }
+}
+
+/**
+ * Progress tracker handed to job handlers.
+ * Counts are kept in `state` and flushed to the job document (and the owner's socket) periodically.
+ */
+function createReporter(job, state) {
+  let lastFlush = 0;
+
+  const flush = async () => {
+    const now = Date.now();
+    if (now - lastFlush < PROGRESS_FLUSH_INTERVAL) return;
+    lastFlush = now;
+
+    await Job.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID },
+      { $set: { progress: state.progress, rowErrors: state.rowErrors, lockedAt: new Date() } }
+    );
+    await emitJobUpdate(job, state, 'job-progress');
+  };
+
+  return {
+    // Outcome of one roster row (see services/rosterImport.js)
+    async onRow({ row, status, identifier, message }) {
+      state.progress.processed++;
+      if (status === 'inserted') state.progress.succeeded++;
+      else if (status === 'skipped') state.progress.skipped++;
+      else {
+        state.progress.failed++;
+        state.rowErrors.push({ row, identifier, message });
+      }
+      await flush();
+    },
+    // Plain processed/total progress (division sheets)
+    async onProgress(processed, total) {
+      state.progress.processed = processed;
+      state.progress.succeeded = processed;
+      state.progress.total = total;
+      await flush();
+    }
+  };
+}
+
+// Handlers by job type; each returns the job result (state holds progress and row errors)
+const handlers = {
+  'upload-students': async (job, state, reporter) => {
+    const { rows, departmentId, semesterId } = job.payload;
+    const summary = await importStudents(rows, { departmentId, semesterId }, { onRow: reporter.onRow });
+    return {
+      message: "Student Uploaded successfully and linked to allocations",
+      count: summary.inserted,
+      skipped: summary.skipped,
+      failed: summary.failed,
+      students: summary.students
+    };
+  },
+
+  'upload-teachers': async (job, state, reporter) => {
+    const { rows, createdBy } = job.payload;
+    const summary = await importTeachers(rows, { createdBy }, { onRow: reporter.onRow });
+    return {
+      message: "Teachers uploaded successfully",
+      count: summary.inserted,
+      skipped: summary.skipped,
+      failed: summary.failed,
+      teachers: summary.teachers
+    };
+  },
+
+  'division-sheet': async (job, state, reporter) => {
+    const { plans, uploaderRole } = job.payload;
+
+    // Sheet UIDs with no matching student are the row-level errors of a division upload
+    state.rowErrors = plans.flatMap(plan => plan.unmatchedUids.map(e => ({
+      sheet: plan.sheetName,
+      row: e.row,
+      identifier: e.studentId,
+      message: e.error
+    })));
+    state.progress.failed = state.rowErrors.length;
+
+    // A lock set while the job was queued still applies
+    const locked = await lockForPlans(plans);
+    if (locked) {
+      throw new Error(lockedResult(locked.lock).message);
+    }
+
+    // Every sheet of the workbook commits in one transaction
+    const { importId, committed } = await commitDivisionUploads(plans, {
+      uploadedBy: job.createdBy,
+      uploaderRole,
+      file: job.file,
+      onProgress: reporter.onProgress
+    });
+
+    const sheets = committed.map(({ plan, upload, result }) => {
+      console.log(`✅ Sheet "${plan.sheetName}" (division ${plan.division}): ${result.recordsCreated} records created, ${plan.studentsFound} students found, ${plan.studentsNotFound} students not found, ${result.allocationsUpdated} allocations updated`);
+      return summariseDivisionUpload(plan, result, upload);
+    });
+
+    // Check for defaulters in background
+    setImmediate(async () => {
+      try {
+        const defaulters = await checkDefaulters(75);
+        if (defaulters.length > 0 && io) {
+          await io.emitToRole('admin', 'defaulter-alert', {
+            defaulters,
+            threshold: 75,
+            triggeredBy: job.createdBy,
+            source: 'division-sheet-upload'
+          });
+        }
+      } catch (error) {
+        console.error('Error checking defaulters after sheet upload:', error);
+      }
+    });
+
+    return {
+      success: true,
+      message: `Successfully processed ${sheets.length} sheet(s) for division(s) ${sheets.map(s => s.division).join(', ')}`,
+      importId,
+      recordsCreated: sheets.reduce((sum, s) => sum + s.recordsCreated, 0),
+      allocationsUpdated: sheets.reduce((sum, s) => sum + s.allocationsUpdated, 0),
+      sheets
+    };
+  }
+};
+
+/**
+ * Run one claimed job. A failed run is queued again until the job runs out of attempts;
+ * roster imports write each row atomically and skip rows already imported, so a retry is safe.
+ */
+async function runJob(job) {
+  const handler = handlers[job.type];
+  // A retried job starts its counts over
+  const state = {
+    status: 'running',
+    progress: { total: job.progress?.total || 0, processed: 0, succeeded: 0, skipped: 0, failed: 0 },
+    rowErrors: []
+  };
+  const reporter = createReporter(job, state);
+
+  console.log(`🛠️  Job ${job._id} (${job.type}) started by ${WORKER_ID}, attempt ${job.attempts}`);
+  await emitJobUpdate(job, state, 'job-progress');
+
+  let result = null;
+  let errorMessage = null;
+  try {
+    if (!handler) throw new Error(`No handler for job type ${job.type}`);
+    result = await handler(job, state, reporter);
+    state.status = 'completed';
+    console.log(`✅ Job ${job._id} (${job.type}) completed`);
+  } catch (error) {
+    console.error(`❌ Job ${job._id} (${job.type}) failed:`, error);
+    state.status = 'failed';
+    errorMessage = error.message;
+  }
+
+  const finished = await finishJob(job, WORKER_ID, {
+    status: state.status,
+    progress: state.progress,
+    rowErrors: state.rowErrors,
+    result,
+    error: errorMessage
+  });
+  if (!finished) return;
+
+  state.status = finished.status;
+  if (state.status === 'queued') {
+    console.log(`🔁 Job ${job._id} (${job.type}) queued for another attempt`);
+    await emitJobUpdate(job, state, 'job-progress');
+    return;
+  }
+  await emitJobUpdate(job, state, state.status === 'completed' ? 'job-completed' : 'job-failed');
+}
+
+/**
+ * Claim and run queued jobs until none are left
+ */
+async function processQueue() {
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    await failExhaustedJobs();
+
+    let job = await claimNextJob(WORKER_ID);
+    while (job) {
+      await runJob(job);
+      job = await claimNextJob(WORKER_ID);
+    }
+  } catch (error) {
+    console.error('❌ Job queue error:', error);
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Start the background job worker
+ * @param {object} socketServer - Socket.IO server with emitToUser/emitToRole
+ * @param {number} interval - Poll interval in milliseconds (default: 5 seconds)
+ */
+function startJobWorker(socketServer, interval = POLL_INTERVAL) {
+  if (pollInterval) {
+    console.log('⚠️  Job worker already running');
+    return;
+  }
+
+  io = socketServer;
+  console.log(`🚀 Starting job worker ${WORKER_ID} (poll interval: ${interval / 1000}s)`);
+
+  // Jobs queued on this node start right away; other nodes' jobs are picked up by polling
+  jobEvents.on('enqueued', () => setImmediate(processQueue));
+
+  processQueue();
+  pollInterval = setInterval(processQueue, interval);
+}
+
+/**
+ * Stop the background job worker
+ */
+function stopJobWorker() {
+  if (pollInterval) {
+    clearInterval(pollInterval);
+    pollInterval = null;
+    jobEvents.removeAllListeners('enqueued');
+    console.log('🛑 Job worker stopped');
+  }
+}
+
+module.exports = {
+  startJobWorker,
+  stopJobWorker,
+  processQueue
+};